@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+// Equivalent to `tscop convert <parser definition file>`
+const cli = require('../lib/cli'),
+  commands = require('../lib/commands'),
+  parserDefinition = require('../lib/parserDefinition'),
+  registry = require('../lib/registry');
+
+cli.run(() => {
+  const argv = cli.genericCli();
+  const format = registry.formatFromDefinition(parserDefinition.loadParserDefinition(argv.parser));
+  commands.convert(format, argv);
+});
@@ -1,75 +1,7 @@
 #!/usr/bin/env node
 
-const fs = require('fs')
-  moment = require('moment'),
-  _ = require('lodash'),
-  tscop = require('../lib/index'),
-  TimeSeriesCopError = require('../lib/error').TimeSeriesCopError;
+// Equivalent to `tscop convert o2argon`
+const cli = require('../lib/cli'),
+  commands = require('../lib/commands');
 
-let argv;
-try {
-  argv = tscop.cli();
-} catch (e) {
-  if (e instanceof TimeSeriesCopError) {
-    console.log(`${e.name}: ${e.message}`);
-    process.exit(1);
-  } else {
-    throw e;
-  }
-}
-// Skip header line
-startIndex = argv.skip === undefined ? 1 : argv.skip;
-
-const headers = [ 'time', 'timestamp', 'O2Ar' ];
-const types = [ 'time', 'float', 'float' ];
-
-const schema = _.zipObject(headers, types);
-// Schema for output records. Should specify any properties which
-// were added in the transform pipeline. Should only contain properties to be
-// included in InfluxDB records.
-const outputSchema = _.zipObject(headers, types);
-outputSchema.cruise = 'category';
-let outstream
-if (argv.output) {
-  outstream = fs.createWriteStream(argv.output);
-}
-
-try {
-  let pipeline = tscop.fieldStream({
-    instream: fs.createReadStream(argv.input, {encoding: 'utf8'}),
-    start: startIndex,
-    delimiter:'\t'
-  })
-  .doto(o => {
-    // Only keep relevant fields 0 and 8. Prepend time
-    const timestamp = o.fields[0];
-    const oxygenArgonRatio = o.fields[7];
-    const time = moment.utc({year: 1900})
-      .add(parseInt(timestamp) - 2, 'day')
-      .add((+timestamp - parseInt(timestamp)) * 24, 'hour');
-    o.fields = [ time, timestamp, oxygenArgonRatio ];
-  })
-  .through(tscop.fieldsToDoc(headers))
-  .through(tscop.validateDoc(schema, false))
-  .doto(o => {
-    o.doc.cruise = argv.cruise;
-  })
-  .through(tscop.saveData({
-    measurement: argv.measurement,
-    schema: outputSchema,
-    host: argv.host,
-    database: argv.db,
-    outstream: outstream,
-    batchSize: argv.batchSize
-  }));  // saveData consumes and ends the stream
-}
-catch (e) {
-  // Catch any errors thrown when creating the pipeline
-  // Errors during the pipeline are handled by saveData()
-  if (e instanceof TimeSeriesCopError) {
-    console.log(`${e.name}: ${e.message}`);
-    process.exit(1);
-  } else {
-    throw e;
-  }
-}
+cli.run(() => commands.convert('o2argon', cli.cli()));
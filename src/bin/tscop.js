@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+const _ = require('lodash'),
+  cli = require('../lib/cli'),
+  commands = require('../lib/commands'),
+  registry = require('../lib/registry');
+
+// Load format plugins named with --require or in TSCOP_PLUGINS, then run the
+// command.
+const handler = fn => argv => {
+  cli.run(() => {
+    const plugins = _.castArray(argv.require || [])
+      .concat(process.env.TSCOP_PLUGINS ? process.env.TSCOP_PLUGINS : [])
+      .map(p => p.split(','));
+    _.flatten(plugins).filter(p => p).forEach(p => registry.loadPlugin(p));
+    fn(argv);
+  });
+};
+
+cli.run(() => {
+  require('yargs')
+    .usage('Usage: $0 <command> [options]')
+    .describe('r', 'Plugin module or parser definition file that registers formats. May be comma-separated. Also read from TSCOP_PLUGINS.')
+    .alias('r', 'require')
+    .nargs('r', 1)
+    .command(
+      'convert <parser>',
+      'Convert a text file with a registered format, or a parser definition file',
+      yargs => cli.commonOptions(yargs)
+        .example('$0 convert tsgraw_33721 -c KOK1606 -m tsg -i tsgraw.txt -o tsg.lp')
+        .example('$0 convert tsgraw_33721 -c KOK1606 -m tsg -i tsgraw.txt -o tsg.tsv --format standard')
+        .example('ssh ship cat /data/tsgraw.txt | $0 convert tsgraw_33721 -c KOK1606 -m tsg | influx write -b raw')
+        .demandOption(['m', 'c']),
+      handler(argv => commands.convert(argv.parser, argv))
+    )
+    .command(
+      'standard',
+      'Convert a standard format file',
+      yargs => cli.commonOptions(yargs),
+      handler(argv => commands.standard(argv))
+    )
+    .command(
+      'watch <dir>',
+      'Watch a directory and convert new or modified files that match a rule',
+      yargs => cli.watchOptions(yargs)
+        .example('$0 watch /data/incoming --rules rules.yaml -c KOK1606 -d mydb -H localhost'),
+      handler(argv => commands.watchDir(argv.dir, argv))
+    )
+    .command(
+      'replay-spool <dir>',
+      'Write batches spooled while InfluxDB was unreachable, oldest first',
+      yargs => cli.replayOptions(yargs)
+        .example('$0 replay-spool /data/spool -H localhost'),
+      handler(argv => commands.replaySpool(argv.dir, argv))
+    )
+    .command(
+      'validate [format]',
+      'Check a file without writing output. Checks a standard format file if no format is given.',
+      yargs => yargs
+        .describe('i', 'Input file path. Reads stdin if - or not given.')
+        .alias('i', 'input')
+        .nargs('i', 1)
+        .describe('s', 'Skip the first N lines')
+        .alias('s', 'skip')
+        .nargs('s', 1),
+      handler(argv => commands.validate(argv.format, argv))
+    )
+    .command(
+      'lint [input]',
+      'Check a standard format file and report every problem found',
+      yargs => yargs
+        .describe('json', 'Print the report as JSON')
+        .boolean('json')
+        .describe('maxIssues', 'Maximum number of issues to report')
+        .nargs('maxIssues', 1)
+        .default('maxIssues', 1000),
+      handler(argv => commands.lint(argv))
+    )
+    .command(
+      'list-formats',
+      'List registered formats',
+      yargs => yargs,
+      handler(() => commands.listFormats())
+    )
+    .command(
+      'describe <format>',
+      'Describe a registered format',
+      yargs => yargs,
+      handler(argv => commands.describe(argv.format))
+    )
+    .demandCommand(1, 'Please specify a command')
+    .strict()
+    .help()
+    .argv;
+});
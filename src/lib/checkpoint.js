@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const compression = require('./compression');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Number of bytes at the start of a file used to recognize it
+const headBytes = 1024;
+
+/**
+ * Default checkpoint file path for an input file.
+ * @param {string} input Input file path
+ * @returns {string} Checkpoint file path
+ */
+function checkpointPath(input) {
+  return `${input}.checkpoint.json`;
+}
+exports.checkpointPath = checkpointPath;
+
+/**
+ * Describe a file so that a later run can tell if it's the same file. Uses
+ * device, inode and a hash of the first 1 KB of content.
+ * @param {string} file File path
+ * @param {number} [length=1024] Number of bytes to hash. Pass a previous
+ * identity's headLength to compare against it.
+ * @returns {Object} File identity
+ */
+function fileIdentity(file, length=headBytes) {
+  const stats = fs.statSync(file);
+  const fd = fs.openSync(file, 'r');
+  const buf = Buffer.alloc(Math.min(length, stats.size));
+  try {
+    fs.readSync(fd, buf, 0, buf.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return {
+    path: path.resolve(file),
+    dev: stats.dev,
+    ino: stats.ino,
+    headLength: buf.length,
+    head: crypto.createHash('sha1').update(buf).digest('hex')
+  };
+}
+exports.fileIdentity = fileIdentity;
+
+/**
+ * Read a checkpoint file.
+ * @param {string} file Checkpoint file path
+ * @returns {Object} Checkpoint, or null if file doesn't exist
+ */
+function readCheckpoint(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, {encoding: 'utf8'});
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid checkpoint file ${file}`);
+  }
+}
+exports.readCheckpoint = readCheckpoint;
+
+/**
+ * Write a checkpoint file. The file is replaced atomically so a crash never
+ * leaves a partial checkpoint.
+ * @param {string} file Checkpoint file path
+ * @param {Object} state Checkpoint contents
+ */
+function writeCheckpoint(file, state) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, '  ') + '\n');
+  fs.renameSync(tmp, file);
+}
+exports.writeCheckpoint = writeCheckpoint;
+
+/**
+ * Get where to resume reading an input file from its checkpoint.
+ * @param {string} file Checkpoint file path
+ * @param {string} input Input file path
+ * @returns {Object} { position, lineIndex } of the first unread line. Both are
+ * 0 if there is no checkpoint yet.
+ */
+function resumePoint(file, input) {
+  const state = readCheckpoint(file);
+  if (!state) {
+    return { position: 0, lineIndex: 0 };
+  }
+  const saved = state.input || {};
+  const identity = fileIdentity(input, saved.headLength);
+  if (saved.dev !== identity.dev || saved.ino !== identity.ino || saved.head !== identity.head) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Checkpoint ${file} was made for a different file. Remove it to start over.`);
+  }
+  // Positions in compressed files are of the decompressed text
+  if (!compression.compressionOf(input) && fs.statSync(input).size < state.position) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Input ${input} is shorter than checkpoint ${file}. Remove it to start over.`);
+  }
+  return { position: state.position, lineIndex: state.lineIndex + 1 };
+}
+exports.resumePoint = resumePoint;
+
+/**
+ * Create a function which records a checkpoint after an object from
+ * lineStream() (or a record built from one) has been saved. Objects without
+ * a byte position are ignored.
+ * @param {string} file Checkpoint file path
+ * @param {string} input Input file path
+ * @returns {function} Checkpoint function for saveData()
+ */
+function checkpointer(file, input) {
+  const identity = fileIdentity(input);
+  return o => {
+    if (!o || o.position === undefined) return;
+    const time = o.doc && o.doc.time;
+    writeCheckpoint(file, {
+      input: identity,
+      position: o.position,
+      lineIndex: o.lineIndex,
+      time: time ? moment.utc(+time).toISOString() : null,
+      updated: moment.utc().toISOString()
+    });
+  };
+}
+exports.checkpointer = checkpointer;
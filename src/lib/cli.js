@@ -1,29 +1,54 @@
 const validation = require('../lib/validation');
+const pipeline = require('../lib/pipeline');
+const timestamp = require('../lib/timestamp');
 TimeSeriesCopError = require('../lib/error').TimeSeriesCopError;
 
 /**
- * Process command-line arguments for a text file to Line Protocol script.
- * @returns {Object} yargs argv object
+ * Add options common to all text file to Line Protocol commands.
+ * @param {Object} yargs yargs instance
+ * @returns {Object} yargs instance
  */
-function baseCli() {
-  const argv = require('yargs')
-    .usage('Usage: $0 [options]')
-    .example('$0 -c KOK1606 -m seaflow -i seaflow.csv -d mydb -H localhost')
+function commonOptions(yargs) {
+  yargs = yargs
     .describe('c', 'Cruise name for Line Protocol tags')
     .alias('c', 'cruise')
     .nargs('c', 1)
     .describe('m', 'InfluxDB measurement name')
     .alias('m', 'measurement')
     .nargs('m', 1)
-    .describe('i', 'Input file path')
+    .describe('i', 'Input file paths or glob patterns, e.g. -i tsg-0506.txt tsg-0507.txt or -i \'tsg-*.txt\'. Records of several files are merged in chronological order. Each file must be in order. Reads stdin if - or not given.')
     .alias('i', 'input')
-    .nargs('i', 1)
-    .group(['cruise', 'measurement', 'input'], 'Common Options')
-    .describe('o', 'Output file path. Incompatible with -d or -H.')
+    .array('i')
+    .describe('tag', 'Static tag added to every point, e.g. --tag ship=KOK --tag data_level=1. Repeat for more tags. Keys must match the measurement name regex and differ from column names.')
+    .array('tag')
+    .nargs('tag', 1)
+    .describe('maxTagValues', 'Warn when a tag has more than this many distinct values, which makes many InfluxDB series. 0 turns the check off.')
+    .nargs('maxTagValues', 1)
+    .default('maxTagValues', 1000)
+    .group(['cruise', 'measurement', 'input', 'tag', 'maxTagValues'], 'Common Options')
+    .describe('o', 'Output file path. Incompatible with -d or -H. Writes to stdout if not given and not writing to InfluxDB.')
     .alias('o', 'output')
     .nargs('o', 1)
     .conflicts('output', 'db')
-    .group('output', 'Line protocol File Output Options')
+    .describe('format', 'Output file format: lineprotocol, standard for the standard format, or import for influx -import files. See Import File Options.')
+    .choices('format', ['lineprotocol', 'standard', 'import'])
+    .default('format', 'lineprotocol')
+    .group(['output', 'format'], 'File Output Options')
+    .describe('precision', 'Timestamp precision of line protocol output and InfluxDB writes. One of s, ms, us or ns. Timestamps are rounded down. Line protocol files start with a header for influx -import unless ns. Defaults to ns.')
+    .nargs('precision', 1)
+    .group('precision', 'Common Options')
+    .describe('importDb', 'With --format import, database to import into')
+    .nargs('importDb', 1)
+    .describe('importRp', 'With --format import, retention policy to import into')
+    .nargs('importRp', 1)
+    .default('importRp', 'autogen')
+    .describe('createDb', 'With --format import, create the database first, and the retention policy if --rpDuration is given')
+    .boolean('createDb')
+    .describe('rpDuration', 'With --createDb, duration of the retention policy, e.g. 52w or INF')
+    .nargs('rpDuration', 1)
+    .describe('split', 'With --format import, split output into chunk files of this size, e.g. 100MB, or day for one file per UTC day. A manifest of the chunks is written next to them.')
+    .nargs('split', 1)
+    .group(['importDb', 'importRp', 'createDb', 'rpDuration', 'split'], 'Import File Options')
     .describe('host', 'InfluxDB hostname. Incompatible with -o.')
     .alias('H', 'host')
     .nargs('H', 1)
@@ -39,26 +64,309 @@ function baseCli() {
     .describe('s', 'Skip the first N lines. Useful if you want to skip headers or have a large import and want to use a small batchSize without firing too many downsampling queries.')
     .alias('s', 'skip')
     .nargs('s', 1)
-    .group(['host', 'db'], 'InfluxDB Write Options')
+    .group(['host', 'db'], 'InfluxDB Write Options');
+  return retryOptions(downsampleOptions(influxConnectionOptions(influxV2Options(yargs))))
+    .describe('f', 'Follow a growing input file, like tail -f. Stop with Ctrl-C or SIGTERM.')
+    .alias('f', 'follow')
+    .boolean('f')
+    .describe('flushInterval', 'When following, write buffered InfluxDB points after this many seconds even if the batch is not full.')
+    .nargs('flushInterval', 1)
+    .default('flushInterval', 5)
+    .group(['follow', 'flushInterval'], 'Follow Options')
+    .describe('resample', 'Resample records into windows of this duration, e.g. 1m, before writing. Fields are aggregated as for downsampling. See --aggregate and --angles.')
+    .nargs('resample', 1)
+    .describe('align', 'Timestamp resampled records at the start, middle or end of their window')
+    .choices('align', ['start', 'middle', 'end'])
+    .default('align', 'start')
+    .describe('reorder', 'Put records arriving up to this far out of chronological order, e.g. 30s or 5m, back in order. Records are held in memory for this long. Later records are errors.')
+    .nargs('reorder', 1)
+    .describe('sort', 'Sort all records in chronological order before writing, for unsorted input. Large inputs are sorted in temporary files. Checkpoints aren\'t recorded.')
+    .boolean('sort')
+    .describe('sortBuffer', 'With --sort, records to sort in memory before using temporary files')
+    .nargs('sortBuffer', 1)
+    .default('sortBuffer', 100000)
+    .describe('tmpDir', 'Directory for --sort temporary files. Defaults to the system temporary directory.')
+    .nargs('tmpDir', 1)
+    .describe('dedup', 'Keep one record for each tag set and time, which would otherwise overwrite each other in InfluxDB. One of first, last, merge or reject. first or last keeps that record, merge combines non-null fields with later records winning, and reject treats duplicates as errors. Duplicates must be next to each other in time, so use with --sort or --reorder for unsorted input.')
+    .nargs('dedup', 1)
+    .group(['reorder', 'sort', 'sortBuffer', 'tmpDir', 'dedup'], 'Sort Options')
+    .group(['resample', 'align'], 'Resampling Options')
+    .describe('replace', 'Before writing to InfluxDB, delete existing points of the measurement for the input\'s cruises in the time range it covers, including downsampled points. With --resume only the part of the input after the checkpoint is replaced.')
+    .boolean('replace')
+    .describe('dry-run', 'With --replace, print what would be deleted and stop without deleting or writing anything')
+    .boolean('dry-run')
+    .group(['replace', 'dry-run'], 'Replace Options')
+    .describe('checkpoint', 'Record progress in this file after each batch is written. Defaults to <input>.checkpoint.json when --resume is used.')
+    .string('checkpoint')
+    .nargs('checkpoint', 1)
+    .describe('resume', 'Continue from the checkpoint file, if it exists, and append to the output file.')
+    .boolean('resume')
+    .group(['checkpoint', 'resume'], 'Checkpoint Options')
+    .describe('onError', 'What to do with lines that fail validation. abort stops the import, skip drops them, quarantine drops them and writes them to the reject file.')
+    .choices('onError', ['abort', 'skip', 'quarantine'])
+    .default('onError', 'abort')
+    .describe('maxErrors', 'With skip or quarantine, abort once more than this many lines have been rejected')
+    .nargs('maxErrors', 1)
+    .describe('rejectFile', 'With quarantine, file to write rejected lines to. Tab-separated, or NDJSON if the name ends in .ndjson or .jsonl. Defaults to <input>.rejects.tsv.')
+    .nargs('rejectFile', 1)
+    .group(['onError', 'maxErrors', 'rejectFile'], 'Error Options')
     .check((argv, options) => {
       if (argv.measurement && !validation.validateMeasurement(argv.measurement)) {
         throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid measurement name ${argv.measurement}. Must match regex ${validation.measurementRegex}`);
       }
+      if (argv.replace && (argv.output || argv.follow)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --replace is incompatible with -o or --follow`);
+      }
+      if (argv.sort && (argv.reorder || argv.follow)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --sort is incompatible with --reorder or --follow`);
+      }
+      // Not choices(), which rejects the option when it isn't given in tscop
+      // subcommands
+      if (argv.dedup !== undefined && pipeline.dedupPolicies.indexOf(argv.dedup) === -1) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid --dedup ${argv.dedup}. Must be one of ${pipeline.dedupPolicies.join(', ')}`);
+      }
+      if (argv.precision !== undefined && timestamp.precisions.indexOf(argv.precision) === -1) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid --precision ${argv.precision}. Must be one of ${timestamp.precisions.join(', ')}`);
+      }
+      if (!Number.isInteger(Number(argv.maxTagValues)) || argv.maxTagValues < 0) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid --maxTagValues ${argv.maxTagValues}. Must be a whole number`);
+      }
+      if (argv.maxErrors !== undefined && !(Number.isInteger(Number(argv.maxErrors)) && argv.maxErrors > 0)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid --maxErrors ${argv.maxErrors}. Must be a positive integer`);
+      }
+      if (argv.format === 'import' && (!argv.output || !argv.importDb || argv.resume)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --format import needs -o and --importDb, and can't be used with --resume`);
+      }
+      if (argv.format !== 'import' && (argv.importDb || argv.createDb || argv.rpDuration || argv.split)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --importDb, --createDb, --rpDuration and --split need --format import`);
+      }
+      if (argv.dryRun && !argv.replace) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --dry-run needs --replace`);
+      }
+      return true;
+    });
+}
+exports.commonOptions = commonOptions;
+
+/**
+ * Add options for watching a directory of input files.
+ * @param {Object} yargs yargs instance
+ * @returns {Object} yargs instance
+ */
+function watchOptions(yargs) {
+  yargs = yargs
+    .describe('rules', 'JSON or YAML file of rules mapping filename glob patterns to formats and measurements')
+    .nargs('rules', 1)
+    .describe('c', 'Cruise name for Line Protocol tags, for rules without their own')
+    .alias('c', 'cruise')
+    .nargs('c', 1)
+    .group(['rules', 'cruise'], 'Common Options')
+    .describe('o', 'Output directory for line protocol files, one per input file. Incompatible with -d or -H.')
+    .alias('o', 'output')
+    .nargs('o', 1)
+    .conflicts('output', 'db')
+    .group('output', 'Line protocol File Output Options')
+    .describe('host', 'InfluxDB hostname. Incompatible with -o.')
+    .alias('H', 'host')
+    .nargs('H', 1)
+    .describe('d', 'InfluxDB database name. Incompatible with -o.')
+    .alias('d', 'db')
+    .nargs('d', 1)
+    .implies('db', 'host')
+    .implies('host', 'db')
+    .describe('b', 'InfluxDB import batch size')
+    .alias('b', 'batchSize')
+    .nargs('b', 1)
+    .default('b', 10000)
+    .group(['host', 'db', 'batchSize'], 'InfluxDB Write Options');
+  return retryOptions(downsampleOptions(influxConnectionOptions(influxV2Options(yargs))))
+    .describe('ledger', 'Ledger file recording ingested files. Defaults to .tscop-ledger.json in the watched directory.')
+    .nargs('ledger', 1)
+    .describe('quarantine', 'Move files that fail to import into this directory. Failed files are always listed in the ledger.')
+    .nargs('quarantine', 1)
+    .describe('pollInterval', 'Seconds between directory scans')
+    .nargs('pollInterval', 1)
+    .default('pollInterval', 10)
+    .describe('settle', 'Only import files last modified at least this many seconds ago')
+    .nargs('settle', 1)
+    .default('settle', 10)
+    .describe('once', 'Scan the directory once and exit')
+    .boolean('once')
+    .group(['ledger', 'quarantine', 'pollInterval', 'settle', 'once'], 'Watch Options')
+    .demandOption(['rules'])
+    .check((argv, options) => {
+      if (!argv.output && !argv.db && !argv.bucket && !process.env.INFLUX_BUCKET) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Either -o, -d and -H, or --bucket must be given`);
+      }
       return true;
     });
-  return argv;
+}
+exports.watchOptions = watchOptions;
+
+// Add options for writing to InfluxDB 2.x with the v2 write API
+function influxV2Options(yargs) {
+  return yargs
+    .describe('bucket', 'InfluxDB 2.x bucket name. Writes with the v2 API. Incompatible with -o or -d. Also read from INFLUX_BUCKET if -o and -d are not given.')
+    .nargs('bucket', 1)
+    .describe('org', 'InfluxDB 2.x organization name. Also read from INFLUX_ORG.')
+    .nargs('org', 1)
+    .describe('url', 'InfluxDB 2.x server URL. Also read from INFLUX_URL. Defaults to http://localhost:8086.')
+    .nargs('url', 1)
+    .describe('vizBucket', 'Also write downsampled points to this bucket, like the viz database with -d. See Downsampling Options.')
+    .nargs('vizBucket', 1)
+    .describe('gzip', 'Gzip InfluxDB 2.x write requests. Turn off with --no-gzip.')
+    .boolean('gzip')
+    .default('gzip', true)
+    .group(['bucket', 'org', 'url', 'vizBucket', 'gzip'], 'InfluxDB 2.x Write Options')
+    .check((argv, options) => {
+      // Not conflicts(), which treats options without an alias as always set
+      if (argv.bucket && (argv.output || argv.db)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} --bucket is incompatible with -o or -d`);
+      }
+      return true;
+    });
+}
+
+// Add options for connecting to a secured InfluxDB server. Passwords and
+// tokens are read from a credentials file or environment variables, so they
+// don't show up in process listings or shell history.
+function influxConnectionOptions(yargs) {
+  return yargs
+    .describe('port', 'InfluxDB 1.x port. Defaults to 8086.')
+    .nargs('port', 1)
+    .describe('https', 'Connect to InfluxDB 1.x with https')
+    .boolean('https')
+    .describe('ca', 'Certificate authority bundle (PEM) to trust for https, e.g. for a self-signed server certificate')
+    .nargs('ca', 1)
+    .describe('insecure', 'Accept https server certificates that can\'t be verified')
+    .boolean('insecure')
+    .describe('credentials', 'JSON or YAML file with InfluxDB username and password, or token for InfluxDB 2.x. Otherwise read from INFLUX_USERNAME, INFLUX_PASSWORD and INFLUX_TOKEN.')
+    .nargs('credentials', 1)
+    .group(['port', 'https', 'ca', 'insecure', 'credentials'], 'InfluxDB Connection Options');
+}
+
+/**
+ * Add options for replaying spooled batches to InfluxDB.
+ * @param {Object} yargs yargs instance
+ * @returns {Object} yargs instance
+ */
+function replayOptions(yargs) {
+  yargs = yargs
+    .describe('host', 'InfluxDB 1.x hostname, for batches spooled with -d')
+    .alias('H', 'host')
+    .nargs('H', 1)
+    .describe('url', 'InfluxDB 2.x server URL, for batches spooled with --bucket. Also read from INFLUX_URL. Defaults to http://localhost:8086.')
+    .nargs('url', 1)
+    .describe('gzip', 'Gzip write requests. Turn off with --no-gzip.')
+    .boolean('gzip')
+    .default('gzip', true)
+    .group(['host', 'url', 'gzip'], 'InfluxDB Write Options');
+  return influxConnectionOptions(yargs);
+}
+exports.replayOptions = replayOptions;
+
+// Add options for retrying InfluxDB writes and spooling batches that can't be
+// written
+function retryOptions(yargs) {
+  return yargs
+    .describe('retries', 'Times to retry InfluxDB writes and downsampling queries when the server is unreachable or unavailable')
+    .nargs('retries', 1)
+    .default('retries', 3)
+    .describe('retryDelay', 'Seconds to wait before the first retry. Doubles after each retry.')
+    .nargs('retryDelay', 1)
+    .default('retryDelay', 1)
+    .describe('spool', 'Save batches that still can\'t be written to this directory as line protocol files, and carry on. Write them later with tscop replay-spool.')
+    .nargs('spool', 1)
+    .group(['retries', 'retryDelay', 'spool'], 'Retry Options');
+}
+
+// Add options for downsampling points written to InfluxDB
+function downsampleOptions(yargs) {
+  return yargs
+    .describe('windows', 'Comma-separated downsampling windows, e.g. 1m,3m,1h. With several windows each is written to <measurement>_<window>. Use none to turn off downsampling.')
+    .nargs('windows', 1)
+    .default('windows', '3m')
+    .describe('downsampleInto', 'Database and retention policy for downsampled points with -d')
+    .nargs('downsampleInto', 1)
+    .default('downsampleInto', 'viz.autogen')
+    .describe('aggregate', 'Downsampling functions by field, e.g. temp=min:max,salinity=median. One of mean, min, max, median, last or count. With several functions each is written to <field>_<function>. Defaults to mean for numbers and last for text and booleans.')
+    .nargs('aggregate', 1)
+    .describe('angles', 'Units of angle fields, e.g. heading=degrees,lon=longitude. One of degrees, radians or longitude. Their means are circular means, in [0, 360) for degrees, [0, 2pi) for radians and (-180, 180] for longitude.')
+    .nargs('angles', 1)
+    .group(['windows', 'downsampleInto', 'aggregate', 'angles'], 'Downsampling Options');
+}
+
+/**
+ * Process command-line arguments for a text file to Line Protocol script.
+ * @returns {Object} yargs argv object
+ */
+function baseCli() {
+  return commonOptions(require('yargs')
+    .usage('Usage: $0 [options]')
+    .example('$0 -c KOK1606 -m seaflow -i seaflow.csv -d mydb -H localhost'));
 }
 
 function standardCli() {
   return baseCli()
-    .demandOption(['i'])
     .argv;
 }
 exports.standardCli = standardCli;
 
 function cli() {
   return baseCli()
-    .demandOption(['i', 'm', 'c'])
+    .demandOption(['m', 'c'])
     .argv;
 }
 exports.cli = cli;
+
+function genericCli() {
+  return baseCli()
+    .describe('p', 'Parser definition file (JSON or YAML), or name of a shipped definition')
+    .alias('p', 'parser')
+    .nargs('p', 1)
+    .group('parser', 'Common Options')
+    .demandOption(['m', 'c', 'p'])
+    .argv;
+}
+exports.genericCli = genericCli;
+
+/**
+ * Print a TimeSeriesCopError and exit with a non-zero status. Any other error
+ * is rethrown.
+ * @param {Error} e Error to handle
+ */
+function handleError(e) {
+  if (e instanceof TimeSeriesCopError) {
+    console.error(`${e.name}: ${e.message}`);
+    process.exit(1);
+  } else {
+    throw e;
+  }
+}
+exports.handleError = handleError;
+
+/**
+ * Run a command function, handling errors thrown while parsing arguments or
+ * creating a pipeline with handleError(). Errors inside a running pipeline are
+ * handled by saveData().
+ * @param {function} fn Command function
+ */
+function run(fn) {
+  if (process.stdout.listeners('error').indexOf(stdoutError) === -1) {
+    process.stdout.on('error', stdoutError);
+  }
+  try {
+    return fn();
+  } catch (e) {
+    handleError(e);
+  }
+}
+exports.run = run;
+
+// Stop quietly when whatever reads stdout goes away, e.g. head
+function stdoutError(e) {
+  if (e.code !== 'EPIPE') {
+    throw e;
+  }
+  process.exit(0);
+}
@@ -0,0 +1,860 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const _ = require('lodash');
+const minimatch = require('minimatch');
+const checkpoint = require('./checkpoint');
+const compression = require('./compression');
+const credentials = require('./credentials');
+const downsample = require('./downsample');
+const follow = require('./follow');
+const importFile = require('./importFile');
+const pipeline = require('./pipeline');
+const parser = require('./standardParser');
+const registry = require('./registry');
+const replace = require('./replace');
+const sort = require('./sort');
+const spool = require('./spool');
+const validation = require('./validation');
+const watch = require('./watch');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+/**
+ * Convert a text file with a registered format to line protocol or write it
+ * to InfluxDB. Several input files or glob patterns, e.g. 'tsg-*.txt', are
+ * read as one stream, merging their records in chronological order. Reads
+ * stdin if the input is '-' or not given, and writes to stdout if neither an
+ * output file nor InfluxDB is given.
+ * @param {string|Object} format Format name, definition file, or format object
+ * @param {Object} argv Parsed command-line arguments
+ * @param {function} [callback] Called with (err, count, rejected) once all
+ * points are written and the output files are closed. If given, errors in the pipeline are
+ * passed here instead of ending the process.
+ * @returns {Object} Highland stream, already being consumed by saveData(), or
+ * a Promise for it if the format infers its schema from the input file or
+ * --replace is given
+ */
+function convert(format, argv, callback) {
+  format = registry.getFormat(format);
+  const inputs = inputFiles(argv.input);
+  if (inputs.length > 1 && (argv.follow || argv.checkpoint || argv.resume)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --follow, --checkpoint and --resume need a single input file`);
+  }
+  if (argv.follow && compression.compressionOf(inputs[0])) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --follow can't be used with compressed input`);
+  }
+  if (_.includes(inputs, '-')) {
+    if (inputs.length > 1 || argv.follow || argv.checkpoint || argv.resume || argv.replace) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} stdin can't be used with other input files, --follow, --checkpoint, --resume or --replace`);
+    }
+    if (format.inferSchema) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Format ${format.name} reads its input twice, so needs an input file`);
+    }
+    if (argv.onError === 'quarantine' && !argv.rejectFile) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} --onError quarantine with stdin needs --rejectFile`);
+    }
+  }
+  argv = Object.assign({}, argv, { input: inputs.length > 1 ? inputs : inputs[0] });
+  if (format.inferSchema) {
+    return inferredSchema(format, inputs, argv.measurement)
+      .then(outputSchema => {
+        return convert(Object.assign({}, format, { outputSchema, inferSchema: null }), argv, callback);
+      })
+      .catch(e => callback ? callback(e, 0, 0) : exitOnError(e));
+  }
+  if (argv.replace) {
+    return Promise.resolve()
+      .then(() => replaceRange(format, argv))
+      .then(() => {
+        if (argv.dryRun) {
+          return callback ? callback(null, 0, 0) : null;
+        }
+        return convert(format, Object.assign({}, argv, { replace: false }), callback);
+      })
+      .catch(e => callback ? callback(e, 0, 0) : exitOnError(e));
+  }
+
+  // Find where to start reading and where to record progress
+  let resume = { position: 0, lineIndex: 0 };
+  let checkpointFile = null;
+  if (argv.checkpoint || argv.resume) {
+    checkpointFile = argv.checkpoint || checkpoint.checkpointPath(argv.input);
+    if (argv.resume) {
+      resume = checkpoint.resumePoint(checkpointFile, argv.input);
+    }
+  }
+
+  // Resuming appends to a partial output file
+  const appending = argv.resume && argv.output && fs.existsSync(argv.output) && fs.statSync(argv.output).size > 0;
+  const v1 = influxV1Settings(argv);
+  const v2 = influxV2Settings(argv);
+  let outstream;
+  if (argv.format === 'import') {
+    outstream = importWriter(argv);
+  } else if (argv.output) {
+    outstream = compression.createOutputStream(argv.output, {flags: argv.resume ? 'a' : 'w'});
+  } else if (!v2.bucket && !(argv.host && argv.db)) {
+    outstream = process.stdout;
+  }
+  let ds = downsampleSettings(argv, format);
+  const sp = spoolSettings(argv);
+  if (inputs.length > 1) {
+    format = mergedFormat(format, inputs);
+  }
+  const tags = pipeline.parseTags(argv.tag, _.keys(format.outputSchema));
+  if (!_.isEmpty(tags)) {
+    format = taggedFormat(format, tags);
+  }
+  format = sortedFormat(format, argv);
+  const duplicates = { count: 0, examples: [] };  // found with --dedup
+  if (argv.dedup) {
+    format = dedupedFormat(format, argv, (o, kept) => {
+      if (duplicates.count++ < 3) {
+        duplicates.examples.push(`${pipeline.lineName(o)} (same as ${pipeline.lineName(kept)})`);
+      }
+    });
+  }
+  if (argv.resample) {
+    format = resampledFormat(format, argv, ds);
+    // Resampled fields are downsampled further with their default aggregations
+    ds = Object.assign({}, ds, { aggregations: format.aggregations, angles: format.angles });
+  }
+  // influx -import files are line protocol with their own header
+  const outputFormat = argv.format === 'standard' ? 'standard' : 'lineprotocol';
+  const { rejectStream, rejectFormat } = rejectSettings(argv, inputs[0]);
+  let input = { start: argv.skip, position: resume.position, lineIndex: resume.lineIndex };
+  if (argv.follow) {
+    input.instream = follow.followFile(argv.input, {position: resume.position});
+    // End the input on shutdown so pending points are written before exit
+    process.once('SIGINT', input.instream.stop);
+    process.once('SIGTERM', input.instream.stop);
+  } else if (inputs.length === 1) {
+    input = openInput(argv.input, resume, argv.skip);
+  }
+  return format.pipeline({
+    instream: input.instream,
+    start: input.start,
+    cruise: argv.cruise,
+    measurement: argv.measurement,
+    position: checkpointFile ? input.position : null,
+    lineIndex: input.lineIndex
+  })
+  .through(pipeline.checkTagCardinality({
+    schema: format.outputSchema,
+    maxValues: argv.maxTagValues,
+    onWarning: message => console.error(`Warning: ${message}`)
+  }))
+  .through(pipeline.saveData({
+    measurement: argv.measurement,
+    schema: format.outputSchema,
+    host: argv.host,
+    database: argv.db,
+    port: v1.port,
+    protocol: v1.protocol,
+    username: v1.username,
+    password: v1.password,
+    ca: v2.bucket ? v2.ca : v1.ca,
+    rejectUnauthorized: v2.bucket ? v2.rejectUnauthorized : v1.rejectUnauthorized,
+    serverUrl: v2.serverUrl,
+    org: v2.org,
+    bucket: v2.bucket,
+    token: v2.token,
+    gzip: v2.gzip,
+    vizBucket: v2.vizBucket,
+    outstream: outstream,
+    batchSize: argv.batchSize,
+    windows: ds.windows,
+    downsampleTarget: ds.downsampleTarget,
+    aggregations: ds.aggregations,
+    angles: ds.angles,
+    flushInterval: argv.follow ? argv.flushInterval : null,
+    retries: sp.retries,
+    retryDelay: sp.retryDelay,
+    spoolDir: sp.spoolDir,
+    onSpool: sp.onSpool,
+    checkpoint: checkpointFile ? checkpoint.checkpointer(checkpointFile, argv.input) : null,
+    format: outputFormat,
+    cruise: argv.cruise,
+    description: format.description || format.name,
+    columnDescriptions: format.columnDescriptions,
+    units: format.units,
+    writeHeader: !appending && argv.format !== 'import',
+    summary: argv.dedup ? (() => duplicateSummary(duplicates, argv.dedup)) : null,
+    errorPolicy: argv.onError,
+    maxErrors: argv.maxErrors,
+    rejectStream,
+    rejectFormat,
+    closeStreams: true,
+    precision: argv.precision || 'ns',
+    tags,
+    callback
+  }));  // saveData consumes and ends the stream
+}
+exports.convert = convert;
+
+/**
+ * Watch a directory and convert new or modified files with the format of the
+ * first matching rule. See watch.watchDirectory(). Line protocol output is
+ * written to one file per input in the output directory, named after the
+ * input file with an .lp extension.
+ * @param {string} dir Directory to watch
+ * @param {Object} argv Parsed command-line arguments
+ * @returns {Object} Watcher from watch.watchDirectory()
+ */
+function watchDir(dir, argv) {
+  const rules = watch.loadWatchRules(argv.rules);
+  rules.forEach(r => {
+    registry.getFormat(r.format);  // fail early on unknown formats
+    if (!r.cruise && !argv.cruise) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Watch rule for ${r.pattern} has no cruise and -c was not given`);
+    }
+  });
+  if (argv.output && !fs.existsSync(argv.output)) {
+    fs.mkdirSync(argv.output);
+  }
+
+  const importFile = (file, rule) => new Promise((resolve, reject) => {
+    const name = path.basename(file, path.extname(file));
+    convert(rule.format, {
+      input: file,
+      output: argv.output ? path.join(argv.output, `${name}.lp`) : null,
+      cruise: rule.cruise || argv.cruise,
+      measurement: rule.measurement,
+      skip: rule.skip,
+      host: argv.host,
+      db: argv.db,
+      bucket: argv.bucket,
+      org: argv.org,
+      url: argv.url,
+      vizBucket: argv.vizBucket,
+      gzip: argv.gzip,
+      port: argv.port,
+      https: argv.https,
+      ca: argv.ca,
+      insecure: argv.insecure,
+      credentials: argv.credentials,
+      windows: argv.windows,
+      downsampleInto: argv.downsampleInto,
+      aggregate: argv.aggregate,
+      angles: argv.angles,
+      retries: argv.retries,
+      retryDelay: argv.retryDelay,
+      spool: argv.spool,
+      batchSize: argv.batchSize
+    }, (err, count) => err ? reject(err) : resolve(count));
+  });
+
+  const watcher = watch.watchDirectory(dir, {
+    rules,
+    importFile,
+    ledger: argv.ledger,
+    quarantine: argv.quarantine,
+    pollInterval: argv.pollInterval * 1000,
+    settle: argv.settle * 1000,
+    once: argv.once,
+    onFile: (err, entry) => {
+      if (err) {
+        console.error(`Failed ${entry.path}, will retry: ${err.message}`);
+      } else if (entry.status === 'imported') {
+        console.error(`Imported ${entry.path}. Wrote ${entry.points} points.`);
+      } else {
+        console.error(`Quarantined ${entry.path}: ${entry.error}`);
+      }
+    }
+  });
+  // Finish the current file before exiting
+  process.once('SIGINT', watcher.stop);
+  process.once('SIGTERM', watcher.stop);
+  watcher.finished.catch(exitOnError);
+  return watcher;
+}
+exports.watchDir = watchDir;
+
+/**
+ * Parse a file without writing any output and report the number of valid
+ * records. If format is not given the file is checked as a standard format
+ * file.
+ * @param {string|Object} [format] Format name, definition file, or format
+ * object
+ * @param {Object} argv Parsed command-line arguments
+ * @returns {Promise} Resolves to the number of valid records
+ */
+function validate(format, argv) {
+  const input = argv.input || '-';
+  const inputStream = readInput(input);
+  let p;
+  if (format) {
+    format = registry.getFormat(format);
+    if (format.inferSchema && input === '-') {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Format ${format.name} reads its input twice, so needs an input file`);
+    }
+    const schema = format.inferSchema ? format.inferSchema(argv.input, { measurement: argv.measurement || null }) : Promise.resolve(format.outputSchema);
+    p = schema.then(outputSchema => new Promise((resolve, reject) => {
+      let count = 0;
+      format.pipeline({ instream: inputStream, start: argv.skip, cruise: argv.cruise || 'validate', measurement: argv.measurement || null })
+        .through(pipeline.writeDocToLineProtocol({
+          measurement: format.name,
+          schema: outputSchema,
+          ensureSorted: false,
+          outstream: nullStream()
+        }))
+        .doto(() => count++)
+        .stopOnError(reject)
+        .done(() => resolve(count));
+    }));
+  } else {
+    p = parser.parseStandardFile(inputStream, nullStream())
+      .then(result => result.points);
+  }
+  return p.then(count => {
+    console.log(`Valid. Read ${count} records.`);
+    return count;
+  })
+  .catch(exitOnError);
+}
+exports.validate = validate;
+
+/**
+ * Check a standard format file and print every problem found, as text or as
+ * JSON. Exits with a non-zero status after printing if there were problems.
+ * @param {Object} argv Parsed command-line arguments
+ * @returns {Promise} Resolves to the lint report
+ */
+function lint(argv) {
+  const inputStream = readInput(argv.input || '-');
+  return parser.lintStandardFile(inputStream, {maxIssues: argv.maxIssues})
+    .then(report => {
+      if (argv.json) {
+        console.log(JSON.stringify(report, null, '  '));
+      } else {
+        report.issues.forEach(i => console.log(formatIssue(i)));
+        if (report.issueCount > report.issues.length) {
+          console.log(`... ${report.issueCount - report.issues.length} more issues not shown`);
+        }
+        if (report.valid) {
+          console.log(`No issues found. Checked ${report.records} records.`);
+        } else {
+          console.log(`Found ${report.issueCount} issues. Checked ${report.records} records.`);
+        }
+      }
+      if (!report.valid) {
+        process.exitCode = 1;
+      }
+      return report;
+    })
+    .catch(exitOnError);
+}
+exports.lint = lint;
+
+/**
+ * Write batches spooled by a failed import to InfluxDB, oldest first. Batches
+ * for an InfluxDB 1.x database are written to the host given with -H, and
+ * batches for a 2.x bucket to --url.
+ * @param {string} dir Spool directory
+ * @param {Object} argv Parsed command-line arguments
+ * @returns {Promise} Resolves to { files, lines } counts of replayed files and
+ * lines
+ */
+function replaySpool(dir, argv) {
+  const creds = credentials.influxCredentials({file: argv.credentials});
+  const tls = tlsSettings(argv);
+  const v1 = argv.host ? Object.assign({
+    serverUrl: `${argv.https ? 'https' : 'http'}://${argv.host}:${argv.port || 8086}`,
+    username: creds.username,
+    password: creds.password
+  }, tls) : null;
+  const v2 = Object.assign({
+    serverUrl: argv.url || process.env.INFLUX_URL || 'http://localhost:8086',
+    token: creds.token,
+    gzip: argv.gzip !== false
+  }, tls);
+  return spool.replaySpool(dir, {
+    v1,
+    v2,
+    onFile: (file, batch) => console.log(`Replayed ${file}. Wrote ${batch.lines.length} points.`)
+  })
+  .then(result => {
+    console.log(`Replayed ${result.files} spool files.`);
+    return result;
+  })
+  .catch(exitOnError);
+}
+exports.replaySpool = replaySpool;
+
+/**
+ * Convert a standard format file to line protocol or write it to InfluxDB.
+ * @param {Object} argv Parsed command-line arguments
+ * @returns {Promise} Resolves to parse result with point count and header
+ */
+function standard(argv) {
+  if (argv.format === 'standard') {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Input is already in the standard format`);
+  }
+  if (argv.resample) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --resample can't be used with standard format input`);
+  }
+  if (argv.replace) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --replace can't be used with standard format input`);
+  }
+  if (argv.sort || argv.reorder || argv.dedup) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --sort, --reorder and --dedup can't be used with standard format input`);
+  }
+  if (argv.follow) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --follow can't be used with standard format input`);
+  }
+  if (argv.checkpoint || argv.resume) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --checkpoint and --resume can't be used with standard format input`);
+  }
+  const inputs = inputFiles(argv.input);
+  if (inputs.length > 1) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Standard format input must be a single file`);
+  }
+  if (inputs[0] === '-' && argv.onError === 'quarantine' && !argv.rejectFile) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --onError quarantine with stdin needs --rejectFile`);
+  }
+  const inputStream = readInput(inputs[0]);
+  const v2 = influxV2Settings(argv);
+  let p;
+  const ds = downsampleSettings(argv);
+  const sp = spoolSettings(argv);
+  const precision = argv.precision || 'ns';
+  const rejects = rejectSettings(argv, inputs[0]);
+  const options = {
+    tags: argv.tag,
+    maxTagValues: argv.maxTagValues,
+    errorPolicy: argv.onError,
+    maxErrors: argv.maxErrors === undefined ? Infinity : parseInt(argv.maxErrors),
+    rejectStream: rejects.rejectStream,
+    rejectFormat: rejects.rejectFormat
+  };
+  if (v2.bucket) {
+    p = parser.parseStandardFileToDB(inputStream, Object.assign({
+      connection: Object.assign(v2, ds, sp, { precision })
+    }, options));
+  } else if (argv.host && argv.db) {
+    p = parser.parseStandardFileToDB(inputStream, Object.assign({
+      host: argv.host,
+      db: argv.db,
+      connection: Object.assign(influxV1Settings(argv), ds, sp, { precision })
+    }, options));
+  } else if (argv.output) {
+    const outstream = argv.format === 'import' ? importWriter(argv) : compression.createOutputStream(argv.output);
+    p = parser.parseStandardFile(inputStream, outstream, Object.assign({
+      precision,
+      writeHeader: argv.format !== 'import'
+    }, options))
+      .then(result => new Promise(resolve => outstream.end(() => resolve(result))));
+  } else {
+    p = parser.parseStandardFile(inputStream, process.stdout, Object.assign({ precision }, options));
+  }
+  if (rejects.rejectStream) {
+    p = p.then(result => new Promise(resolve => rejects.rejectStream.end(() => resolve(result))));
+  }
+  return p.then(result => {
+    console.error(JSON.stringify(result, null, "  "));
+    return result;
+  })
+  .catch(exitOnError);
+}
+exports.standard = standard;
+
+/**
+ * Print registered format names and descriptions.
+ */
+function listFormats() {
+  const formats = registry.listFormats();
+  const width = _.max(formats.map(f => f.name.length));
+  formats.forEach(f => console.log(`${_.padEnd(f.name, width)}  ${f.description}`));
+}
+exports.listFormats = listFormats;
+
+/**
+ * Print details of a registered format.
+ * @param {string|Object} format Format name, definition file, or format object
+ */
+function describe(format) {
+  format = registry.getFormat(format);
+  console.log(`Name: ${format.name}`);
+  console.log(`Description: ${format.description}`);
+  console.log(`Sample line: ${format.sample}`);
+  console.log('Output schema:');
+  _.keys(format.outputSchema).forEach(k => console.log(`  ${k}: ${format.outputSchema[k]}`));
+  if (format.definition) {
+    console.log('Parser definition:');
+    console.log(JSON.stringify(format.definition, null, '  '));
+  }
+}
+exports.describe = describe;
+
+// Create the writer for --format import files
+function importWriter(argv) {
+  return importFile.createImportWriter(argv.output, {
+    database: argv.importDb,
+    retentionPolicy: argv.importRp || 'autogen',
+    createDatabase: argv.createDb,
+    duration: argv.rpDuration,
+    precision: argv.precision || 'ns',
+    split: argv.split
+  });
+}
+
+// Get InfluxDB 1.x connection settings from arguments, a credentials file or
+// environment variables. Empty if -d isn't being used.
+function influxV1Settings(argv) {
+  if (!argv.db) {
+    return {};
+  }
+  const creds = credentials.influxCredentials({file: argv.credentials});
+  return Object.assign({
+    port: argv.port || 8086,
+    protocol: argv.https ? 'https' : 'http',
+    username: creds.username,
+    password: creds.password
+  }, tlsSettings(argv));
+}
+
+// Get InfluxDB 2.x write settings from arguments, a credentials file or
+// environment variables. bucket is null if the v2 API isn't being used.
+function influxV2Settings(argv) {
+  let bucket = argv.bucket;
+  if (!bucket && !argv.output && !argv.db) {
+    bucket = process.env.INFLUX_BUCKET;
+  }
+  if (!bucket) {
+    return { bucket: null };
+  }
+  const creds = credentials.influxCredentials({file: argv.credentials});
+  const settings = Object.assign({
+    serverUrl: argv.url || process.env.INFLUX_URL || 'http://localhost:8086',
+    org: argv.org || process.env.INFLUX_ORG,
+    bucket,
+    token: creds.token,
+    gzip: argv.gzip !== false,
+    vizBucket: argv.vizBucket || null
+  }, tlsSettings(argv));
+  if (!settings.org) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Writing to bucket ${bucket} needs an organization from --org or INFLUX_ORG`);
+  }
+  return settings;
+}
+
+// Get downsampling settings from arguments. Aggregations and angles given on
+// the command line replace those of the format for the same field.
+function downsampleSettings(argv, format={}) {
+  let windows = null;  // use saveData() default
+  if (argv.windows !== undefined) {
+    windows = String(argv.windows) === 'none' ? [] : String(argv.windows).split(',').map(w => w.trim());
+  }
+  return {
+    windows,
+    downsampleTarget: argv.downsampleInto || 'viz.autogen',
+    aggregations: Object.assign({}, format.aggregations, downsample.parseAggregations(argv.aggregate)),
+    angles: Object.assign({}, format.angles, downsample.parseAngles(argv.angles))
+  };
+}
+
+// Open the reject file for --onError quarantine, by default next to input.
+// Returns { rejectStream, rejectFormat }, with a null stream for other
+// policies.
+function rejectSettings(argv, input) {
+  if (argv.onError !== 'quarantine') {
+    return { rejectStream: null, rejectFormat: 'tsv' };
+  }
+  const rejectFile = argv.rejectFile || `${input}.rejects.tsv`;
+  const ndjson = _.includes(['.ndjson', '.jsonl'], path.extname(rejectFile).toLowerCase());
+  return {
+    rejectStream: fs.createWriteStream(rejectFile, {flags: argv.resume ? 'a' : 'w'}),
+    rejectFormat: ndjson ? 'ndjson' : 'tsv'
+  };
+}
+
+// Get retry and spool settings from arguments
+function spoolSettings(argv) {
+  return {
+    retries: argv.retries === undefined ? 3 : parseInt(argv.retries),
+    retryDelay: argv.retryDelay === undefined ? 1 : parseFloat(argv.retryDelay),
+    spoolDir: argv.spool || null,
+    onSpool: (file, err) => console.error(`Could not write to InfluxDB: ${err.message}. Spooled batch to ${file}`)
+  };
+}
+
+// Expand input file paths and glob patterns, e.g. 'logs/tsg-*.txt', in
+// argument order and then name order. Paths that exist are taken literally.
+// No input or '-' is stdin, returned as '-'.
+function inputFiles(input) {
+  const magic = /[*?[{]/;
+  if (input === undefined || input === null || (_.isArray(input) && !input.length)) {
+    input = '-';  // yargs parses -i - as an empty array
+  }
+  const files = _.flatMap(_.castArray(input), pattern => {
+    pattern = String(pattern);
+    if (!magic.test(pattern) || fs.existsSync(pattern)) {
+      return [pattern];
+    }
+    const parts = pattern.split('/').filter(p => p);
+    let matches = [path.isAbsolute(pattern) ? '/' : '.'];
+    parts.forEach((part, i) => {
+      const isMatch = i === parts.length - 1 ? (s => s.isFile()) : (s => s.isDirectory());
+      matches = _.flatMap(matches, dir => {
+        let candidates = [path.join(dir, part)];
+        if (magic.test(part)) {
+          try {
+            candidates = fs.readdirSync(dir).sort().filter(name => minimatch(name, part)).map(name => path.join(dir, name));
+          } catch (e) {
+            return [];
+          }
+        }
+        return candidates.filter(c => fs.existsSync(c) && isMatch(fs.statSync(c)));
+      });
+    });
+    if (!matches.length) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} No input files match ${pattern}`);
+    }
+    return matches;
+  });
+  if (!files.length) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} No input files given`);
+  }
+  return _.uniq(files);
+}
+
+// Open an input file where a resumed conversion left off, with the line to
+// start at and the byte position and line index of the start of the stream.
+// Compressed files can't be read from a byte position, so they're read from
+// the beginning, skipping lines already done. Without a resume point, start is
+// skip, which is undefined unless -s is given so formats skip their own
+// header lines.
+function openInput(file, resume, skip) {
+  if (file === '-') {
+    return { instream: process.stdin, start: skip, position: 0, lineIndex: 0 };
+  }
+  if (compression.compressionOf(file)) {
+    return {
+      instream: fs.createReadStream(file),
+      start: resume.lineIndex ? Math.max(skip || 0, resume.lineIndex) : skip,
+      position: 0,
+      lineIndex: 0
+    };
+  }
+  return {
+    instream: fs.createReadStream(file, {start: resume.position}),
+    start: skip,
+    position: resume.position,
+    lineIndex: resume.lineIndex
+  };
+}
+
+// Open an input file, or stdin for '-'
+function readInput(file) {
+  return file === '-' ? process.stdin : fs.createReadStream(file);
+}
+
+// Infer the schema of a format's records from each input file in turn, and
+// combine them so columns found in any file are kept. Integer and float
+// columns combine as float. Other type conflicts are errors.
+function inferredSchema(format, inputs, measurement) {
+  const found = {};  // file each column was first found in
+  return inputs.reduce((p, file) => p.then(schema => {
+    return format.inferSchema(file, { measurement }).then(fileSchema => {
+      _.keys(fileSchema).forEach(k => {
+        const prev = schema[k];
+        const type = fileSchema[k];
+        if (prev === undefined || prev === type) {
+          schema[k] = type;
+          found[k] = found[k] || file;
+        } else if (_.includes(['integer', 'float'], prev) && _.includes(['integer', 'float'], type)) {
+          schema[k] = 'float';
+        } else {
+          throw new TimeSeriesCopError(`${validation.errorPrefix} ${k} is ${prev} in ${found[k]} but ${type} in ${file}`);
+        }
+      });
+      return schema;
+    });
+  }), Promise.resolve({}));
+}
+
+// Make a format which reads several input files and merges their records in
+// chronological order. Each file's records and errors are labeled with its
+// path, and its line indices start at 0.
+function mergedFormat(format, inputs) {
+  return Object.assign({}, format, {
+    pipeline: opts => sort.mergeByTime(inputs.map(file => format.pipeline(Object.assign({}, opts, {
+      instream: fs.createReadStream(file),
+      position: null,
+      lineIndex: 0
+    })).through(pipeline.inFile(file))))
+  });
+}
+
+// Make a format which puts records in chronological order with --reorder or
+// --sort. Returns format unchanged if neither is given.
+function sortedFormat(format, argv) {
+  let transform;
+  if (argv.sort) {
+    transform = sort.externalSort({ bufferSize: argv.sortBuffer, tmpDir: argv.tmpDir || os.tmpdir() });
+  } else if (argv.reorder) {
+    transform = sort.reorder({ lateness: argv.reorder });
+  } else {
+    return format;
+  }
+  return Object.assign({}, format, {
+    pipeline: opts => format.pipeline(opts).through(transform)
+  });
+}
+
+// Make a format which adds static --tag tags to each record as categories
+function taggedFormat(format, tags) {
+  return Object.assign({}, format, {
+    outputSchema: Object.assign({}, format.outputSchema, _.mapValues(tags, () => 'category')),
+    pipeline: opts => format.pipeline(opts).doto(o => Object.assign(o.doc, tags))
+  });
+}
+
+// Make a format which keeps one record for each tag set and time with
+// --dedup, calling onDuplicate with each duplicate found
+function dedupedFormat(format, argv, onDuplicate) {
+  const transform = pipeline.dedup({ schema: format.outputSchema, policy: argv.dedup, onDuplicate });
+  return Object.assign({}, format, {
+    pipeline: opts => format.pipeline(opts).through(transform)
+  });
+}
+
+// Describe duplicates found with --dedup for the import summary
+function duplicateSummary(duplicates, policy) {
+  const examples = duplicates.count ? `, e.g. ${duplicates.examples.join(', ')}` : '';
+  return `Found ${duplicates.count} duplicate records (${policy})${examples}.`;
+}
+
+// Make a format which resamples the records of another with --resample and
+// --align, aggregating as for downsampling
+function resampledFormat(format, argv, ds) {
+  const plan = downsample.downsamplePlan(argv.measurement, format.outputSchema, {
+    windows: [argv.resample],
+    aggregations: ds.aggregations,
+    angles: ds.angles
+  });
+  // Resampled fields keep the description and units of their source field
+  const bySelector = properties => _.pickBy(_.assign(
+    _.pick(properties, plan.tags),
+    _.fromPairs(plan.selectors.map(s => [s.as, properties[s.field]]))
+  ));
+  return Object.assign({}, format, {
+    outputSchema: downsample.aggregatedSchema(plan),
+    columnDescriptions: bySelector(format.columnDescriptions || {}),
+    units: bySelector(format.units || {}),
+    aggregations: {},
+    angles: _.fromPairs(plan.selectors.filter(s => s.angle).map(s => [s.as, s.angle])),
+    pipeline: opts => format.pipeline(opts).through(pipeline.resample({
+      measurement: argv.measurement,
+      schema: format.outputSchema,
+      window: argv.resample,
+      aggregations: ds.aggregations,
+      angles: ds.angles,
+      align: argv.align
+    }))
+  });
+}
+
+// Delete the points an import with --replace will write again, in the time
+// range and cruises of its input after any checkpoint, printing each delete.
+// With --dry-run deletes are only printed.
+function replaceRange(format, argv) {
+  const v1 = influxV1Settings(argv);
+  const v2 = influxV2Settings(argv);
+  if (!argv.db && !v2.bucket) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} --replace needs an InfluxDB database or bucket`);
+  }
+  const ds = downsampleSettings(argv, format);
+  const inputs = _.castArray(argv.input);
+  if (inputs.length > 1) {
+    format = mergedFormat(format, inputs);
+  }
+  if (argv.resample) {
+    format = resampledFormat(format, argv, ds);
+  }
+  let resume = { position: 0, lineIndex: 0 };
+  if (argv.resume) {
+    resume = checkpoint.resumePoint(argv.checkpoint || checkpoint.checkpointPath(argv.input), argv.input);
+  }
+  const input = inputs.length > 1 ? { start: argv.skip } : openInput(argv.input, resume, argv.skip);
+  const records = format.pipeline({
+    instream: input.instream,
+    start: input.start,
+    cruise: argv.cruise,
+    measurement: argv.measurement,
+    lineIndex: input.lineIndex
+  });
+  return replace.scanRange(records).then(range => {
+    if (range.start === null) {
+      console.error('No points to replace.');
+      return;
+    }
+    if (!range.cruises.length) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} --replace needs records with a cruise tag`);
+    }
+    const plan = downsample.downsamplePlan(argv.measurement, format.outputSchema, {
+      windows: ds.windows || ['3m'],  // saveData() default
+      aggregations: ds.aggregations,
+      angles: ds.angles
+    });
+    const deletes = replace.replaceDeletes(Object.assign({
+      measurement: argv.measurement,
+      database: argv.db,
+      downsampleTarget: ds.downsampleTarget,
+      windows: plan.windows
+    }, range, _.pick(v2, ['org', 'bucket', 'vizBucket'])));
+    deletes.forEach(d => console.error(`${argv.dryRun ? 'Would delete' : 'Deleting'} from ${replace.describeDelete(d)}`));
+    if (argv.dryRun) {
+      return;
+    }
+    return replace.deletePoints(deletes, {
+      v1: Object.assign({ serverUrl: `${v1.protocol}://${argv.host}:${v1.port}` }, _.pick(v1, ['username', 'password', 'ca', 'rejectUnauthorized'])),
+      v2: _.pick(v2, ['serverUrl', 'token', 'ca', 'rejectUnauthorized'])
+    });
+  });
+}
+
+// Get https settings from arguments
+function tlsSettings(argv) {
+  let ca = null;
+  if (argv.ca) {
+    try {
+      ca = fs.readFileSync(argv.ca);
+    } catch (e) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Could not read certificate authority file ${argv.ca}`);
+    }
+  }
+  return { ca, rejectUnauthorized: !argv.insecure };
+}
+
+// Format a lint issue as one line of text
+function formatIssue(issue) {
+  const where = [];
+  if (issue.line !== null) {
+    where.push(`line ${issue.line}`);
+  }
+  if (issue.column !== null) {
+    where.push(issue.field === null ? `column ${issue.column}` : `column ${issue.column} (${issue.field})`);
+  }
+  const value = issue.value === null ? '' : ` (value ${JSON.stringify(issue.value)})`;
+  return `${where.length ? where.join(', ') : 'file'}: ${issue.message}${value}`;
+}
+
+// Writable stream that discards its input
+function nullStream() {
+  return new stream.Writable({
+    write(chunk, encoding, next) {
+      next();
+    }
+  });
+}
+
+function exitOnError(e) {
+  if (e instanceof TimeSeriesCopError) {
+    console.error(`${e.name}: ${e.message}`);
+  } else {
+    console.error(e.stack);
+  }
+  process.exit(1);
+}
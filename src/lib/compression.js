@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Compression formats by file extension and by the magic bytes that start
+// their files
+const codecs = {
+  gzip: { extension: '.gz', magic: Buffer.from([0x1f, 0x8b]) },
+  bzip2: { extension: '.bz2', magic: Buffer.from('BZh') },
+  zstd: { extension: '.zst', magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]) }
+};
+
+/**
+ * Find the compression format of a file from the bytes it starts with, or
+ * else from its name.
+ * @param {Buffer} [head=null] First bytes of the file
+ * @param {string} [name=null] File name
+ * @returns {string} gzip, bzip2 or zstd, or null if not compressed
+ */
+function detectCompression(head=null, name=null) {
+  const names = Object.keys(codecs);
+  if (head) {
+    const byMagic = names.find(c => head.length >= codecs[c].magic.length && head.slice(0, codecs[c].magic.length).equals(codecs[c].magic));
+    if (byMagic) {
+      return byMagic;
+    }
+  }
+  if (name) {
+    const extension = path.extname(String(name)).toLowerCase();
+    return names.find(c => codecs[c].extension === extension) || null;
+  }
+  return null;
+}
+exports.detectCompression = detectCompression;
+
+/**
+ * Find the compression format of a file from its first bytes or its name.
+ * @param {string} file File path
+ * @returns {string} gzip, bzip2 or zstd, or null if not compressed or the
+ * file can't be read
+ */
+function compressionOf(file) {
+  let head = null;
+  try {
+    const fd = fs.openSync(file, 'r');
+    head = Buffer.alloc(4);
+    head = head.slice(0, fs.readSync(fd, head, 0, head.length, 0));
+    fs.closeSync(fd);
+  } catch (e) {
+    head = null;
+  }
+  return detectCompression(head, file);
+}
+exports.compressionOf = compressionOf;
+
+/**
+ * Create a Node transform stream that decompresses a compression format.
+ * gzip is always supported and zstd with versions of Node that have it.
+ * bzip2 isn't supported.
+ * @param {string} codec gzip, bzip2 or zstd
+ * @returns {Object} Node transform stream
+ */
+function decompressor(codec) {
+  if (codec === 'gzip') {
+    return zlib.createGunzip();
+  }
+  if (codec === 'zstd' && zlib.createZstdDecompress) {
+    return zlib.createZstdDecompress();
+  }
+  const hint = codec === 'zstd' ? ' with this version of Node' : '';
+  throw new TimeSeriesCopError(`${validation.errorPrefix} ${codec} compressed input is not supported${hint}. Decompress it first.`);
+}
+exports.decompressor = decompressor;
+
+/**
+ * Create a writable stream for an output file, gzipped if the file name ends
+ * in .gz. Appending to a gzipped file adds a gzip member, which gunzip reads
+ * as part of the same file.
+ * @param {string} file Output file path
+ * @param {string} [flags='w'] File system flags, e.g. 'a' to append
+ * @returns {Object} Node writable stream. Its 'finish' event and end()
+ * callback come once the file is closed.
+ */
+function createOutputStream(file, {flags='w'} = {}) {
+  if (detectCompression(null, file) !== 'gzip') {
+    return fs.createWriteStream(file, {flags});
+  }
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(file, {flags});
+  gzip.pipe(out);
+  const writable = new stream.Writable({
+    write(chunk, encoding, next) {
+      gzip.write(chunk, encoding, next);
+    },
+    final(next) {
+      out.once('close', () => next());
+      gzip.end();
+    }
+  });
+  gzip.on('error', err => writable.destroy(err));
+  out.on('error', err => writable.destroy(err));
+  return writable;
+}
+exports.createOutputStream = createOutputStream;
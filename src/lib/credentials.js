@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Credential keys, and the environment variables they can be read from
+const credentialKeys = {
+  username: 'INFLUX_USERNAME',
+  password: 'INFLUX_PASSWORD',
+  token: 'INFLUX_TOKEN'
+};
+
+/**
+ * Read InfluxDB credentials from a JSON or YAML file, e.g.
+ *
+ *   username: writer
+ *   password: secret
+ *
+ * The file may have any of username, password (InfluxDB 1.x) and token
+ * (InfluxDB 2.x).
+ * @param {string} file Credentials file path
+ * @returns {Object} Credentials
+ */
+function readCredentialsFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, {encoding: 'utf8'});
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not read credentials file ${file}`);
+  }
+  let credentials;
+  try {
+    if (_.includes(['.yaml', '.yml'], path.extname(file).toLowerCase())) {
+      credentials = yaml.safeLoad(text);
+    } else {
+      credentials = JSON.parse(text);
+    }
+  } catch (e) {
+    // Don't include the parser message, which may quote the file
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not parse credentials file ${file}`);
+  }
+  if (!_.isPlainObject(credentials)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Credentials file ${file} must contain an object`);
+  }
+  _.keys(credentials).forEach(k => {
+    if (!_.has(credentialKeys, k)) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Unknown key ${k} in credentials file ${file}. Must be one of ${_.keys(credentialKeys).join(', ')}`);
+    }
+    if (!_.isString(credentials[k])) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} ${k} in credentials file ${file} must be a string`);
+    }
+  });
+  return credentials;
+}
+exports.readCredentialsFile = readCredentialsFile;
+
+/**
+ * Get InfluxDB credentials from a credentials file and environment variables.
+ * Values in the file take precedence over INFLUX_USERNAME, INFLUX_PASSWORD
+ * and INFLUX_TOKEN.
+ * @param {string} [file=null] Credentials file path. See readCredentialsFile().
+ * @param {Object} [env=process.env] Environment variables
+ * @returns {Object} { username, password, token }, null where not set
+ */
+function influxCredentials({file=null, env=process.env} = {}) {
+  const fromFile = file ? readCredentialsFile(file) : {};
+  return _.mapValues(credentialKeys, (envName, k) => fromFile[k] || env[envName] || null);
+}
+exports.influxCredentials = influxCredentials;
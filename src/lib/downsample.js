@@ -0,0 +1,420 @@
+const _ = require('lodash');
+const Influx = require('influx');
+const lineProtocolUtil = require('json-to-influxdb-line/util');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Aggregation functions for downsampled series, and the field types they
+// can be applied to
+const aggregationFunctions = {
+  mean: ['integer', 'float'],
+  min: ['integer', 'float'],
+  max: ['integer', 'float'],
+  median: ['integer', 'float'],
+  last: ['integer', 'float', 'text', 'boolean'],
+  count: ['integer', 'float', 'text', 'boolean']
+};
+exports.aggregationFunctions = _.keys(aggregationFunctions);
+
+// Angle units, and the size of a full turn in each. The circular mean of
+// degrees and radians is in [0, full turn), and of longitude in (-180, 180].
+const angleUnits = {
+  degrees: 360,
+  radians: 2 * Math.PI,
+  longitude: 360
+};
+exports.angleUnits = _.keys(angleUnits);
+
+const durationUnits = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a downsampling window duration.
+ * @param {string|number} duration InfluxQL-style duration, e.g. '30s', '3m',
+ * '1h' or '1d', or a number of minutes
+ * @returns {Object} { every: <InfluxQL duration>, ms: <milliseconds> }
+ */
+function parseDuration(duration) {
+  if (_.isNumber(duration) || /^\d+$/.test(duration)) {
+    duration = `${duration}m`;
+  }
+  const match = /^(\d+)([smhd])$/.exec(_.isString(duration) ? duration.trim() : '');
+  if (!match || +match[1] === 0) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid downsampling window ${duration}. Must be a number followed by s, m, h or d`);
+  }
+  return { every: `${+match[1]}${match[2]}`, ms: +match[1] * durationUnits[match[2]] };
+}
+exports.parseDuration = parseDuration;
+
+/**
+ * Parse per-field aggregations from the command line, e.g.
+ * 'temp=min:max,salinity=median'.
+ * @param {string} text Comma-separated field=function[:function...] list
+ * @returns {Object} Lists of function names by field
+ */
+function parseAggregations(text) {
+  const aggregations = {};
+  (text || '').split(',').filter(s => s.trim()).forEach(s => {
+    const parts = s.split('=');
+    if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid aggregation ${s}. Must look like field=function or field=function:function`);
+    }
+    aggregations[parts[0].trim()] = parts[1].split(':').map(f => f.trim().toLowerCase());
+  });
+  return aggregations;
+}
+exports.parseAggregations = parseAggregations;
+
+/**
+ * Parse angle fields from the command line, e.g.
+ * 'heading=degrees,longitude=longitude'.
+ * @param {string} text Comma-separated field=units list
+ * @returns {Object} Angle units by field
+ */
+function parseAngles(text) {
+  const angles = {};
+  (text || '').split(',').filter(s => s.trim()).forEach(s => {
+    const parts = s.split('=');
+    if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid angle ${s}. Must look like field=units`);
+    }
+    angles[parts[0].trim()] = parts[1].trim().toLowerCase();
+  });
+  return angles;
+}
+exports.parseAngles = parseAngles;
+
+/**
+ * Calculate the circular mean of angles, the direction of the mean of their
+ * unit vectors. Unlike the arithmetic mean this is right for angles that wrap
+ * around, e.g. the mean of 350 and 10 degrees is 0, not 180.
+ * @param {Array} values Angles as numbers or numeric strings
+ * @param {string} units One of degrees, radians or longitude (degrees in
+ * (-180, 180])
+ * @returns {number} Mean angle in the same units, or NaN if there are no
+ * values
+ */
+function circularMean(values, units) {
+  const numbers = values.map(v => +v).filter(v => !_.isNaN(v));
+  if (!numbers.length) {
+    return NaN;
+  }
+  const full = angleUnits[units];
+  const toRadians = 2 * Math.PI / full;
+  const mean = Math.atan2(
+    _.mean(numbers.map(v => Math.sin(v * toRadians))),
+    _.mean(numbers.map(v => Math.cos(v * toRadians)))
+  ) / toRadians;
+  // Same calculation as the downsampling query in influxQLQuery()
+  return units === 'longitude' ? mean : (mean + full) % full;
+}
+exports.circularMean = circularMean;
+
+/**
+ * Work out what to downsample. Integer and float fields are averaged and text
+ * and boolean fields take their last value unless aggregations says
+ * otherwise. A field with one aggregation keeps its name, and a field with
+ * several gets one series for each named <field>_<function>. Likewise with one
+ * window the downsampled measurement keeps its name, and with several each
+ * window writes to <measurement>_<window>. The mean of an angle field is its
+ * circular mean. See circularMean().
+ * @param {string} measurement Measurement name
+ * @param {Object} schema Validated schema. Category properties are kept as
+ * tags.
+ * @param {Array} [windows=['3m']] Window durations. See parseDuration().
+ * @param {Object} [aggregations={}] Lists of aggregation function names by
+ * field
+ * @param {Object} [angles={}] Units of integer and float fields that are
+ * angles, by field. See circularMean().
+ * @returns {Object} { tags, selectors: [{ field, fn, as, type, angle }],
+ * windows: [{ every, ms, measurement }] }. angle is the units of a circular
+ * mean, otherwise null.
+ */
+function downsamplePlan(measurement, schema, {windows=['3m'], aggregations={}, angles={}} = {}) {
+  _.keys(aggregations).forEach(field => {
+    const type = schema[field];
+    if (type === undefined || type === 'time' || type === 'category') {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Can't aggregate ${field}. It's not a field of ${measurement}`);
+    }
+    const fns = _.castArray(aggregations[field]);
+    if (!fns.length) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} No aggregations given for ${field}`);
+    }
+    fns.forEach(fn => {
+      if (!aggregationFunctions[fn]) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Unknown aggregation ${fn} for ${field}. Must be one of ${_.keys(aggregationFunctions).join(', ')}`);
+      }
+      if (!_.includes(aggregationFunctions[fn], type)) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} Aggregation ${fn} can't be used with ${type} field ${field}`);
+      }
+    });
+  });
+
+  _.keys(angles).forEach(field => {
+    const type = schema[field];
+    if (type !== 'integer' && type !== 'float') {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Can't use ${field} as an angle. It's not a numeric field of ${measurement}`);
+    }
+    if (!angleUnits[angles[field]]) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Unknown angle units ${angles[field]} for ${field}. Must be one of ${_.keys(angleUnits).join(', ')}`);
+    }
+  });
+
+  const selectors = [];
+  _.keys(schema).forEach(field => {
+    const type = schema[field];
+    if (type === 'time' || type === 'category') return;
+    const fns = _.uniq(_.castArray(aggregations[field] || (type === 'integer' || type === 'float' ? 'mean' : 'last')));
+    fns.forEach(fn => selectors.push({
+      field,
+      fn,
+      as: fns.length > 1 ? `${field}_${fn}` : field,
+      type,
+      angle: fn === 'mean' && angles[field] ? angles[field] : null
+    }));
+  });
+  const parsed = windows.map(parseDuration);
+  return {
+    tags: _.keys(schema).filter(k => schema[k] === 'category').sort(),
+    selectors,
+    windows: parsed.map(w => _.assign(w, { measurement: parsed.length > 1 ? `${measurement}_${w.every}` : measurement }))
+  };
+}
+exports.downsamplePlan = downsamplePlan;
+
+/**
+ * Make an InfluxQL query that downsamples a time range of a measurement into
+ * another database and retention policy.
+ * @param {string} measurement Source measurement name
+ * @param {Object} plan From downsamplePlan()
+ * @param {Object} window One of plan.windows
+ * @param {number} start Epoch milliseconds of the earliest new point. The
+ * query starts at the beginning of the window that contains it.
+ * @param {number} end Epoch milliseconds of the latest new point
+ * @param {string} [target='viz.autogen'] Target database and retention policy
+ * @returns {string} Query, or null if there are no fields to downsample. The
+ * circular means of angle fields are calculated by a second statement, from a
+ * subquery of their sines and cosines, because InfluxQL can't aggregate the
+ * result of a function.
+ */
+function influxQLQuery(measurement, plan, window, start, end, target='viz.autogen') {
+  if (!plan.selectors.length) {
+    return null;
+  }
+  const into = target.split('.').map(s => `"${s}"`).join('.');
+  // Start from the beginning of the window so it's downsampled from all of
+  // its points, including those written by earlier batches
+  const first = new Date(Math.floor(start / window.ms) * window.ms);
+  const last = new Date(end);
+  const range = `time >= '${first.toISOString()}' AND time <= '${last.toISOString()}'`;
+  // To keep tags after downsampling query we have to explicitly name them in
+  // the GROUP BY after time()
+  const taglist = plan.tags.map(t => `,"${t}"`).join('');
+  const statement = (fieldSelector, from) => `
+              SELECT ${fieldSelector}
+              INTO ${into}."${window.measurement}"
+              FROM ${from}
+              WHERE ${range}
+              GROUP BY time(${window.every})${taglist};
+            `;
+
+  const statements = [];
+  const selectors = plan.selectors.filter(s => !s.angle);
+  if (selectors.length) {
+    statements.push(statement(
+      selectors.map(s => `${s.fn.toUpperCase()}("${s.field}") AS "${s.as}"`).join(','),
+      `"${measurement}"`
+    ));
+  }
+  const angles = plan.selectors.filter(s => s.angle);
+  if (angles.length) {
+    const vectors = angles.map((s, i) => {
+      const radians = s.angle === 'radians' ? `"${s.field}"` : `"${s.field}" * ${Math.PI / 180}`;
+      return `SIN(${radians}) AS "sin${i}",COS(${radians}) AS "cos${i}"`;
+    });
+    const means = angles.map((s, i) => {
+      const mean = `ATAN2(MEAN("sin${i}"), MEAN("cos${i}"))`;
+      switch (s.angle) {
+        case 'radians':
+          return `(${mean} + ${2 * Math.PI}) % ${2 * Math.PI} AS "${s.as}"`;
+        case 'longitude':
+          return `${mean} * ${180 / Math.PI} AS "${s.as}"`;
+        default:
+          return `(${mean} * ${180 / Math.PI} + 360) % 360 AS "${s.as}"`;
+      }
+    });
+    const groupBy = plan.tags.length ? ` GROUP BY ${plan.tags.map(t => `"${t}"`).join(',')}` : '';
+    statements.push(statement(
+      means.join(','),
+      `(SELECT ${vectors.join(',')} FROM "${measurement}" WHERE ${range}${groupBy})`
+    ));
+  }
+  return statements.join('');
+}
+exports.influxQLQuery = influxQLQuery;
+
+/**
+ * Create a client-side replacement for influxQLQuery(), e.g. for InfluxDB 2.x.
+ * The returned function takes a batch of objects with records under 'doc' in
+ * chronological order and returns line protocol lines for each window and tag
+ * set, timestamped at the start of the window, like GROUP BY time(). The open
+ * window for each tag set is carried over to the next batch, so a window split
+ * between batches is written again from all its records.
+ * @param {Object} plan From downsamplePlan()
+ * @returns {function} Function from an array of objects to an array of line
+ * protocol lines
+ */
+function downsampler(plan) {
+  const open = plan.windows.map(() => ({}));  // latest window by tag set
+
+  return batch => {
+    const lines = [];
+    plan.windows.forEach((window, w) => {
+      const touched = [];
+      const older = {};  // windows before the open one, from this batch only
+      batch.forEach(o => {
+        const start = Math.floor(+o.doc.time / window.ms) * window.ms;
+        const tags = _.pickBy(_.pick(o.doc, plan.tags), v => v !== null && v !== undefined);
+        const series = JSON.stringify(tags);
+        let acc;
+        if (!open[w][series] || open[w][series].start < start) {
+          acc = open[w][series] = windowAccumulator(plan, tags, start);
+        } else if (open[w][series].start === start) {
+          acc = open[w][series];
+        } else {
+          const key = `${series} ${start}`;
+          acc = older[key] = older[key] || windowAccumulator(plan, tags, start);
+        }
+        acc.add(o.doc);
+        if (!_.includes(touched, acc)) {
+          touched.push(acc);
+        }
+      });
+      touched.forEach(acc => {
+        const values = acc.aggregate();
+        const fieldValues = {};
+        plan.selectors.forEach(s => {
+          if (_.has(values, s.as)) {
+            fieldValues[s.as] = formatValue(values[s.as], s.fn, s.type);
+          }
+        });
+        if (_.keys(fieldValues).length) {
+          lines.push(lineProtocol(window.measurement, acc.tags, fieldValues, acc.start));
+        }
+      });
+    });
+    return lines;
+  };
+}
+exports.downsampler = downsampler;
+
+/**
+ * Collect the records of one window and tag set and aggregate them.
+ * @param {Object} plan From downsamplePlan()
+ * @param {Object} tags Tag values of the window's records
+ * @param {number} start Epoch milliseconds of the start of the window
+ * @returns {Object} { tags, start, add(doc), aggregate() }. aggregate()
+ * returns aggregated values by selector 'as' name, leaving out fields with no
+ * values.
+ */
+function windowAccumulator(plan, tags, start) {
+  const fields = _.uniq(plan.selectors.map(s => s.field));
+  const values = {};
+  return {
+    tags,
+    start,
+    add: doc => {
+      fields.forEach(k => {
+        const v = doc[k];
+        if (v !== null && v !== undefined && v !== '' && !_.isNaN(v)) {
+          (values[k] = values[k] || []).push(v);
+        }
+      });
+    },
+    aggregate: () => {
+      const result = {};
+      plan.selectors.forEach(s => {
+        if (values[s.field]) {
+          result[s.as] = s.angle ? circularMean(values[s.field], s.angle) : aggregate(s.fn, values[s.field], s.type);
+        }
+      });
+      return result;
+    }
+  };
+}
+exports.windowAccumulator = windowAccumulator;
+
+/**
+ * Get the schema of records made by aggregating with a plan: tags, time and a
+ * property for each selector. Means and medians are floats, counts are
+ * integers, and other aggregations keep the field's type.
+ * @param {Object} plan From downsamplePlan()
+ * @returns {Object} Schema
+ */
+function aggregatedSchema(plan) {
+  const schema = { time: 'time' };
+  plan.tags.forEach(t => {
+    schema[t] = 'category';
+  });
+  plan.selectors.forEach(s => {
+    if (s.fn === 'count') {
+      schema[s.as] = 'integer';
+    } else if (s.fn === 'mean' || s.fn === 'median') {
+      schema[s.as] = 'float';
+    } else {
+      schema[s.as] = s.type;
+    }
+  });
+  return schema;
+}
+exports.aggregatedSchema = aggregatedSchema;
+
+// Apply an aggregation function to a list of non-missing values
+function aggregate(fn, values, type) {
+  const numbers = () => values.map(v => +v).filter(v => !_.isNaN(v));
+  switch (fn) {
+    case 'mean':
+      return _.mean(numbers());
+    case 'min':
+      return _.min(numbers());
+    case 'max':
+      return _.max(numbers());
+    case 'median': {
+      const sorted = numbers().sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    case 'last':
+      return _.last(values);
+    case 'count':
+      return values.length;
+  }
+}
+
+// Format an aggregated value as a line protocol field value with the type
+// InfluxQL would give it
+function formatValue(value, fn, type) {
+  if (fn === 'count') {
+    return `${value}i`;
+  }
+  if (fn === 'mean' || fn === 'median') {
+    return String(value);
+  }
+  switch (type) {
+    case 'integer':
+      return `${value}i`;
+    case 'text':
+      return Influx.escape.quoted(value);
+    default:
+      return String(value);
+  }
+}
+
+// Make a line protocol line from formatted field values
+function lineProtocol(measurement, tags, fields, ms) {
+  return lineProtocolUtil.generateLineProtocolString({
+    measurement,
+    tags: lineProtocolUtil.generateTagString(tags),
+    fields: lineProtocolUtil.generateFieldString(fields),
+    ts: ms * 1000 * 1000  // nanoseconds since epoch
+  });
+}
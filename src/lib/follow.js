@@ -0,0 +1,136 @@
+const fs = require('fs');
+const stream = require('stream');
+
+const chunkSize = 64 * 1024;
+
+/**
+ * Create a readable text stream that follows a growing file, like tail -f.
+ * The file is read from the beginning, then polled for new data. Only
+ * complete lines are pushed; a partial last line is held until its line
+ * ending arrives. If the file is truncated it is read again from the
+ * beginning. If the file is replaced (log rotation) the rest of the old file
+ * is read before switching to the new one.
+ * Call stop() on the returned stream to end it. Any held partial line is
+ * discarded.
+ * @param {string} file Path of file to follow
+ * @param {number} [pollInterval=1000] Milliseconds between checks for new data
+ * @param {number} [position=0] Byte offset to start reading from
+ * @returns {Object} Node readable stream with an additional stop() method
+ */
+function followFile(file, {pollInterval=1000, position=0} = {}) {
+  let fd = null;
+  let ino = null;
+  let timer = null;
+  let polling = false;
+  let paused = false;
+  let stopped = false;
+  let partial = Buffer.alloc(0);
+
+  const readable = new stream.Readable({
+    read() {
+      if (paused) {
+        paused = false;
+        poll();
+      }
+    }
+  });
+  readable.setEncoding('utf8');
+
+  // Byte offset just past the last complete line pushed
+  readable.position = position;
+
+  readable.stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    closeFd();
+    readable.push(null);
+  };
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(poll, pollInterval);
+  }
+
+  function closeFd() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  function poll() {
+    if (stopped || polling) return;
+    polling = true;
+    fs.stat(file, (err, stats) => {
+      if (stopped) return;
+      if (err && err.code !== 'ENOENT') {
+        polling = false;
+        readable.emit('error', err);
+        return;
+      }
+      try {
+        if (fd === null && !err) {
+          fd = fs.openSync(file, 'r');
+          ino = stats.ino;
+        }
+        if (fd !== null) {
+          const fdStats = fs.fstatSync(fd);
+          if (fdStats.size < position + partial.length) {
+            // Truncated, start over
+            position = 0;
+            readable.position = 0;
+            partial = Buffer.alloc(0);
+          }
+          const offset = position + partial.length;
+          if (fdStats.size > offset) {
+            const buf = Buffer.alloc(Math.min(chunkSize, fdStats.size - offset));
+            const bytesRead = fs.readSync(fd, buf, 0, buf.length, offset);
+            polling = false;
+            if (pushLines(buf.slice(0, bytesRead))) {
+              setImmediate(poll);
+            } else {
+              paused = true;
+            }
+            return;
+          }
+          if (err || stats.ino !== ino) {
+            // Old file fully read and replaced or removed. Move to new file.
+            closeFd();
+            position = 0;
+            readable.position = 0;
+            partial = Buffer.alloc(0);
+          }
+        }
+      } catch (e) {
+        polling = false;
+        readable.emit('error', e);
+        return;
+      }
+      polling = false;
+      schedule();
+    });
+  }
+
+  // Push complete lines in buf, holding back any partial last line.
+  // Returns false if the consumer wants us to wait.
+  function pushLines(buf) {
+    partial = Buffer.concat([partial, buf]);
+    let end = partial.length;
+    while (end > 0 && partial[end - 1] !== 0x0a && partial[end - 1] !== 0x0d) {
+      end--;
+    }
+    if (end === 0) {
+      return true;
+    }
+    const text = partial.slice(0, end).toString('utf8');
+    partial = partial.slice(end);
+    position += end;
+    readable.position = position;
+    return readable.push(text);
+  }
+
+  poll();
+  return readable;
+}
+exports.followFile = followFile;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const moment = require('moment');
+const _ = require('lodash');
+const compression = require('./compression');
+const timestamp = require('./timestamp');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Bytes in each unit of a chunk size
+const sizeUnits = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parse how to split influx -import files into chunks.
+ * @param {string|number} split Chunk size in bytes, or followed by KB, MB or
+ * GB, e.g. '100MB', or 'day' for a file per UTC day
+ * @returns {Object} { bytes } or { day: true }, or null if split is empty
+ */
+function parseSplit(split) {
+  if (split === null || split === undefined || split === '') {
+    return null;
+  }
+  if (String(split).toLowerCase() === 'day') {
+    return { day: true };
+  }
+  const match = /^(\d+)\s*([kmg]?b)?$/i.exec(String(split).trim());
+  if (!match || +match[1] === 0) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid import file split ${split}. Must be day or a size such as 100MB`);
+  }
+  return { bytes: +match[1] * sizeUnits[(match[2] || 'b').toLowerCase()] };
+}
+exports.parseSplit = parseSplit;
+
+/**
+ * Make the lines that start an influx -import file. The DDL section creates
+ * the database, and the retention policy if duration is given, when
+ * createDatabase is set. The DML section names the database and retention
+ * policy the points are written to, and the timestamp precision.
+ * @param {string} database Database name
+ * @param {string} [retentionPolicy='autogen'] Retention policy name
+ * @param {boolean} [createDatabase=false] Include CREATE statements
+ * @param {string} [duration=null] Retention policy duration, e.g. 52w or INF
+ * @param {string} [precision='ns'] Timestamp precision, s, ms, us or ns
+ * @returns {string} Preamble text
+ */
+function importPreamble({
+  database=null,
+  retentionPolicy='autogen',
+  createDatabase=false,
+  duration=null,
+  precision='ns'
+} = {}) {
+  const lines = ['# DDL'];
+  if (createDatabase) {
+    lines.push(`CREATE DATABASE "${database}"`);
+    if (duration) {
+      lines.push(`CREATE RETENTION POLICY "${retentionPolicy}" ON "${database}" DURATION ${duration} REPLICATION 1`);
+    }
+  }
+  lines.push(
+    '# DML',
+    `# CONTEXT-DATABASE: ${database}`,
+    `# CONTEXT-RETENTION-POLICY: ${retentionPolicy}`
+  );
+  return lines.join('\n') + '\n' + timestamp.precisionComment(precision);
+}
+exports.importPreamble = importPreamble;
+
+/**
+ * Create a writable stream that takes line protocol lines, e.g. the outstream
+ * of writeDocToLineProtocol(), and writes them to influx -import files that
+ * start with importPreamble(). With split, lines are written to chunk files
+ * named from file with a chunk number or day before the extension, e.g.
+ * tsg.0001.lp.gz or tsg.2017-05-30.lp. A chunk holds at least one line, and
+ * its size counts the uncompressed text. Lines must be in chronological
+ * order to split by day. Once all chunks are closed, a manifest listing each
+ * chunk's file, time range and point count is written to
+ * <file without extensions>.manifest.json.
+ * @param {string} file Output file path, gzipped if it ends in .gz
+ * @param {string} database Database name. See importPreamble() for this and
+ * retentionPolicy, createDatabase, duration and precision.
+ * @param {string|number} [split=null] How to split into chunks. See
+ * parseSplit().
+ * @returns {Object} Node writable stream. Its 'finish' event and end()
+ * callback come once the manifest is written.
+ */
+function createImportWriter(file, {
+  database=null,
+  retentionPolicy='autogen',
+  createDatabase=false,
+  duration=null,
+  precision='ns',
+  split=null
+} = {}) {
+  if (!database || !validation.validateMeasurement(database)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid import database name ${database}. Must match regex ${validation.measurementRegex}`);
+  }
+  if (!validation.validateMeasurement(retentionPolicy)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid import retention policy name ${retentionPolicy}. Must match regex ${validation.measurementRegex}`);
+  }
+  if (duration && !/^((\d+[smhdw])+|INF)$/.test(duration)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid retention policy duration ${duration}. Must look like 52w, 30d or INF`);
+  }
+  timestamp.checkPrecision(precision);
+  split = parseSplit(split);
+  const preamble = importPreamble({ database, retentionPolicy, createDatabase, duration, precision });
+  const names = fileNames(file);
+  const chunks = [];  // manifest entries
+  const closed = [];  // Promises for chunk files being closed
+  let out = null;  // current chunk file
+  let chunk = null;  // current manifest entry
+  let chunkDay = null;  // UTC day of the current chunk when splitting by day
+  let partial = '';  // text after the last newline
+
+  const openChunk = day => {
+    closeChunk();
+    const name = split ? names.chunk(day || _.padStart(chunks.length + 1, 4, '0')) : file;
+    chunkDay = day;
+    chunk = { file: path.basename(name), start: null, end: null, points: 0, bytes: Buffer.byteLength(preamble) };
+    chunks.push(chunk);
+    out = compression.createOutputStream(name);
+    out.on('error', err => writable.destroy(err));
+    out.write(preamble);
+  };
+
+  const closeChunk = () => {
+    if (out) {
+      const ending = out;
+      closed.push(new Promise(resolve => ending.end(resolve)));
+      out = null;
+    }
+  };
+
+  // Write a line to the current chunk, starting a new one first if needed
+  const writeLine = (line, callback) => {
+    const ms = timestamp.toMilliseconds(line.slice(line.lastIndexOf(' ') + 1), precision);
+    const day = split && split.day ? moment.utc(ms).format('YYYY-MM-DD') : null;
+    const bytes = Buffer.byteLength(line) + 1;
+    if (!chunk || day !== chunkDay || (split && split.bytes && chunk.points && chunk.bytes + bytes > split.bytes)) {
+      openChunk(day);
+    }
+    chunk.start = chunk.start === null ? ms : chunk.start;
+    chunk.end = ms;
+    chunk.points++;
+    chunk.bytes += bytes;
+    out.write(line + '\n', callback);
+  };
+
+  const writable = new stream.Writable({
+    decodeStrings: false,
+    write(text, encoding, next) {
+      const lines = (partial + text.toString()).split('\n');
+      partial = lines.pop();
+      const points = lines.filter(l => l.trim() && l[0] !== '#');
+      try {
+        points.forEach((line, i) => writeLine(line, i === points.length - 1 ? () => next() : undefined));
+      } catch (e) {
+        return next(e);
+      }
+      if (!points.length) {
+        next();
+      }
+    },
+    final(next) {
+      try {
+        if (partial.trim()) {
+          writeLine(partial);
+        }
+      } catch (e) {
+        return next(e);
+      }
+      closeChunk();
+      Promise.all(closed)
+        .then(() => {
+          fs.writeFileSync(names.manifest, JSON.stringify({
+            database,
+            retentionPolicy,
+            precision,
+            points: _.sumBy(chunks, c => c.points),
+            chunks: chunks.map(c => Object.assign({}, c, {
+              start: moment.utc(c.start).toISOString(),
+              end: moment.utc(c.end).toISOString()
+            }))
+          }, null, '  ') + '\n');
+          next();
+        })
+        .catch(next);
+    }
+  });
+  return writable;
+}
+exports.createImportWriter = createImportWriter;
+
+// Chunk file and manifest names for an import file, keeping the extension
+// and any .gz after the chunk label
+function fileNames(file) {
+  const gz = /\.gz$/i.test(file) ? file.slice(-3) : '';
+  const base = file.slice(0, file.length - gz.length);
+  const extension = path.extname(base);
+  const stem = base.slice(0, base.length - extension.length);
+  return {
+    chunk: label => `${stem}.${label}${extension}${gz}`,
+    manifest: `${stem}.manifest.json`
+  };
+}
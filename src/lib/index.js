@@ -3,18 +3,75 @@ const pipeline = require('./pipeline');
 const validation = require('./validation');
 const geo = require('./geo');
 const parser = require('./standardParser');
+const parserDefinition = require('./parserDefinition');
+const registry = require('./registry');
 const error = require('./error');
+const follow = require('./follow');
+const checkpoint = require('./checkpoint');
+const watch = require('./watch');
+const credentials = require('./credentials');
+const downsample = require('./downsample');
+const lineProtocol = require('./lineProtocol');
+const spool = require('./spool');
+const replace = require('./replace');
+const sort = require('./sort');
+const compression = require('./compression');
+const timestamp = require('./timestamp');
+const importFile = require('./importFile');
 
 exports.cli = cli.cli;
 exports.standardCli = cli.standardCli;
+exports.genericCli = cli.genericCli;
+exports.followFile = follow.followFile;
+exports.checkpointPath = checkpoint.checkpointPath;
+exports.readCheckpoint = checkpoint.readCheckpoint;
+exports.writeCheckpoint = checkpoint.writeCheckpoint;
+exports.resumePoint = checkpoint.resumePoint;
+exports.checkpointer = checkpoint.checkpointer;
+exports.watchDirectory = watch.watchDirectory;
+exports.loadWatchRules = watch.loadWatchRules;
+exports.validateWatchRules = watch.validateWatchRules;
+exports.readLedger = watch.readLedger;
+exports.influxCredentials = credentials.influxCredentials;
+exports.downsamplePlan = downsample.downsamplePlan;
+exports.circularMean = downsample.circularMean;
+exports.aggregatedSchema = downsample.aggregatedSchema;
+exports.withRetries = spool.withRetries;
+exports.spoolBatch = spool.spoolBatch;
+exports.replaySpool = spool.replaySpool;
+exports.scanRange = replace.scanRange;
+exports.replaceDeletes = replace.replaceDeletes;
+exports.deletePoints = replace.deletePoints;
 exports.lineStream = pipeline.lineStream;
 exports.fieldStream = pipeline.fieldStream;
 exports.fieldsToDoc = pipeline.fieldsToDoc;
 exports.validateDoc = pipeline.validateDoc;
+exports.resample = pipeline.resample;
+exports.reorder = sort.reorder;
+exports.externalSort = sort.externalSort;
+exports.mergeByTime = sort.mergeByTime;
+exports.inFile = pipeline.inFile;
+exports.compressionOf = compression.compressionOf;
+exports.createOutputStream = compression.createOutputStream;
+exports.dedup = pipeline.dedup;
+exports.checkTagCardinality = pipeline.checkTagCardinality;
 exports.writeDocToLineProtocol = pipeline.writeDocToLineProtocol;
 exports.prepDocForInfluxDB = pipeline.prepDocForInfluxDB;
 exports.writeDocToInfluxDB = pipeline.writeDocToInfluxDB;
+exports.writeDocToInfluxDBv2 = pipeline.writeDocToInfluxDBv2;
+exports.writeDocToStandardFormat = pipeline.writeDocToStandardFormat;
 exports.saveData = pipeline.saveData;
+exports.handleErrors = pipeline.handleErrors;
+exports.lineError = pipeline.lineError;
+exports.parseTags = pipeline.parseTags;
+exports.parseLineProtocol = lineProtocol.parseLineProtocol;
+exports.lineProtocolStream = lineProtocol.lineProtocolStream;
+exports.inferLineProtocolSchema = lineProtocol.inferLineProtocolSchema;
+exports.formatTimestamp = timestamp.format;
+exports.withSubMilliseconds = timestamp.withSubMilliseconds;
+exports.isoTimestamp = timestamp.toISOString;
+exports.createImportWriter = importFile.createImportWriter;
+exports.importPreamble = importFile.importPreamble;
 exports.validateTypeArray = validation.validateTypeArray;
 exports.errorPrefix = validation.errorPrefix;
 exports.isMissing = validation.isMissing;
@@ -23,4 +80,17 @@ exports.geo2kmph = geo.geo2kmph;
 exports.geo2km = geo.geo2km;
 exports.parseStandardFile = parser.parseStandardFile;
 exports.parseStandardFileToDB = parser.parseStandardFileToDB;
+exports.lintStandardFile = parser.lintStandardFile;
+exports.lintStandardHeader = parser.lintStandardHeader;
+exports.loadParserDefinition = parserDefinition.loadParserDefinition;
+exports.listParserDefinitions = parserDefinition.listParserDefinitions;
+exports.validateParserDefinition = parserDefinition.validateParserDefinition;
+exports.definitionPipeline = parserDefinition.definitionPipeline;
+exports.definitionOutputSchema = parserDefinition.definitionOutputSchema;
+exports.registerFormat = registry.registerFormat;
+exports.registerDefinition = registry.registerDefinition;
+exports.formatFromDefinition = registry.formatFromDefinition;
+exports.getFormat = registry.getFormat;
+exports.listFormats = registry.listFormats;
+exports.loadPlugin = registry.loadPlugin;
 exports.TimeSeriesCopError = error.TimeSeriesCopError;
@@ -0,0 +1,250 @@
+const http = require('http');
+const https = require('https');
+const querystring = require('querystring');
+const url = require('url');
+const zlib = require('zlib');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+/**
+ * Write line protocol lines with the InfluxDB 2.x /api/v2/write endpoint.
+ * @param {string[]} lines Line protocol lines
+ * @param {string} [serverUrl='http://localhost:8086'] InfluxDB server URL
+ * @param {string} org Organization name
+ * @param {string} bucket Bucket name
+ * @param {string} [token=null] API token
+ * @param {string} [precision='ns'] Timestamp precision of lines
+ * @param {boolean} [gzip=true] Gzip the request body
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
+ * @returns {Promise} Resolves when the server has accepted the lines. Rejects
+ * with a TimeSeriesCopError if the server rejected the data, or an Error for
+ * other failures. Errors for other responses have the statusCode.
+ */
+function writeLines(lines, {
+  serverUrl='http://localhost:8086',
+  org=null,
+  bucket=null,
+  token=null,
+  precision='ns',
+  gzip=true,
+  ca=null,
+  rejectUnauthorized=true
+} = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Token ${token}`;
+  }
+  const requestPath = '/api/v2/write?' + querystring.stringify({ org, bucket, precision });
+  return post(serverUrl, requestPath, lineBody(lines, gzip, headers), headers, { ca, rejectUnauthorized })
+    .then(res => {
+      if (res.statusCode === 400 || res.statusCode === 422) {
+        // The data itself was rejected, e.g. a field type conflict
+        throw new TimeSeriesCopError(`${validation.errorPrefix} InfluxDB rejected write to bucket ${bucket}: ${errorMessage(res.text)}`);
+      }
+      checkStatus(serverUrl, res);
+    });
+}
+exports.writeLines = writeLines;
+
+/**
+ * Write line protocol lines with the InfluxDB 1.x /write endpoint. Used to
+ * replay spooled lines, which are already line protocol.
+ * @param {string[]} lines Line protocol lines
+ * @param {string} [serverUrl='http://localhost:8086'] InfluxDB server URL
+ * @param {string} database Database name
+ * @param {string} [username=null] InfluxDB user name
+ * @param {string} [password=null] InfluxDB password
+ * @param {string} [precision='ns'] Timestamp precision of lines
+ * @param {boolean} [gzip=true] Gzip the request body
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
+ * @returns {Promise} Resolves when the server has accepted the lines. Rejects
+ * as for writeLines().
+ */
+function writeLinesV1(lines, {
+  serverUrl='http://localhost:8086',
+  database=null,
+  username=null,
+  password=null,
+  precision='ns',
+  gzip=true,
+  ca=null,
+  rejectUnauthorized=true
+} = {}) {
+  const headers = basicAuth(username, password);
+  // The 1.x API names microseconds u
+  const requestPath = '/write?' + querystring.stringify({ db: database, precision: precision === 'us' ? 'u' : precision });
+  return post(serverUrl, requestPath, lineBody(lines, gzip, headers), headers, { ca, rejectUnauthorized })
+    .then(res => {
+      if (res.statusCode === 400) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} InfluxDB rejected write to database ${database}: ${errorMessage(res.text)}`);
+      }
+      checkStatus(serverUrl, res);
+    });
+}
+exports.writeLinesV1 = writeLinesV1;
+
+/**
+ * Run an InfluxQL query with the InfluxDB 1.x /query endpoint, e.g. a
+ * downsampling query from downsample.influxQLQuery().
+ * @param {string} query InfluxQL query
+ * @param {string} [serverUrl='http://localhost:8086'] InfluxDB server URL
+ * @param {string} [database=null] Default database of the query
+ * @param {string} [username=null] InfluxDB user name
+ * @param {string} [password=null] InfluxDB password
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
+ * @returns {Promise} Resolves with the parsed response. Rejects with a
+ * TimeSeriesCopError if the query failed, or an Error if the server couldn't
+ * run it.
+ */
+function queryV1(query, {
+  serverUrl='http://localhost:8086',
+  database=null,
+  username=null,
+  password=null,
+  ca=null,
+  rejectUnauthorized=true
+} = {}) {
+  const headers = basicAuth(username, password);
+  headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  const requestPath = '/query' + (database ? '?' + querystring.stringify({ db: database }) : '');
+  const body = Buffer.from(querystring.stringify({ q: query }), 'utf8');
+  return post(serverUrl, requestPath, body, headers, { ca, rejectUnauthorized })
+    .then(res => {
+      if (res.statusCode === 400) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} InfluxDB query failed: ${errorMessage(res.text)}`);
+      }
+      checkStatus(serverUrl, res);
+      const result = JSON.parse(res.text);
+      (result.results || []).forEach(r => {
+        if (r.error) {
+          throw new TimeSeriesCopError(`${validation.errorPrefix} InfluxDB query failed: ${r.error}`);
+        }
+      });
+      return result;
+    });
+}
+exports.queryV1 = queryV1;
+
+/**
+ * Delete points from an InfluxDB 2.x bucket with the /api/v2/delete endpoint.
+ * @param {string} [serverUrl='http://localhost:8086'] InfluxDB server URL
+ * @param {string} org Organization name
+ * @param {string} bucket Bucket name
+ * @param {string} [token=null] API token
+ * @param {string} start RFC3339 time of the first point to delete
+ * @param {string} stop RFC3339 time of the last point to delete
+ * @param {string} [predicate=''] Delete predicate, e.g.
+ * _measurement="tsg" AND cruise="KOK1606"
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
+ * @returns {Promise} Resolves when the points have been deleted. Rejects as
+ * for writeLines().
+ */
+function deletePoints({
+  serverUrl='http://localhost:8086',
+  org=null,
+  bucket=null,
+  token=null,
+  start=null,
+  stop=null,
+  predicate='',
+  ca=null,
+  rejectUnauthorized=true
+} = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Token ${token}`;
+  }
+  const requestPath = '/api/v2/delete?' + querystring.stringify({ org, bucket });
+  const body = Buffer.from(JSON.stringify({ start, stop, predicate }), 'utf8');
+  return post(serverUrl, requestPath, body, headers, { ca, rejectUnauthorized })
+    .then(res => {
+      if (res.statusCode === 400) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} InfluxDB rejected delete from bucket ${bucket}: ${errorMessage(res.text)}`);
+      }
+      checkStatus(serverUrl, res);
+    });
+}
+exports.deletePoints = deletePoints;
+
+// Make a request body from line protocol lines, setting content headers
+function lineBody(lines, gzip, headers) {
+  let body = Buffer.from(lines.join('\n') + '\n', 'utf8');
+  headers['Content-Type'] = 'text/plain; charset=utf-8';
+  if (gzip) {
+    body = zlib.gzipSync(body);
+    headers['Content-Encoding'] = 'gzip';
+  }
+  return body;
+}
+
+// Headers for InfluxDB 1.x Basic authentication
+function basicAuth(username, password) {
+  if (!username) {
+    return {};
+  }
+  return { Authorization: 'Basic ' + Buffer.from(`${username}:${password || ''}`).toString('base64') };
+}
+
+// Get the error message from an InfluxDB error response body
+function errorMessage(text) {
+  try {
+    const body = JSON.parse(text);
+    return body.message || body.error || text;
+  } catch (e) {
+    return text;
+  }
+}
+
+// Reject responses other than 2xx with an Error that has the status code, so
+// callers can tell an unavailable server from a refused request
+function checkStatus(serverUrl, res) {
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    const err = new Error(`InfluxDB request to ${url.parse(serverUrl).host} failed with status ${res.statusCode}: ${errorMessage(res.text)}`);
+    err.statusCode = res.statusCode;
+    throw err;
+  }
+}
+
+// POST a request body to a path under serverUrl. Resolves with the response
+// { statusCode, text } whatever the status.
+function post(serverUrl, requestPath, body, headers, {ca=null, rejectUnauthorized=true} = {}) {
+  const target = url.parse(serverUrl);
+  headers['Content-Length'] = body.length;
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: 'POST',
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: (target.pathname || '').replace(/\/+$/, '') + requestPath,
+      headers
+    };
+    let transport = http;
+    if (target.protocol === 'https:') {
+      transport = https;
+      options.rejectUnauthorized = rejectUnauthorized;
+      if (ca) {
+        options.ca = ca;
+      }
+    }
+    const req = transport.request(options, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
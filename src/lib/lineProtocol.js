@@ -0,0 +1,247 @@
+const _ = require('lodash');
+const pipeline = require('./pipeline');
+const timestamp = require('./timestamp');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Characters that may be backslash-escaped in each part of a line
+const measurementEscapes = [',', ' ', '\\'];
+const keyEscapes = [',', '=', ' ', '\\'];
+
+const floatRegex = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const integerRegex = /^[-+]?\d+i$|^\d+u$/;
+const trueValues = ['t', 'T', 'true', 'True', 'TRUE'];
+const falseValues = ['f', 'F', 'false', 'False', 'FALSE'];
+
+/**
+ * Parse one line of InfluxDB line protocol.
+ * Field values are converted to the representation used for validated docs
+ * elsewhere in this package: floats and integers are kept as their original
+ * text (without the integer suffix), booleans become 'TRUE' or 'FALSE', and
+ * string values are unescaped.
+ * @param {string} text Line protocol line
+ * @returns {Object} { measurement, tags, fields, types, timestamp }, where
+ * tags and fields are objects of values in line order, types gives the type
+ * (integer, float, boolean or text) of each field, and timestamp is the
+ * nanosecond timestamp text or null if missing.
+ */
+function parseLineProtocol(text) {
+  let i = 0;
+  const fail = reason => {
+    throw new TimeSeriesCopError(reason);
+  };
+
+  // Read until an unescaped stop character
+  const read = (stops, escapes) => {
+    let out = '';
+    while (i < text.length && !_.includes(stops, text[i])) {
+      if (text[i] === '\\' && i + 1 < text.length && _.includes(escapes, text[i + 1])) {
+        i++;
+      }
+      out += text[i++];
+    }
+    return out;
+  };
+
+  const measurement = read([',', ' '], measurementEscapes);
+  if (!measurement) {
+    fail('Missing measurement');
+  }
+
+  const tags = {};
+  while (text[i] === ',') {
+    i++;
+    const key = read(['=', ',', ' '], keyEscapes);
+    if (text[i] !== '=' || !key) {
+      fail('Invalid tag');
+    }
+    i++;
+    const value = read([',', ' '], keyEscapes);
+    if (!value) {
+      fail(`Empty value for tag ${key}`);
+    }
+    tags[key] = value;
+  }
+  if (text[i] !== ' ') {
+    fail('Missing field set');
+  }
+  while (text[i] === ' ') i++;
+
+  const fields = {};
+  const types = {};
+  do {
+    if (text[i] === ',') i++;
+    const key = read(['=', ',', ' '], keyEscapes);
+    if (text[i] !== '=' || !key) {
+      fail('Invalid field');
+    }
+    i++;
+    if (text[i] === '"') {
+      // String value. Only \" and \\ are escapes.
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+          i++;
+        }
+        value += text[i++];
+      }
+      if (text[i] !== '"') {
+        fail(`Unterminated string value for field ${key}`);
+      }
+      i++;
+      fields[key] = value;
+      types[key] = 'text';
+    } else {
+      const value = read([',', ' '], []);
+      if (integerRegex.test(value)) {
+        fields[key] = value.slice(0, -1);
+        types[key] = 'integer';
+      } else if (floatRegex.test(value)) {
+        fields[key] = value;
+        types[key] = 'float';
+      } else if (_.includes(trueValues, value)) {
+        fields[key] = 'TRUE';
+        types[key] = 'boolean';
+      } else if (_.includes(falseValues, value)) {
+        fields[key] = 'FALSE';
+        types[key] = 'boolean';
+      } else {
+        fail(`Invalid value '${value}' for field ${key}`);
+      }
+    }
+  } while (text[i] === ',');
+
+  while (text[i] === ' ') i++;
+  let timestamp = null;
+  if (i < text.length) {
+    timestamp = text.slice(i).trim();
+    if (!/^-?\d+$/.test(timestamp)) {
+      fail(`Invalid timestamp '${timestamp}'`);
+    }
+  }
+
+  return { measurement, tags, fields, types, timestamp };
+}
+exports.parseLineProtocol = parseLineProtocol;
+
+/**
+ * Convert a nanosecond line protocol timestamp to epoch milliseconds.
+ * Sub-millisecond precision is dropped.
+ * @param {string} text Nanosecond timestamp text
+ * @returns {number} Epoch milliseconds
+ */
+function nanosecondsToMs(text) {
+  return timestamp.toMilliseconds(text, 'ns');
+}
+exports.nanosecondsToMs = nanosecondsToMs;
+
+/**
+ * Create a Highland stream of records from line protocol text. Output objects
+ * look like those from fieldStream() followed by validateDoc(), with the
+ * record under 'doc': { time: <Date>, <tags...>, <fields...> }, plus the
+ * line's 'measurement'. Blank lines and # comments are skipped. The
+ * influxMissingData field added by writeDocToLineProtocol() is dropped.
+ * Timestamps have precision, or the precision given by a header comment from
+ * writeDocToLineProtocol(). Sub-millisecond parts are kept as the time's
+ * nanoseconds, see timestamp.withSubMilliseconds(). Statements in the # DDL
+ * section of an influx -import file are skipped.
+ * @param {Object} [instream=null] Input to Highland stream constructor
+ * @param {number} [start=0] Index of line to begin processing
+ * @param {string} [measurement=null] Only read lines for this measurement
+ * @param {number} [position=null] Byte offset of the start of instream. See
+ * lineStream().
+ * @param {number} [lineIndex=0] Index of the first line in instream. See
+ * lineStream().
+ * @param {string} [precision='ns'] Timestamp precision, s, ms, us or ns
+ * @returns {Object} Highland stream
+ */
+function lineProtocolStream({
+  instream=null,
+  start=0,
+  measurement=null,
+  position=null,
+  lineIndex=0,
+  precision='ns'
+} = {}) {
+  timestamp.checkPrecision(precision);
+  let i = 0;
+  let ddl = false;  // in the # DDL section
+  return pipeline.lineStream({instream, start, position, lineIndex})
+    .doto(o => {
+      if (o.text[0] === '#') {
+        precision = timestamp.headerPrecision(o.text) || precision;
+        ddl = o.text.trim() === '# DDL' || (ddl && o.text.trim() !== '# DML');
+      }
+    })
+    .filter(o => o.text.trim() !== '' && o.text[0] !== '#' && !ddl)
+    .map(o => {
+      let point;
+      try {
+        point = parseLineProtocol(o.text);
+        if (point.timestamp === null) {
+          throw new TimeSeriesCopError('time value missing');
+        }
+      } catch (e) {
+        if (!(e instanceof TimeSeriesCopError)) throw e;
+        throw new TimeSeriesCopError(
+          `${validation.errorPrefix} ${e.message} on line ${o.lineIndex + 1}`,
+          pipeline.lineError(o, e.message)
+        );
+      }
+      o.measurement = point.measurement;
+      o.doc = Object.assign({ time: timestamp.toDate(point.timestamp, precision) }, point.tags, _.omit(point.fields, 'influxMissingData'));
+      return o;
+    })
+    .filter(o => measurement === null || o.measurement === measurement)
+    .doto(o => o.recordIndex = i++);
+}
+exports.lineProtocolStream = lineProtocolStream;
+
+/**
+ * Read line protocol text and infer the schema of its records. Tags become
+ * category, and fields take the type of their values. A field with both
+ * integer and float values is a float. Any other conflict is an error. Lines
+ * that can't be parsed are ignored here and reported by lineProtocolStream().
+ * @param {Object} instream Input to Highland stream constructor
+ * @param {string} [measurement=null] Only read lines for this measurement
+ * @returns {Promise} Resolves to the schema, with time first followed by tags
+ * and fields in the order they first appear.
+ */
+function inferLineProtocolSchema(instream, {measurement=null} = {}) {
+  const schema = { time: 'time' };
+  return new Promise((resolve, reject) => {
+    pipeline.lineStream({instream})
+      .filter(o => o.text.trim() !== '' && o.text[0] !== '#')
+      .doto(o => {
+        let point;
+        try {
+          point = parseLineProtocol(o.text);
+        } catch (e) {
+          if (!(e instanceof TimeSeriesCopError)) throw e;
+          return;
+        }
+        if (measurement !== null && point.measurement !== measurement) {
+          return;
+        }
+        const add = (k, type) => {
+          const prev = schema[k];
+          if (prev === undefined || prev === type) {
+            schema[k] = type;
+          } else if (_.includes(['integer', 'float'], prev) && _.includes(['integer', 'float'], type)) {
+            schema[k] = 'float';
+          } else {
+            throw new TimeSeriesCopError(
+              `${validation.errorPrefix} ${k} is ${prev} but ${type} on line ${o.lineIndex + 1}`,
+              pipeline.lineError(o, `${k} is ${prev} but ${type}`, k)
+            );
+          }
+        };
+        _.keys(point.tags).forEach(k => add(k, 'category'));
+        _.keys(point.types).filter(k => k !== 'influxMissingData').forEach(k => add(k, point.types[k]));
+      })
+      .stopOnError(reject)
+      .done(() => resolve(schema));
+  });
+}
+exports.inferLineProtocolSchema = inferLineProtocolSchema;
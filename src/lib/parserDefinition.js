@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const H = require('highland');
+const moment = require('moment');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const downsample = require('./downsample');
+const pipeline = require('./pipeline');
+const validation = require('./validation');
+const geo = require('./geo');
+const timestamp = require('./timestamp');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Directory of parser definitions shipped with this package
+const definitionDir = path.join(__dirname, '..', 'parsers');
+
+// Value transforms available to columns and derived columns. Each takes the
+// current value and the transform parameters from the definition and returns
+// a new value.
+const transforms = {
+  // Parse a timestamp. params may be a moment format string, null to let
+  // moment guess the format, or { format, utc } to parse in local time.
+  // Fractional seconds beyond milliseconds are kept for --precision.
+  time(value, params) {
+    let format = params, utc = true;
+    if (_.isPlainObject(params)) {
+      format = params.format;
+      utc = params.utc === undefined ? true : params.utc;
+    }
+    const parse = utc ? moment.utc : moment;
+    if (format === null || format === undefined) {
+      return timestamp.withSubMilliseconds(parse(value), value);
+    }
+    const parsed = parse(value, format);
+    return /S/.test(format) ? timestamp.withSubMilliseconds(parsed, value) : parsed;
+  },
+  // Convert a spreadsheet serial date (days since 1900-01-00) to a timestamp
+  excelTime(value) {
+    return moment.utc({year: 1900})
+      .add(parseInt(value) - 2, 'day')
+      .add((+value - parseInt(value)) * 24, 'hour');
+  },
+  // Convert a GGA coordinate to decimal degrees
+  gga(value) {
+    return geo.GGAToDecimalDegrees(value);
+  },
+  // Apply a linear calibration, scale * (value - offset)
+  linear(value, params) {
+    return (params.scale * (parseFloat(value) - (params.offset || 0))).toString();
+  }
+};
+
+// Record aggregations that combine or replace validated records. Each returns
+// a Highland consume() handler.
+const aggregators = {
+  // Combine consecutive records with the same timestamp into one record,
+  // using the value of column 'key' as the property name for column 'value'.
+  pivot(spec) {
+    let record;
+    let time;
+    return (err, o, push, next) => {
+      if (err) {
+        push(err);
+        next();
+      } else if (o === H.nil) {
+        // End of stream, push record if exists
+        if (record) {
+          push(null, record);
+        }
+        push(null, o);  // pass along stream end
+      } else {
+        if (+time !== +o.doc.time) {
+          if (time !== undefined) {
+            push(null, record);
+          }
+          time = o.doc.time;
+          record = { doc: { time } };
+        }
+        record.doc[o.doc[spec.key]] = o.doc[spec.value];
+        record.lineIndex = o.lineIndex;
+        record.recordIndex = o.recordIndex;
+        record.position = o.position;
+        next();
+      }
+    };
+  },
+  // Calculate speed over ground between positions at least 'interval' minutes
+  // apart.
+  speed(spec) {
+    const interval = spec.interval === undefined ? 5 : spec.interval;
+    const latitude = spec.latitude || 'latitude';
+    const longitude = spec.longitude || 'longitude';
+    let prev;
+    return (err, o, push, next) => {
+      if (err) {
+        push(err);
+        next();
+      } else if (o === H.nil) {
+        push(null, o);  // pass along stream end
+      } else {
+        if (prev !== undefined) {
+          const deltaMinutes = moment.duration(prev.doc.time - o.doc.time).asMinutes();
+          if (Math.abs(deltaMinutes) > interval) {
+            const p1 = [ +prev.doc[longitude], +prev.doc[latitude] ];
+            const p2 = [ +o.doc[longitude], +o.doc[latitude] ];
+            const t1 = prev.doc.time.valueOf();
+            const t2 = o.doc.time.valueOf();
+            const kmph = geo.geo2kmph(p1, p2, t1, t2);
+            push(null, {
+              doc: {
+                // Set time to halfway between t1 and t2
+                time: moment.utc((t1 + t2) / 2),
+                speed_knots: kmph / 1.852,
+                speed_kmph: kmph
+              },
+              lineIndex: o.lineIndex,
+              recordIndex: o.recordIndex,
+              position: o.position
+            });
+            prev = o;
+          }
+        } else {
+          prev = o;
+        }
+        next();
+      }
+    };
+  }
+};
+
+/**
+ * Read and validate a parser definition. JSON and YAML files are supported.
+ * @param {string} file Path to a .json, .yaml or .yml definition file, or the
+ * name of a definition shipped with this package.
+ * @returns {Object} Validated parser definition
+ */
+function loadParserDefinition(file) {
+  let filePath = file;
+  if (!fs.existsSync(filePath) && !path.extname(file)) {
+    filePath = path.join(definitionDir, `${file}.json`);
+  }
+  let text;
+  try {
+    text = fs.readFileSync(filePath, {encoding: 'utf8'});
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not read parser definition ${file}`);
+  }
+  let definition;
+  try {
+    if (_.includes(['.yaml', '.yml'], path.extname(filePath).toLowerCase())) {
+      definition = yaml.safeLoad(text);
+    } else {
+      definition = JSON.parse(text);
+    }
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not parse parser definition ${file}: ${e.message}`);
+  }
+  return validateParserDefinition(definition);
+}
+exports.loadParserDefinition = loadParserDefinition;
+
+/**
+ * List the names of parser definitions shipped with this package.
+ * @returns {string[]} Definition names
+ */
+function listParserDefinitions() {
+  return fs.readdirSync(definitionDir)
+    .filter(f => path.extname(f) === '.json')
+    .map(f => path.basename(f, '.json'))
+    .sort();
+}
+exports.listParserDefinitions = listParserDefinitions;
+
+/**
+ * Check a parser definition for errors and fill in defaults.
+ * @param {Object} definition Parser definition
+ * @returns {Object} Validated clone of definition
+ */
+function validateParserDefinition(definition) {
+  const fail = msg => {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Parser definition ${msg}`);
+  };
+  if (!_.isPlainObject(definition)) {
+    fail('must be an object');
+  }
+  const def = _.cloneDeep(definition);
+  def.delimiter = def.delimiter === undefined ? '\t' : def.delimiter;
+  def.skip = def.skip === undefined ? 0 : def.skip;
+  def.filter = def.filter || [];
+  def.derived = def.derived || [];
+
+  if (def.name !== undefined && !validation.validateMeasurement(def.name)) {
+    fail(`name ${def.name} must match regex ${validation.measurementRegex}`);
+  }
+  if (!_.isString(def.delimiter) || def.delimiter === '') {
+    fail('delimiter must be a non-empty string');
+  }
+  if (!_.isInteger(def.skip) || def.skip < 0) {
+    fail('skip must be a non-negative integer');
+  }
+  if (!_.isArray(def.filter)) {
+    fail('filter must be an array');
+  }
+  def.filter.forEach((f, i) => {
+    if (f.fieldCount === undefined && f.regex === undefined) {
+      fail(`filter ${i} must have a regex or fieldCount`);
+    }
+    if (f.regex !== undefined) {
+      try {
+        new RegExp(f.regex);
+      } catch (e) {
+        fail(`filter ${i} has an invalid regex ${f.regex}`);
+      }
+    }
+  });
+  if (!_.isArray(def.columns) || !def.columns.length) {
+    fail('must have at least one column');
+  }
+  if (!_.isArray(def.derived)) {
+    fail('derived must be an array');
+  }
+  const checkColumn = (c, kind) => {
+    if (!_.isString(c.name) || !validation.validateMeasurement(c.name)) {
+      fail(`${kind} name ${c.name} must match regex ${validation.measurementRegex}`);
+    }
+    if (!_.includes(validation.validTypes, c.type)) {
+      fail(`${kind} ${c.name} has invalid type '${c.type}'`);
+    }
+    ['description', 'units'].forEach(k => {
+      if (c[k] !== undefined && !_.isString(c[k])) {
+        fail(`${kind} ${c.name} ${k} must be a string`);
+      }
+    });
+    if (c.downsample !== undefined) {
+      const fns = _.castArray(c.downsample);
+      if (!fns.length || !fns.every(fn => _.includes(downsample.aggregationFunctions, fn))) {
+        fail(`${kind} ${c.name} downsample must be one or a list of ${downsample.aggregationFunctions.join(', ')}`);
+      }
+    }
+    if (c.angle !== undefined) {
+      if (!_.includes(downsample.angleUnits, c.angle)) {
+        fail(`${kind} ${c.name} angle must be one of ${downsample.angleUnits.join(', ')}`);
+      }
+      if (c.type !== 'integer' && c.type !== 'float') {
+        fail(`${kind} ${c.name} must be an integer or float to be an angle`);
+      }
+    }
+    _.castArray(c.transform || []).forEach(t => {
+      const name = _.isString(t) ? t : _.keys(t)[0];
+      if (!transforms[name]) {
+        fail(`${kind} ${c.name} has unknown transform '${name}'`);
+      }
+    });
+  };
+  def.columns.forEach(c => {
+    checkColumn(c, 'column');
+    if (!_.isInteger(c.field) || c.field < 0) {
+      fail(`column ${c.name} must have a non-negative integer field index`);
+    }
+  });
+  def.derived.forEach(c => {
+    checkColumn(c, 'derived column');
+    if (c.column === undefined && c.template === undefined && c.timeParts === undefined) {
+      fail(`derived column ${c.name} must have a column, template or timeParts`);
+    }
+  });
+  const names = def.columns.map(c => c.name);
+  if (_.uniq(names).length !== names.length) {
+    fail('column names must be unique');
+  }
+
+  if (def.aggregate !== undefined && !aggregators[def.aggregate.type]) {
+    fail(`has unknown aggregate type '${def.aggregate.type}'`);
+  }
+
+  if (def.output === undefined) {
+    def.output = {};
+    def.columns.concat(def.derived).forEach(c => def.output[c.name] = c.type);
+  }
+  const schemaValidation = validation.validateSchema(def.output);
+  if (schemaValidation.error) {
+    fail(`output has invalid type '${schemaValidation.error}'`);
+  }
+  def.output = schemaValidation.schema;
+  if (!_.values(def.output).some(t => t === 'time')) {
+    fail('output must contain a time column');
+  }
+
+  return def;
+}
+exports.validateParserDefinition = validateParserDefinition;
+
+/**
+ * Get the schema of records produced by a parser definition, including the
+ * cruise tag.
+ * @param {Object} definition Validated parser definition
+ * @returns {Object} Output schema
+ */
+function definitionOutputSchema(definition) {
+  const outputSchema = _.clone(definition.output);
+  outputSchema.cruise = 'category';
+  return outputSchema;
+}
+exports.definitionOutputSchema = definitionOutputSchema;
+
+/**
+ * Create a Highland stream of validated records from a text input using a
+ * parser definition. Output objects hold the record under 'doc' and are ready
+ * for saveData().
+ * @param {Object} definition Validated parser definition
+ * @param {Object} [instream=null] Input to Highland stream constructor
+ * @param {number} [start] Index of line to begin processing. Defaults to the
+ * definition's skip value.
+ * @param {string} cruise Cruise name added to every record
+ * @param {number} [position=null] Byte offset of the start of instream. See
+ * lineStream().
+ * @param {number} [lineIndex=0] Index of the first line in instream. See
+ * lineStream().
+ * @returns {Object} Highland stream
+ */
+function definitionPipeline(definition, {
+  instream=null,
+  start=undefined,
+  cruise=null,
+  position=null,
+  lineIndex=0
+} = {}) {
+  const headers = definition.columns.map(c => c.name);
+  const schema = _.zipObject(headers, definition.columns.map(c => c.type));
+
+  let stream = pipeline.fieldStream({
+    instream,
+    start: start === undefined ? definition.skip : start,
+    delimiter: definition.delimiter,
+    position,
+    lineIndex
+  });
+  definition.filter.forEach(f => {
+    const regex = f.regex === undefined ? null : new RegExp(f.regex);
+    stream = stream.filter(o => {
+      let keep = true;
+      if (f.fieldCount !== undefined) {
+        keep = o.fields.length === f.fieldCount;
+      }
+      if (keep && regex) {
+        const target = f.field === undefined ? o.text : o.fields[f.field];
+        keep = target !== undefined && regex.test(target);
+      }
+      return f.negate ? !keep : keep;
+    });
+  });
+  stream = stream
+    .doto(o => o.fields = definition.columns.map(c => extractColumn(c, o.fields)))
+    .through(pipeline.fieldsToDoc(headers))
+    .through(pipeline.validateDoc(schema, false));
+  if (definition.derived.length) {
+    stream = stream.doto(o => {
+      definition.derived.forEach(c => o.doc[c.name] = deriveColumn(c, o.doc));
+    });
+  }
+  if (definition.aggregate) {
+    stream = stream.consume(aggregators[definition.aggregate.type](definition.aggregate));
+  }
+  return stream.doto(o => o.doc.cruise = cruise);
+}
+exports.definitionPipeline = definitionPipeline;
+
+exports.transforms = transforms;
+exports.aggregators = aggregators;
+
+// Pull one column value out of a field array. Missing values become null.
+function extractColumn(column, fields) {
+  let value = fields[column.field];
+  if (value === undefined) {
+    return null;
+  }
+  if (column.split !== undefined) {
+    const parts = value.split(column.split);
+    value = _.castArray(column.index).map(i => parts[i]);
+    if (value.some(v => v === undefined)) {
+      return null;
+    }
+    value = value.join('');
+  }
+  if (column.slice !== undefined) {
+    value = value.slice(...column.slice);
+  }
+  return applyTransforms(value, column.transform);
+}
+
+// Compute a derived column value from a validated doc
+function deriveColumn(column, doc) {
+  let value;
+  if (column.timeParts !== undefined) {
+    const parts = {};
+    let dayOfYear;
+    _.keys(column.timeParts).forEach(unit => {
+      if (unit === 'dayOfYear') {
+        dayOfYear = doc[column.timeParts[unit]];
+      } else {
+        parts[unit] = doc[column.timeParts[unit]];
+      }
+    });
+    value = moment.utc(parts);
+    if (dayOfYear !== undefined) {
+      value.dayOfYear(dayOfYear);
+    }
+  } else if (column.template !== undefined) {
+    value = column.template.replace(/\{(\w+)\}/g, (m, k) => doc[k]);
+  } else {
+    value = doc[column.column];
+  }
+  return applyTransforms(value, column.transform);
+}
+
+function applyTransforms(value, specs) {
+  _.castArray(specs || []).forEach(t => {
+    if (_.isString(t)) {
+      value = transforms[t](value);
+    } else {
+      const name = _.keys(t)[0];
+      value = transforms[name](value, t[name]);
+    }
+  });
+  return value;
+}
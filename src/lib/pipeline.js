@@ -1,14 +1,29 @@
 const fs = require('fs');
+const StringDecoder = require('string_decoder').StringDecoder;
 const H = require('highland');
 const moment = require('moment');
 const CSV = require('csv-string');
 const _ = require('lodash');
-const eolFix = require('eol-fix-stream');
 const Influx = require('influx');
 const JsonInfluxDbStream = require('json-to-influxdb-line').JsonInfluxDbStream;
+const lineProtocolUtil = require('json-to-influxdb-line/util');
+const compression = require('./compression');
+const downsample = require('./downsample');
+const influxV2 = require('./influxV2');
+const spool = require('./spool');
+const timestamp = require('./timestamp');
 const validation = require('./validation');
 const TimeSeriesCopError = require('./error').TimeSeriesCopError;
 
+// Ways to handle records that fail validation. See handleErrors().
+const errorPolicies = ['abort', 'skip', 'quarantine'];
+
+// Where in its window a resampled record is timestamped. See resample().
+const resampleAlignments = ['start', 'middle', 'end'];
+
+// What to do with records that have the same tags and time. See dedup().
+const dedupPolicies = ['first', 'last', 'merge', 'reject'];
+
 /**
  * Create a Highland stream to split a text into lines. Line endings are
  * normalized before splitting and stripped from final text. Produces objects
@@ -16,13 +31,21 @@ const TimeSeriesCopError = require('./error').TimeSeriesCopError;
  * text
  * @param {Object} [instream=null] Input to Highland stream constructor. May be
  * Node readable stream, array, EventEmitter, Promise, etc. See Highland
- * docs.
+ * docs. Buffer input that starts with gzip magic bytes, or a file stream
+ * with a .gz path, is decompressed. Open files without an encoding so this
+ * can be detected. Byte positions are of the decompressed text.
  * @param {number} [start=0] Index of line to begin processing (inclusive)
  * @param {number} [end=Infinty] Index of line stop processing (exclusive)
  * @param {boolean} [dropInternalBlank=true] Drop empty lines between non-empty
  * lines.
  * @param {boolean} [dropFinalBlank=true] Drop empty lines at the end of the
  * stream.
+ * @param {number} [position=null] Byte offset of the start of instream in the
+ * original file. If set, each line object gets a 'position' property with the
+ * byte offset just past the line and its line ending, which can be used to
+ * resume reading after that line.
+ * @param {number} [lineIndex=0] Index of the first line in instream. Set this
+ * when instream starts partway through a file.
  * @example
  * // Add text to each line of readable stream
  * lineStream({stream: readable})
@@ -35,14 +58,23 @@ function lineStream({
   start=0,
   end=Infinity,
   dropInternalBlank=true,
-  dropFinalBlank=true
+  dropFinalBlank=true,
+  position=null,
+  lineIndex=0
 } = {}) {
-  let i = 0;
-  return H(instream)  // make a highland stream
-    .through(eolFix())  // normalize line endings
-    .split()  // line splitter
-    .map(line => ({ text: line, lineIndex: i++ }))
-    .slice(start, end)  // get selected lines only
+  let i = lineIndex;
+  let bytes = position;
+  return decompressed(instream)  // make a highland stream
+    .consume(splitLines())  // normalize line endings and split lines
+    .map(line => {
+      const o = { text: line.text, lineIndex: i++ };
+      if (position !== null) {
+        bytes += line.bytes;
+        o.position = bytes;
+      }
+      return o;
+    })
+    .slice(Math.max(start - lineIndex, 0), end - lineIndex)  // get selected lines only
     .consume(dropBlanks({dropInternalBlank, dropFinalBlank}));
 }
 exports.lineStream = lineStream;
@@ -63,6 +95,10 @@ exports.lineStream = lineStream;
  * stream.
  * @param {string} [delimiter='\t'] String to use as field separator, or
  * special string 'whitespace' to split on whitespace.
+ * @param {number} [position=null] Byte offset of the start of instream. See
+ * lineStream().
+ * @param {number} [lineIndex=0] Index of the first line in instream. See
+ * lineStream().
  * @example
  * // Print number of fields in each line
  * fieldStream({stream: readable})
@@ -76,10 +112,12 @@ function fieldStream({
   end=Infinity,
   dropInternalBlank=true,
   dropFinalBlank=true,
-  delimiter='\t'
+  delimiter='\t',
+  position=null,
+  lineIndex=0
 } = {}) {
   let i = 0;
-  let pipe = lineStream({instream, start, end, dropInternalBlank, dropFinalBlank});
+  let pipe = lineStream({instream, start, end, dropInternalBlank, dropFinalBlank, position, lineIndex});
   // Turn line text into array of field values
   if (delimiter === 'whitespace') {
     pipe = pipe.doto(o => {
@@ -121,7 +159,8 @@ function fieldsToDoc(headers, strict) {
     return stream
       .doto(o => {
         if (o.fields.length !== headers.length) {
-          throw new TimeSeriesCopError(`Column count (${o.fields.length}) does not match header count (${headers.length}) on line ${o.lineIndex + 1}`);
+          const reason = `Column count (${o.fields.length}) does not match header count (${headers.length})`;
+          throw new TimeSeriesCopError(`${reason} on line ${o.lineIndex + 1}`, lineError(o, reason));
         }
         o.doc = _.zipObject(headers, o.fields);
       });
@@ -161,9 +200,13 @@ function validateDoc(schema, strict) {
             if (o.origDoc[k] !== null) {
               const v = validator[schema[k]](_.isString(o.origDoc[k]) ? o.origDoc[k].trim() : o.origDoc[k]);
               if (v.error) {
-                throw new TimeSeriesCopError(`${v.error} on line ${o.lineIndex + 1}. column=${k}, value=${o.origDoc[k]}, type=${schema[k]}`);
+                throw new TimeSeriesCopError(
+                  `${v.error} on line ${o.lineIndex + 1}. column=${k}, value=${o.origDoc[k]}, type=${schema[k]}`,
+                  lineError(o, v.error, k, o.origDoc[k])
+                );
               }
-              o.doc[k] = v.value;
+              // Keep sub-millisecond times for line protocol output
+              o.doc[k] = schema[k] === 'time' ? timestamp.withSubMilliseconds(v.value, o.origDoc[k]) : v.value;
             }
           }
         });
@@ -172,6 +215,289 @@ function validateDoc(schema, strict) {
 }
 exports.validateDoc = validateDoc;
 
+/**
+ * Create a Highland stream transform function to resample validated records
+ * into fixed time windows. Windows are aligned to the epoch, like InfluxQL
+ * GROUP BY time(), and each window and tag set produces one record of
+ * aggregated values. Fields are aggregated as in downsampling, so numbers are
+ * averaged and text and boolean fields keep their last value unless
+ * aggregations says otherwise, and a field with several aggregations becomes
+ * <field>_<function>. Use downsample.aggregatedSchema() for the schema of the
+ * resampled records.
+ *
+ * Input must be in ascending chronological order. A window is produced when
+ * the first record of a later window arrives, or at the end of the stream.
+ * Resampled objects have the position and lineIndex of the last input record
+ * of their window, so checkpoints stay correct.
+ * @param {string} measurement Measurement name, used in error messages
+ * @param {Object} schema Schema of input records. Category properties are
+ * tags.
+ * @param {string|number} [window='1m'] Window duration. See
+ * downsample.parseDuration().
+ * @param {Object} [aggregations={}] Lists of aggregation functions by field,
+ * e.g. { temp: ['min', 'max'] }
+ * @param {Object} [angles={}] Units of angle fields, e.g. { heading:
+ * 'degrees' }. Their means are circular means.
+ * @param {string} [align='start'] Timestamp resampled records at the start,
+ * middle or end of their window
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function resample({
+  measurement=null,
+  schema=null,
+  window='1m',
+  aggregations={},
+  angles={},
+  align='start'
+} = {}) {
+  // Validate schema types
+  const schemaValidation = validation.validateSchema(schema);
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
+  }
+  if (!_.includes(resampleAlignments, align)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid resampling alignment ${align}. Must be one of ${resampleAlignments.join(', ')}`);
+  }
+  const plan = downsample.downsamplePlan(measurement, schemaValidation.schema, {
+    windows: [window],
+    aggregations: aggregations || {},
+    angles: angles || {}
+  });
+  const ms = plan.windows[0].ms;
+  const offset = { start: 0, middle: ms / 2, end: ms }[align];
+  let open = [];  // accumulators for the current window, one per tag set
+  let series = {};  // the same by tag set
+  let start = null;  // start of the current window
+  let last = null;  // last record added to the current window
+
+  // Make resampled objects from the current window
+  const close = push => {
+    open.forEach(acc => {
+      const values = acc.aggregate();
+      if (_.keys(values).length) {
+        const o = { doc: _.assign({ time: new Date(acc.start + offset) }, acc.tags, values), lineIndex: last.lineIndex };
+        if (last.position !== undefined) {
+          o.position = last.position;
+        }
+        push(null, o);
+      }
+    });
+    open = [];
+    series = {};
+  };
+
+  return (stream) => {
+    return stream.consume((err, x, push, next) => {
+      if (err) {
+        push(err);
+        next();
+      } else if (x === H.nil) {
+        close(push);
+        push(null, x);
+      } else {
+        const time = x.doc.time;
+        if (time === null || time === undefined) {
+          push(new TimeSeriesCopError(`${validation.errorPrefix} time value missing from ${lineName(x)}`, lineError(x, 'time value missing', 'time', null)));
+          next();
+          return;
+        }
+        const windowStart = Math.floor(+time / ms) * ms;
+        if (start !== null && windowStart < start) {
+          push(new TimeSeriesCopError(
+            `${validation.errorPrefix} records not in ascending chronological order near ${lineName(x)}`,
+            lineError(x, 'records not in ascending chronological order', 'time', moment.utc(+time).toISOString())
+          ));
+          next();
+          return;
+        }
+        if (windowStart !== start) {
+          close(push);
+          start = windowStart;
+        }
+        const tags = _.pickBy(_.pick(x.doc, plan.tags), v => v !== null && v !== undefined);
+        const key = JSON.stringify(tags);
+        if (!series[key]) {
+          series[key] = downsample.windowAccumulator(plan, tags, start);
+          open.push(series[key]);
+        }
+        series[key].add(x.doc);
+        last = x;
+        next();
+      }
+    });
+  };
+}
+exports.resample = resample;
+exports.resampleAlignments = resampleAlignments;
+
+/**
+ * Create a Highland stream transform function to find records with the same
+ * tag set and time, which would overwrite each other in InfluxDB, and keep
+ * one record for each. Duplicates are found among consecutive records with
+ * the same time, so input should be in chronological order, e.g. from
+ * sort.reorder() or sort.externalSort().
+ *
+ * The policy says what to do with duplicates. first keeps the first record
+ * and last the last. merge keeps the first record with non-null fields of
+ * later records replacing its fields, as InfluxDB merges points. reject keeps
+ * the first record and makes later ones errors, which handleErrors() can skip
+ * or quarantine. The record kept has the position of the last duplicate
+ * merged into it, so checkpoints stay correct.
+ * @param {Object} schema Schema of records. Category properties are tags.
+ * @param {string} [policy='first'] One of first, last, merge or reject
+ * @param {function} [onDuplicate=null] Called with each duplicate record and
+ * the record it duplicates, before the policy is applied
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function dedup({schema=null, policy='first', onDuplicate=null} = {}) {
+  // Validate schema types
+  const schemaValidation = validation.validateSchema(schema);
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
+  }
+  if (!_.includes(dedupPolicies, policy)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid duplicate policy ${policy}. Must be one of ${dedupPolicies.join(', ')}`);
+  }
+  const tags = _.keys(schemaValidation.schema).filter(k => schemaValidation.schema[k] === 'category');
+  let time = null;  // time of the current group
+  let group = [];  // records with the current time, one per tag set
+  let byKey = {};  // the same by tag set
+
+  const flush = push => {
+    group.forEach(entry => push(null, entry.o));
+    group = [];
+    byKey = {};
+  };
+
+  // Combine a duplicate with the record kept so far
+  const combine = (kept, x) => {
+    if (policy === 'last') {
+      return x;
+    }
+    if (policy === 'merge') {
+      const fields = _.omitBy(x.doc, v => v === null || v === undefined);
+      return Object.assign({}, x, { doc: Object.assign({}, kept.doc, fields) });
+    }
+    return x.position === undefined ? kept : Object.assign({}, kept, { position: x.position });
+  };
+
+  return (stream) => {
+    return stream.consume((err, x, push, next) => {
+      if (err) {
+        push(err);
+        next();
+      } else if (x === H.nil) {
+        flush(push);
+        push(null, x);
+      } else {
+        const t = x.doc.time === null || x.doc.time === undefined ? null : +x.doc.time;
+        if (t !== time || t === null) {
+          flush(push);
+          time = t;
+        }
+        const key = JSON.stringify(tags.map(tag => x.doc[tag] === undefined ? null : x.doc[tag]));
+        const entry = byKey[key];
+        if (!entry || t === null) {
+          byKey[key] = { o: x };
+          group.push(byKey[key]);
+        } else {
+          if (onDuplicate) {
+            onDuplicate(x, entry.o);
+          }
+          if (policy === 'reject') {
+            push(new TimeSeriesCopError(
+              `${validation.errorPrefix} record on ${lineName(x)} has the same time and tags as ${lineName(entry.o)}`,
+              lineError(x, `duplicate of ${lineName(entry.o)}`, 'time', moment.utc(t).toISOString())
+            ));
+          } else {
+            entry.o = combine(entry.o, x);
+          }
+        }
+        next();
+      }
+    });
+  };
+}
+exports.dedup = dedup;
+exports.dedupPolicies = dedupPolicies;
+
+/**
+ * Create a Highland stream transform function to warn about tags with many
+ * distinct values. Each tag value makes more InfluxDB series, so a category
+ * column of e.g. sample IDs or free text can make far too many. Records pass
+ * through unchanged.
+ * @param {Object} schema Schema of records. Category properties are tags.
+ * @param {number} [maxValues=1000] Warn once a tag has more than this many
+ * distinct values. 0 or null turns the check off.
+ * @param {function} [onWarning=null] Called with a warning message once for
+ * each tag with too many values
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function checkTagCardinality({schema=null, maxValues=1000, onWarning=null} = {}) {
+  // Validate schema types
+  const schemaValidation = validation.validateSchema(schema);
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
+  }
+  const limit = maxValues === null || maxValues === undefined ? 0 : Number(maxValues);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid maximum tag values ${maxValues}. Must be a whole number`);
+  }
+  const tags = _.keys(schemaValidation.schema).filter(k => schemaValidation.schema[k] === 'category');
+  // Distinct values by tag, until a tag has too many
+  const values = _.zipObject(tags, tags.map(() => new Set()));
+
+  return (stream) => {
+    if (!limit || !tags.length) {
+      return stream;
+    }
+    return stream.doto(o => {
+      tags.forEach(tag => {
+        const seen = values[tag];
+        if (!seen || o.doc[tag] === null || o.doc[tag] === undefined) {
+          return;
+        }
+        seen.add(o.doc[tag]);
+        if (seen.size > limit) {
+          delete values[tag];  // stop counting, and warn only once
+          if (onWarning) {
+            onWarning(`Tag ${tag} has more than ${limit} distinct values by ${lineName(o)}, which makes many InfluxDB series. Should it be a text field?`);
+          }
+        }
+      });
+    });
+  };
+}
+exports.checkTagCardinality = checkTagCardinality;
+
+/**
+ * Parse static tags from the command line, e.g. ['ship=KOK', 'data_level=1'],
+ * to add to every record.
+ * @param {string|string[]} [values=[]] key=value texts
+ * @param {string[]} [columns=[]] Column names, which tag keys must differ from
+ * @returns {Object} Tag values by key
+ * @throws {TimeSeriesCopError} If a tag is malformed, its key doesn't match
+ * the measurement regex or is a column name, or it's given more than once
+ */
+function parseTags(values=[], columns=[]) {
+  const tags = {};
+  _.castArray(values === null || values === undefined ? [] : values).forEach(text => {
+    const i = String(text).indexOf('=');
+    if (i === -1) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid tag ${text}. Must look like key=value`);
+    }
+    const key = String(text).slice(0, i).trim();
+    const value = String(text).slice(i + 1).trim();
+    const error = validation.tagError(key, value, columns, tags);
+    if (error) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} ${error}`);
+    }
+    tags[key] = value;
+  });
+  return tags;
+}
+exports.parseTags = parseTags;
+
 /**
  * Create a Highland stream transform function to turn objects into InfluxDB
  * line protocol records. Each input object should contain an object to
@@ -188,84 +514,202 @@ exports.validateDoc = validateDoc;
  * ascending chronological order.
  * @param {Object} outstream Node writable stream that line protocol lines will
  * be written to.
+ * @param {function} [onWrite=null] Called with each input object after its
+ * line has been written to outstream.
+ * @param {function} [errorHandler=null] Transform from handleErrors() applied
+ * to records and errors before they are written.
+ * @param {string} [precision='ns'] Timestamp precision, s, ms, us or ns.
+ * Timestamps are rounded down, and keep sub-millisecond times where they
+ * were parsed. See timestamp.withSubMilliseconds().
+ * @param {boolean} [writeHeader=true] For precisions other than ns, start
+ * with comment lines giving the precision, read by influx -import and
+ * lineProtocolStream(). Turn off when appending to an existing file.
+ * @param {string} [measurementColumn=null] Property of each 'doc' object
+ * giving its measurement name, e.g. for a file of several measurements. It's
+ * not written as a tag or field. Records without a value get measurement.
  * @returns {Object} Highland stream transform function for use with through()
  */
 function writeDocToLineProtocol({
   measurement=null,
   schema=null,
   ensureSorted=true,
-  outstream=null
+  outstream=null,
+  onWrite=null,
+  errorHandler=null,
+  precision='ns',
+  writeHeader=true,
+  measurementColumn=null
 } = {}) {
   // Validate schema types
   const schemaValidation = validation.validateSchema(schema);
   if (schemaValidation.error) {
     throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
   }
-  schema = schemaValidation.schema;  // set validated, case-normalized schema
+  schema = _.omit(schemaValidation.schema, measurementColumn);  // set validated, case-normalized schema
+  timestamp.checkPrecision(precision);
+  const measurementOf = recordMeasurement(measurement, measurementColumn);
   let prevtime = null;  // track previous time to ensure ascending order
+  const pending = [];  // input objects waiting for their line to be written
 
   return (stream) => {
-    return stream.map(o => {
-      const fields = {},
-        tags = {};
-      let time;
-
-      Object.keys(o.doc).forEach(k => {
-        // Only add properties which have defined values
-        if (o.doc[k] !== null && o.doc[k] !== NaN && o.doc[k] !== undefined) {
-          switch (schema[k]) {
-            case 'text':
-              if (o.doc[k]) {
-                fields[k] = Influx.escape.quoted(o.doc[k]);
-              }
-              break;
-            case 'category':
-              tags[k] = o.doc[k];
-              break;
-            case 'integer':
-              fields[k] = o.doc[k] + 'i';
-              break;
-            case 'float':
-              fields[k] = o.doc[k];
-              break;
-            case 'boolean':
-              fields[k] = o.doc[k];
-              break;
-            case 'time':
-              time = o.doc[k];  // moment, Date, or epoch ms
-              break;
-          }
+    if (writeHeader && precision !== 'ns') {
+      outstream.write(timestamp.precisionHeader(precision));
+    }
+    stream = stream.map(o => {
+      const {time, point} = docToLine(o, measurementOf(o), schema, precision);
+      if (ensureSorted && prevtime !== null && prevtime > +time) {
+        throw new TimeSeriesCopError(
+          `${validation.errorPrefix} records not in ascending chronological order near ${lineName(o)}`,
+          lineError(o, 'records not in ascending chronological order', 'time', moment.utc(+time).toISOString())
+        );
+      }
+      prevtime = +time;
+      if (onWrite) {
+        pending.push(o);
+      }
+      return point;
+    });
+    if (errorHandler) {
+      stream = stream.through(errorHandler);
+    }
+    return stream
+      .through(new JsonInfluxDbStream())
+      .doto(x => {
+        if (onWrite) {
+          // JsonInfluxDbStream produces one line per input in order
+          const o = pending.shift();
+          outstream.write(x + '\n', () => onWrite(o));
+        } else {
+          outstream.write(x + '\n');
         }
       });
+  };
+}
+exports.writeDocToLineProtocol = writeDocToLineProtocol;
 
-      // If no fields present, mark missing data with 'influxMissingData' field
-      if (Object.keys(fields).length === 0) {
-        fields.influxMissingData = true;
-      } else {
-        fields.influxMissingData = false;
-      }
+/**
+ * Create a Highland stream transform function to write objects as a standard
+ * format file, which can be read back with parseStandardFile(). The 7 header
+ * lines are written when the transform is applied, followed by one line per
+ * input object. Each input object should contain an object to convert under
+ * the 'doc' property with a time property, as for writeDocToLineProtocol().
+ * The time column comes first, followed by the other schema properties in
+ * order. Missing values are written as NA.
+ * @param {string} measurement Measurement (file type) name
+ * @param {string} cruise Cruise name
+ * @param {string} description File description
+ * @param {Object} [columnDescriptions={}] Descriptions by property name.
+ * Defaults to NA.
+ * @param {Object} [units={}] Units by property name. Defaults to NA.
+ * @param {object} schema Object with key,value of property,type for the
+ * properties of each input 'doc' object to write. A cruise property is left
+ * out since the cruise is in the header.
+ * @param {boolean} [ensureSorted=true] Throw an error if points are not in
+ * ascending chronological order.
+ * @param {Object} outstream Node writable stream that lines will be written to
+ * @param {string} [delimiter='\t'] Field separator
+ * @param {boolean} [writeHeader=true] Write the header lines. Turn off when
+ * appending to an existing file.
+ * @param {function} [onWrite=null] Called with each input object after its
+ * line has been written to outstream.
+ * @param {function} [errorHandler=null] Transform from handleErrors() applied
+ * to records and errors before they are written.
+ * @param {Object} [tags={}] Static tags by key, written as a #tag line each
+ * after the header lines. Their properties are left out of the columns, like
+ * cruise.
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function writeDocToStandardFormat({
+  measurement=null,
+  cruise=null,
+  description=null,
+  columnDescriptions={},
+  units={},
+  schema=null,
+  ensureSorted=true,
+  outstream=null,
+  delimiter='\t',
+  writeHeader=true,
+  onWrite=null,
+  errorHandler=null,
+  tags={}
+} = {}) {
+  // Validate schema types
+  const schemaValidation = validation.validateSchema(schema);
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
+  }
+  schema = schemaValidation.schema;  // set validated, case-normalized schema
+  tags = tags || {};
+  if (!validation.validateMeasurement(measurement)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid measurement name ${measurement}. Must match regex ${validation.measurementRegex}`);
+  }
+  if (!cruise || !description) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Standard format output needs a cruise and description`);
+  }
+  const timeKey = _.findKey(schema, t => t === 'time');
+  if (timeKey === undefined) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Standard format output needs a time column`);
+  }
+  const keys = [timeKey].concat(_.keys(schema).filter(k => k !== timeKey && k !== 'cruise' && !_.has(tags, k)));
+  columnDescriptions = columnDescriptions || {};
+  units = units || {};
+  let prevtime = null;  // track previous time to ensure ascending order
 
+  const line = values => CSV.stringify(values, delimiter).replace(/\r\n$/, '\n');
+  const format = (value, type) => {
+    if (value === null || value === undefined || value === '' || _.isNaN(value)) {
+      return 'NA';
+    }
+    if (type === 'boolean') {
+      return String(value).toUpperCase();
+    }
+    return String(value);
+  };
+
+  return (stream) => {
+    if (writeHeader) {
+      outstream.write([
+        line([measurement]),
+        line([cruise]),
+        line([description]),
+        line(keys.map(k => columnDescriptions[k] || 'NA')),
+        line(keys.map(k => schema[k])),
+        line(keys.map(k => units[k] || 'NA')),
+        line(['time'].concat(keys.slice(1)))
+      ].concat(_.keys(tags).map(k => line(['#tag', k, tags[k]]))).join(''));
+    }
+    stream = stream.map(o => {
+      const time = o.doc[timeKey];
       // Timestamp must be present
-      if (time === undefined) {
-        throw new TimeSeriesCopError(`${validation.errorPrefix} time value missing from line ${o.lineIndex + 1}`);
+      if (time === undefined || time === null) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} time value missing from ${lineName(o)}`, lineError(o, 'time value missing', 'time', null));
       }
       if (ensureSorted && prevtime !== null && prevtime > +time) {
-        throw new TimeSeriesCopError(`${validation.errorPrefix} records not in ascending chronological order near line ${o.lineIndex + 1}`);
+        throw new TimeSeriesCopError(
+          `${validation.errorPrefix} records not in ascending chronological order near ${lineName(o)}`,
+          lineError(o, 'records not in ascending chronological order', 'time', moment.utc(+time).toISOString())
+        );
       }
       prevtime = +time;
-
-      return {
-        measurement: measurement,
-        ts: +time  * 1000 * 1000,  // nanoseconds since epoch
-        tags: tags,
-        fields: fields
-      };
-    })
-    .through(new JsonInfluxDbStream())
-    .doto(x => outstream.write(x + '\n'));
+      const values = [timestamp.toISOString(time)]
+        .concat(keys.slice(1).map(k => format(o.doc[k], schema[k])));
+      return { o, text: line(values) };
+    });
+    if (errorHandler) {
+      stream = stream.through(errorHandler);
+    }
+    return stream.map(x => {
+      if (onWrite) {
+        outstream.write(x.text, () => onWrite(x.o));
+      } else {
+        outstream.write(x.text);
+      }
+      return x.text;
+    });
   };
 }
-exports.writeDocToLineProtocol = writeDocToLineProtocol;
+exports.writeDocToStandardFormat = writeDocToStandardFormat;
 
 /**
  * Create a Highland stream transform function to turn each object into a point
@@ -290,44 +734,7 @@ function prepDocForInfluxDB({measurement=null, schema=null} = {}) {
   schema = schemaValidation.schema;  // set validated, case-normalized schema
 
   return (stream) => {
-    return stream
-      .map(o => {
-        const fields = {}, tags = {};
-        let time;
-
-        Object.keys(o.doc).forEach(k => {
-          // Only add properties which have defined values
-          if (o.doc[k] !== null && o.doc[k] !== NaN && o.doc[k] !== undefined) {
-            switch (schema[k]) {
-              case 'category':
-                tags[k] = o.doc[k];
-                break;
-              case 'time':
-                time = +o.doc[k];  // moment, Date, or epoch ms
-                break;
-              case undefined:
-                break;
-              default:
-                fields[k] = o.doc[k];
-                break;
-            }
-          }
-        });
-
-        // If no fields present, mark missing data with 'influxMissingData' field
-        if (_.keys(fields).length === 0) {
-          fields.influxMissingData = true;
-        } else {
-          fields.influxMissingData = false;
-        }
-
-        // Timestamp must be present
-        if (time === undefined) {
-          throw new TimeSeriesCopError(`${validation.errorPrefix} time value missing from line ${o.lineIndex + 1}`);
-        }
-
-        return { measurement, fields, tags, timestamp: time };
-      });
+    return stream.map(o => docToPoint(o, measurement, schema).point);
   };
 }
 exports.prepDocForInfluxDB = prepDocForInfluxDB;
@@ -345,151 +752,646 @@ exports.prepDocForInfluxDB = prepDocForInfluxDB;
  * become fields. Should not contain a time property.
  * @param {string} host InfluxDB host name
  * @param {string} database InfluxDB database name
+ * @param {number} [port=8086] InfluxDB port
+ * @param {string} [protocol='http'] 'http' or 'https'
+ * @param {string} [username=null] InfluxDB user name
+ * @param {string} [password=null] InfluxDB password
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https, e.g. for a self-signed server certificate
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
  * @param {number} [batchSize=10000] How many points to write at a time
- * @param {number} [windowSize=3] InfluxDB GROUP BY time() window size in minutes
+ * @param {number} [windowSize=3] InfluxDB GROUP BY time() window size in
+ * minutes, if windows isn't given. 0 turns off downsampling.
+ * @param {Array} [windows=null] Downsampling window durations, e.g. ['1m',
+ * '1h']. After each batch is written the time range it covers is downsampled
+ * into downsampleTarget for each window. See downsample.downsamplePlan() for
+ * this and aggregations.
+ * @param {string} [downsampleTarget='viz.autogen'] Database and retention
+ * policy for downsampled points
+ * @param {Object} [aggregations={}] Lists of aggregation functions by field,
+ * e.g. { temp: ['min', 'max'] }
+ * @param {Object} [angles={}] Units of angle fields, e.g. { heading:
+ * 'degrees' }. Their means are circular means.
+ * @param {number} [flushInterval=null] If set, also write a partial batch
+ * when this many seconds have passed since the batch was started. Useful
+ * when following a growing file.
+ * @param {number} [retries=3] Times to retry writes and downsampling queries
+ * that fail because InfluxDB is unreachable or unavailable. See
+ * spool.withRetries().
+ * @param {number} [retryDelay=1] Seconds to wait before the first retry. The
+ * wait doubles after each retry.
+ * @param {string} [spoolDir=null] If set, batches that still can't be written
+ * after retrying are saved as line protocol files in this directory, with any
+ * downsampling queries still to run, instead of failing the stream. See
+ * spool.spoolBatch() and spool.replaySpool().
+ * @param {function} [onSpool=null] Called with the spool file path and the
+ * error for each spooled batch
+ * @param {function} [onBatch=null] Called with the array of input objects in
+ * each batch after the batch has been written or spooled.
+ * @param {function} [errorHandler=null] Transform from handleErrors() applied
+ * to records and errors before they are batched.
+ * @param {string} [precision='ns'] Timestamp precision, s, ms, us or ns. See
+ * writeDocToLineProtocol().
+ * @param {string} [measurementColumn=null] Property giving each record's
+ * measurement. See writeDocToLineProtocol(). Each measurement is downsampled
+ * separately.
  * @returns {Object} Highland stream transform function for use with through()
+ * The resulting stream contains input objects once they have been written.
  */
 function writeDocToInfluxDB({
   measurement=null,
   schema=null,
   host=null,
   database=null,
+  port=8086,
+  protocol='http',
+  username=null,
+  password=null,
+  ca=null,
+  rejectUnauthorized=true,
   batchSize=10000,
-  windowSize=3  // in minutes
+  windowSize=3,  // in minutes
+  windows=null,
+  downsampleTarget='viz.autogen',
+  aggregations={},
+  angles={},
+  flushInterval=null,  // in seconds
+  retries=3,
+  retryDelay=1,  // in seconds
+  spoolDir=null,
+  onSpool=null,
+  onBatch=null,
+  errorHandler=null,
+  precision='ns',
+  measurementColumn=null
 } = {}) {
-  windowSize = parseInt(windowSize);
   // Validate schema types
   const schemaValidation = validation.validateSchema(schema);
   if (schemaValidation.error) {
     throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
   }
-  schema = schemaValidation.schema;  // set validated, case-normalized schema
+  schema = _.omit(schemaValidation.schema, measurementColumn);  // set validated, case-normalized schema
+  timestamp.checkPrecision(precision);
   const influxSchema = schema2InfluxSchema(schema, measurement);
+  const measurementOf = recordMeasurement(measurement, measurementColumn);
+  // Downsampling plans by measurement
+  const plans = {};
+  const planFor = m => {
+    if (!plans[m]) {
+      plans[m] = downsample.downsamplePlan(m, schema, {
+        windows: downsampleWindows(windows, windowSize),
+        aggregations: aggregations || {},
+        angles: angles || {}
+      });
+    }
+    return plans[m];
+  };
+  planFor(measurement);  // check downsampling settings before any input
 
-  // To keep tags after downsampling query we have to explicitly name them in
-  // the GROUP BY after time()
-  let taglist;
-  if (influxSchema.tags.length) {
-    taglist = ',' + influxSchema.tags.map(t => `"${t}"`).join(',');
-  }
-  // Now to get around the fact that influxdb will rename fields to
-  // mean_originalname if we use a * wildcard as field selector, we
-  // need to explicitly construct a selector for all numeric fields
-  // with AS to keep the original name.
-  const fieldSelector = _.keys(influxSchema.fields).filter(f => {
-    return (influxSchema.fields[f] === Influx.FieldType.INTEGER || influxSchema.fields[f] === Influx.FieldType.FLOAT);
-  }).map(f => `MEAN("${f}") AS "${f}"`).join(',');
-
-  const influx = new Influx.InfluxDB({
+  const influxOptions = {
     host,
+    port: parseInt(port),
+    protocol,
     database,
     schema: [ influxSchema ]
-  });
+  };
+  if (username) {
+    influxOptions.username = username;
+    influxOptions.password = password || '';
+  }
+  if (protocol === 'https') {
+    influxOptions.options = { rejectUnauthorized };
+    if (ca) {
+      influxOptions.options.ca = ca;
+    }
+  }
+  const influx = new Influx.InfluxDB(influxOptions);
+  const retryOptions = { retries, retryDelay };
+  const spoolOnFailure = spooler(spoolDir, onSpool);
+
+  const ping = () => {
+    return influx.ping(5000).then(hosts => {
+      return new Promise((resolve, reject) => {
+        setImmediate(() => {
+          hosts.forEach(host => {
+            if (!host.online) {
+              reject(new Error('Could not connect to database ' + host.url.host));
+            }
+          });
+          resolve();
+        });
+      });
+    });
+  };
 
   return (stream) => {
+    // Convert before batching so a bad record doesn't fail its whole batch
+    stream = stream.map(o => {
+      const m = measurementOf(o);
+      if (!plans[m]) {
+        influx.addSchema(schema2InfluxSchema(schema, m));
+      }
+      planFor(m);
+      return Object.assign({ o, measurement: m }, docToPoint(o, m, schema, precision));
+    });
+    if (errorHandler) {
+      stream = stream.through(errorHandler);
+    }
     return stream
-      .through(prepDocForInfluxDB({measurement, schema}))
-      .batch(parseInt(batchSize))
-      .map(points => points.sort((a, b) => a.timestamp - b.timestamp))
-      .flatMap(points => {
-        if (windowSize) {
-          // Downsample to time resolution of windowSize minutes
-          // First get the time range
-          const first = moment.utc(_.first(points).timestamp);
-          const last = moment.utc(_.last(points).timestamp);
-          // Move first point back by 1 window
-          first.subtract(windowSize, 'minutes');
-
-          return H(
-            influx.ping(5000).then(hosts => {
-              return new Promise((resolve, reject) => {
-                setImmediate(() => {
-                  hosts.forEach(host => {
-                    if (!host.online) {
-                      reject(new Error('Could not connect to database ' + host.url.host));
-                    }
-                  });
-                  resolve();
-                });
-              });
-            }).then(() => {
-              return influx.writePoints(points, { precision: 'ms' });
-            }).then(() => {
-              const query = `
-                SELECT ${fieldSelector}
-                INTO "viz"."autogen"."${measurement}"
-                FROM "${measurement}"
-                WHERE time >= '${first.toISOString()}' AND time <= '${last.toISOString()}'
-                GROUP BY time(${windowSize}m)${taglist};
-              `;
-              // console.log(query);
-              return influx.query(query);
-            })
-          );
-        } else {
-          // Don't run downsampling query
-          return H(
-            influx.ping(5000).then(hosts => {
-              return new Promise((resolve, reject) => {
-                setImmediate(() => {
-                  hosts.forEach(host => {
-                    if (!host.online) {
-                      reject(new Error('Could not connect to database ' + host.url.host));
-                    }
-                  });
-                  resolve();
-                });
-              });
-            }).then(() => {
-              return influx.writePoints(points, { precision: 'ms' });
-            })
-          );
+      .batchWithTimeOrCount(flushInterval ? flushInterval * 1000 : -1, parseInt(batchSize))
+      .flatMap(converted => {
+        const batch = converted.map(c => c.o);
+        const sorted = _.sortBy(converted, c => c.time);
+        const points = sorted.map(c => c.point);
+        // Downsample the time range of the batch for each measurement and
+        // window
+        const queries = _.compact(_.flatMap(_.uniq(sorted.map(c => c.measurement)), m => planFor(m).windows.map(window => downsample.influxQLQuery(
+          m,
+          planFor(m),
+          window,
+          _.first(sorted).time,
+          _.last(sorted).time,
+          downsampleTarget
+        ))));
+        let p = spoolOnFailure(
+          spool.withRetries(() => ping().then(() => influx.writePoints(points, { precision: timestamp.influxPrecision(precision) })), retryOptions),
+          () => ({ database, precision, lines: converted.map(c => pointToLine(docToLine(c.o, c.measurement, schema, precision).point)), queries })
+        );
+        let done = 0;  // queries that have run
+        p = p.then(spooled => spooled || spoolOnFailure(
+          queries.reduce((q, query) => q.then(() => spool.withRetries(() => influx.query(query), retryOptions)).then(() => done++), Promise.resolve()),
+          () => ({ database, queries: queries.slice(done) })
+        ));
+        if (onBatch) {
+          p = p.then(result => {
+            onBatch(batch);
+            return result;
+          });
         }
+        return H(p).flatMap(() => H(batch));
       });
   };
 }
 exports.writeDocToInfluxDB = writeDocToInfluxDB;
 
+/**
+ * Create a Highland stream transform function to batch objects and write them
+ * to an InfluxDB 2.x bucket with the /api/v2/write HTTP endpoint. Each input
+ * object should contain an object to convert under the 'doc' property, as for
+ * writeDocToLineProtocol().
+ * @param {string} measurement InfluxDB measurement name
+ * @param {object} schema Object with key,value of property,type. See
+ * writeDocToLineProtocol().
+ * @param {string} [serverUrl='http://localhost:8086'] InfluxDB server URL
+ * @param {string} org Organization name
+ * @param {string} bucket Bucket name
+ * @param {string} [token=null] API token
+ * @param {boolean} [gzip=true] Gzip request bodies
+ * @param {string|Buffer} [ca=null] Certificate authority bundle to trust for
+ * https
+ * @param {boolean} [rejectUnauthorized=true] Refuse https connections to
+ * servers whose certificate can't be verified
+ * @param {string} [vizBucket=null] If set, also write downsampled points to
+ * this bucket, calculated as each batch is written in place of the InfluxQL
+ * downsampling query used by writeDocToInfluxDB(). See
+ * downsample.downsampler().
+ * @param {number} [batchSize=10000] How many points to write at a time
+ * @param {number} [windowSize=3] Downsampling window size in minutes, if
+ * windows isn't given
+ * @param {Array} [windows=null] Downsampling window durations. See
+ * writeDocToInfluxDB() for this, aggregations and angles.
+ * @param {Object} [aggregations={}] Lists of aggregation functions by field
+ * @param {Object} [angles={}] Units of angle fields
+ * @param {number} [flushInterval=null] If set, also write a partial batch
+ * when this many seconds have passed since the batch was started.
+ * @param {number} [retries=3] Times to retry failed writes. See
+ * writeDocToInfluxDB() for this, retryDelay, spoolDir and onSpool.
+ * @param {number} [retryDelay=1] Seconds to wait before the first retry
+ * @param {string} [spoolDir=null] Directory to spool batches that can't be
+ * written
+ * @param {function} [onSpool=null] Called with the spool file path and the
+ * error for each spooled batch
+ * @param {function} [onBatch=null] Called with the array of input objects in
+ * each batch after the batch has been written or spooled.
+ * @param {function} [errorHandler=null] Transform from handleErrors() applied
+ * to records and errors before they are batched.
+ * @param {string} [precision='ns'] Timestamp precision, s, ms, us or ns. See
+ * writeDocToLineProtocol(). Downsampled points are always written in ns.
+ * @param {string} [measurementColumn=null] Property giving each record's
+ * measurement. See writeDocToLineProtocol(). Each measurement is downsampled
+ * separately.
+ * @returns {Object} Highland stream transform function for use with through()
+ * The resulting stream contains input objects once they have been written.
+ */
+function writeDocToInfluxDBv2({
+  measurement=null,
+  schema=null,
+  serverUrl='http://localhost:8086',
+  org=null,
+  bucket=null,
+  token=null,
+  gzip=true,
+  ca=null,
+  rejectUnauthorized=true,
+  vizBucket=null,
+  batchSize=10000,
+  windowSize=3,  // in minutes
+  windows=null,
+  aggregations={},
+  angles={},
+  flushInterval=null,  // in seconds
+  retries=3,
+  retryDelay=1,  // in seconds
+  spoolDir=null,
+  onSpool=null,
+  onBatch=null,
+  errorHandler=null,
+  precision='ns',
+  measurementColumn=null
+} = {}) {
+  // Validate schema types
+  const schemaValidation = validation.validateSchema(schema);
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid type '${schemaValidation.error}'`);
+  }
+  schema = _.omit(schemaValidation.schema, measurementColumn);  // set validated, case-normalized schema
+  timestamp.checkPrecision(precision);
+  const writeOptions = { serverUrl, org, bucket, token, gzip, ca, rejectUnauthorized, precision };
+  const retryOptions = { retries, retryDelay };
+  const spoolOnFailure = spooler(spoolDir, onSpool);
+  const measurementOf = recordMeasurement(measurement, measurementColumn);
+  // Downsamplers by measurement
+  const downsamplers = {};
+  const downsamplerFor = m => {
+    if (!downsamplers[m]) {
+      downsamplers[m] = downsample.downsampler(downsample.downsamplePlan(m, schema, {
+        windows: downsampleWindows(windows, windowSize),
+        aggregations: aggregations || {},
+        angles: angles || {}
+      }));
+    }
+    return downsamplers[m];
+  };
+  if (vizBucket) {
+    downsamplerFor(measurement);  // check downsampling settings before any input
+  }
+
+  return (stream) => {
+    // Convert before batching so a bad record doesn't fail its whole batch
+    stream = stream.map(o => {
+      const m = measurementOf(o);
+      const {time, point} = docToLine(o, m, schema, precision);
+      return { o, measurement: m, time: +time, line: pointToLine(point) };
+    });
+    if (errorHandler) {
+      stream = stream.through(errorHandler);
+    }
+    return stream
+      .batchWithTimeOrCount(flushInterval ? flushInterval * 1000 : -1, parseInt(batchSize))
+      .flatMap(converted => {
+        const batch = converted.map(c => c.o);
+        const lines = converted.map(c => c.line);
+        let p = spoolOnFailure(
+          spool.withRetries(() => influxV2.writeLines(lines, writeOptions), retryOptions),
+          () => ({ org, bucket, precision, lines })
+        );
+        if (vizBucket) {
+          // Downsample each measurement in chronological order, for each window
+          const byMeasurement = _.groupBy(_.sortBy(converted, c => c.time), c => c.measurement);
+          const vizLines = _.flatMap(_.keys(byMeasurement), m => downsamplerFor(m)(byMeasurement[m].map(c => c.o)));
+          if (vizLines.length) {
+            const vizBatch = () => ({ org, bucket: vizBucket, precision: 'ns', lines: vizLines });
+            p = p.then(spooled => {
+              if (spooled) {
+                // Keep downsampled points after their batch in the spool
+                return spoolOnFailure(Promise.reject(spooled), vizBatch);
+              }
+              return spoolOnFailure(
+                spool.withRetries(() => influxV2.writeLines(vizLines, Object.assign({}, writeOptions, { bucket: vizBucket, precision: 'ns' })), retryOptions),
+                vizBatch
+              );
+            });
+          }
+        }
+        if (onBatch) {
+          p = p.then(result => {
+            onBatch(batch);
+            return result;
+          });
+        }
+        return H(p).flatMap(() => H(batch));
+      });
+  };
+}
+exports.writeDocToInfluxDBv2 = writeDocToInfluxDBv2;
+
+/**
+ * Create a Highland stream transform function that applies an error policy to
+ * errors for single records, i.e. TimeSeriesCopErrors thrown by
+ * fieldsToDoc(), validateDoc() or the writers with line details in their data
+ * property. Other errors are always passed on.
+ * @param {string} [policy='abort'] 'abort' passes errors on, which stops
+ * saveData(). 'skip' drops records with errors. 'quarantine' drops them and
+ * writes their line number, column, value, reason and line text to
+ * rejectStream, after their file if they were labeled by inFile().
+ * @param {number} [maxErrors=Infinity] Pass on a TimeSeriesCopError once more
+ * than this many records have been dropped.
+ * @param {Object} [rejectStream=null] Node writable stream for rejected records
+ * @param {string} [rejectFormat='tsv'] 'tsv' for tab-separated lines with a
+ * header, or 'ndjson' for one JSON object per line.
+ * @param {function} [onReject=null] Called with the error for each dropped
+ * record.
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function handleErrors({
+  policy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv',
+  onReject=null
+} = {}) {
+  if (!_.includes(errorPolicies, policy)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid error policy ${policy}. Must be one of ${errorPolicies.join(', ')}`);
+  }
+  if (!_.includes(['tsv', 'ndjson'], rejectFormat)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid reject file format ${rejectFormat}. Must be tsv or ndjson`);
+  }
+  let columns = ['line', 'column', 'value', 'reason', 'text'];
+  let rejected = 0;
+  let headerWritten = false;
+
+  const writeReject = data => {
+    if (rejectFormat === 'ndjson') {
+      rejectStream.write(JSON.stringify(_.pick(data, ['file'].concat(columns))) + '\n');
+    } else {
+      if (!headerWritten) {
+        // Records from one of several input files name their file
+        if (data.file !== undefined) {
+          columns = ['file'].concat(columns);
+        }
+        rejectStream.write(columns.join('\t') + '\n');
+        headerWritten = true;
+      }
+      const row = columns.map(c => data[c] === null || data[c] === undefined ? '' : String(data[c]));
+      rejectStream.write(CSV.stringify(row, '\t').replace(/\r\n$/, '\n'));
+    }
+  };
+
+  return (stream) => {
+    return stream.errors((err, push) => {
+      const isLineError = err instanceof TimeSeriesCopError && err.data && err.data.reason !== undefined;
+      if (policy === 'abort' || !isLineError) {
+        push(err);
+        return;
+      }
+      if (++rejected > maxErrors) {
+        push(new TimeSeriesCopError(`${validation.errorPrefix} Too many rejected lines (more than ${maxErrors}). Last error: ${err.message}`));
+        return;
+      }
+      if (policy === 'quarantine' && rejectStream) {
+        writeReject(err.data);
+      }
+      if (onReject) {
+        onReject(err);
+      }
+    });
+  };
+}
+exports.handleErrors = handleErrors;
+exports.errorPolicies = errorPolicies;
+
+/**
+ * Create a Highland stream transform function to write objects to an InfluxDB
+ * 2.x bucket if bucket is given, to InfluxDB 1.x if host and database are
+ * given, otherwise to a line protocol or standard format outstream.
+ * Consumes the stream, prints a summary to stderr when finished, and exits the
+ * process on TimeSeriesCopError.
+ * @param {function} [checkpoint=null] Called with the last input object of
+ * each successfully written batch, e.g. to record progress for resuming. For
+ * line protocol output a batch is batchSize lines.
+ * @param {function} [callback=null] Called with (err, count, rejected) when
+ * the stream ends. If given, errors are passed here instead of being printed
+ * or thrown and no summary is printed.
+ * @param {string} [format='lineprotocol'] File output format, 'lineprotocol'
+ * or 'standard'. For 'standard' see writeDocToStandardFormat() for cruise,
+ * description, columnDescriptions, units and writeHeader.
+ * @param {string} [errorPolicy='abort'] What to do with records that fail
+ * validation. See handleErrors() for this and maxErrors, rejectStream and
+ * rejectFormat.
+ * @param {string} [bucket=null] InfluxDB 2.x bucket name. See
+ * writeDocToInfluxDBv2() for this and serverUrl, org, token, gzip and
+ * vizBucket.
+ * @param {string|Buffer} [ca=null] Certificate authority bundle for https
+ * connections to either InfluxDB version. See writeDocToInfluxDB() for this
+ * and port, protocol, username, password and rejectUnauthorized, and for
+ * windows, downsampleTarget, aggregations and angles, and retries,
+ * retryDelay, spoolDir and onSpool for either InfluxDB version.
+ * @param {function} [summary=null] Called when the stream ends without errors,
+ * returning more text for the summary, e.g. duplicates found by dedup().
+ * @param {boolean} [closeStreams=false] End outstream and rejectStream when
+ * the stream ends, before calling callback or printing the summary, e.g. so
+ * gzipped output is complete.
+ * @param {string} [precision='ns'] Timestamp precision of line protocol output
+ * and InfluxDB writes, s, ms, us or ns. See writeDocToLineProtocol().
+ * @param {Object} [tags={}] Static tags already added to each record, which
+ * the standard format writes in its header. See writeDocToStandardFormat().
+ * See writeDocToInfluxDB() and writeDocToLineProtocol() for other parameters.
+ * @returns {Object} Highland stream transform function for use with through()
+ */
 function saveData({
   measurement=null,
   schema=null,
   host=null,
   database=null,
+  port=8086,
+  protocol='http',
+  username=null,
+  password=null,
+  ca=null,
+  rejectUnauthorized=true,
+  serverUrl='http://localhost:8086',
+  org=null,
+  bucket=null,
+  token=null,
+  gzip=true,
+  vizBucket=null,
   outstream=null,
   batchSize=10000,
-  windowSize=3
+  windowSize=3,
+  windows=null,
+  downsampleTarget='viz.autogen',
+  aggregations={},
+  angles={},
+  flushInterval=null,
+  retries=3,
+  retryDelay=1,
+  spoolDir=null,
+  onSpool=null,
+  checkpoint=null,
+  callback=null,
+  errorPolicy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv',
+  format='lineprotocol',
+  cruise=null,
+  description=null,
+  columnDescriptions=null,
+  units=null,
+  writeHeader=true,
+  summary=null,
+  closeStreams=false,
+  precision='ns',
+  tags={}
 } = {}) {
   let count = 0;
+  let rejected = 0;
   let error;
+  batchSize = parseInt(batchSize);
+  if (maxErrors === null || maxErrors === undefined) {
+    maxErrors = Infinity;
+  } else if (maxErrors !== Infinity) {
+    maxErrors = parseInt(maxErrors);
+    if (!(maxErrors > 0)) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Max errors must be a positive integer`);
+    }
+  }
+  let errorHandler = null;
+  if (errorPolicy !== 'abort') {
+    errorHandler = handleErrors({
+      policy: errorPolicy,
+      maxErrors,
+      rejectStream,
+      rejectFormat,
+      onReject: () => rejected++
+    });
+  }
 
   return (stream) => {
-    // Add a counter
-    stream = stream.doto(o => count++);
-
     // Output data to InfluxDB or line protocol file
-    if (database && host) {
+    if (bucket) {
+      stream = stream.through(writeDocToInfluxDBv2({
+        measurement,
+        schema,
+        serverUrl,
+        org,
+        bucket,
+        token,
+        gzip,
+        ca,
+        rejectUnauthorized,
+        vizBucket,
+        batchSize,
+        windowSize,
+        windows,
+        aggregations,
+        angles,
+        flushInterval,
+        retries,
+        retryDelay,
+        spoolDir,
+        onSpool,
+        onBatch: checkpoint ? (batch => checkpoint(_.last(batch))) : null,
+        errorHandler,
+        precision
+      }))
+      .doto(o => count++);
+    } else if (database && host) {
       stream = stream.through(writeDocToInfluxDB({
         measurement,
         schema,
         host,
         database,
+        port,
+        protocol,
+        username,
+        password,
+        ca,
+        rejectUnauthorized,
         batchSize,
-        windowSize
-      }));
+        windowSize,
+        windows,
+        downsampleTarget,
+        aggregations,
+        angles,
+        flushInterval,
+        retries,
+        retryDelay,
+        spoolDir,
+        onSpool,
+        onBatch: checkpoint ? (batch => checkpoint(_.last(batch))) : null,
+        errorHandler,
+        precision
+      }))
+      .doto(o => count++);
     } else {
-      stream = stream.through(writeDocToLineProtocol({
-        measurement,
-        schema,
-        outstream
-      }));
+      let written = 0;
+      let last;
+      let ended = false;
+      // Record the final partial batch once all lines have been written
+      const finish = () => {
+        if (ended && written === count && last && written % batchSize !== 0) {
+          checkpoint(last);
+        }
+      };
+      const onWrite = checkpoint ? (o => {
+        last = o;
+        if (++written % batchSize === 0) {
+          checkpoint(o);
+        } else {
+          finish();
+        }
+      }) : null;
+      if (format === 'standard') {
+        stream = stream.through(writeDocToStandardFormat({
+          measurement,
+          cruise,
+          description,
+          columnDescriptions,
+          units,
+          schema,
+          outstream,
+          writeHeader,
+          onWrite,
+          errorHandler,
+          tags
+        }));
+      } else {
+        stream = stream.through(writeDocToLineProtocol({
+          measurement,
+          schema,
+          outstream,
+          onWrite,
+          errorHandler,
+          precision,
+          writeHeader
+        }));
+      }
+      stream = stream.doto(x => count++);
+      if (checkpoint) {
+        stream = stream.consume((err, x, push, next) => {
+          if (x === H.nil) {
+            ended = true;
+            finish();
+          }
+          push(err, x);
+          if (x !== H.nil) {
+            next();
+          }
+        });
+      }
     }
 
     // Catch errors in pipeline and print or throw.
     // This ends the pipeline
     stream = stream.stopOnError(e => {
       error = e;
+      if (callback) {
+        return;
+      }
       if (e instanceof TimeSeriesCopError) {
-        console.log(`${e.name}: ${e.message}`);
+        console.error(`${e.name}: ${e.message}`);
         // Not ideal to exit here, but makes writing scripts easier
         process.exit(1);
       } else {
@@ -499,8 +1401,26 @@ function saveData({
 
     // This always runs, even if we stop for errors
     // This also starts stream consumption
+    const finish = () => {
+      if (callback) {
+        callback(error || null, count, rejected);
+      } else if (!error) {
+        const more = summary ? summary() : null;
+        if (errorHandler) {
+          console.error(`Success. Wrote ${count} points. Rejected ${rejected} lines.` + (more ? ` ${more}` : ''));
+        } else {
+          console.error('Success. Wrote ' + count + ' points.' + (more ? ` ${more}` : ''));
+        }
+      }
+    };
     stream = stream.done(() => {
-      if (!error) console.log('Success. Wrote ' + count + ' points.');
+      if (closeStreams) {
+        // stdout can't be closed, so wait for what was written to it
+        const streams = _.compact([outstream, rejectStream]);
+        Promise.all(streams.map(s => new Promise(resolve => s === process.stdout ? s.write('', resolve) : s.end(resolve)))).then(finish);
+      } else {
+        finish();
+      }
     });
 
     return stream;
@@ -508,6 +1428,239 @@ function saveData({
 }
 exports.saveData = saveData;
 
+/**
+ * Make line details for the data property of a TimeSeriesCopError about a
+ * single record, so that handleErrors() can reject the record.
+ * @param {Object} o Object in transit, with lineIndex and text if known
+ * @param {string} reason Description of the problem
+ * @param {string} [column=null] Name of the column with the problem
+ * @param {*} [value=null] Problem value
+ * @returns {Object} Error data
+ */
+function lineError(o, reason, column=null, value=null) {
+  const data = {
+    lineIndex: o.lineIndex,
+    line: o.lineIndex === undefined ? null : o.lineIndex + 1,
+    column,
+    value,
+    reason,
+    text: o.text === undefined ? null : o.text
+  };
+  if (o.file !== undefined) {
+    data.file = o.file;
+  }
+  return data;
+}
+exports.lineError = lineError;
+
+/**
+ * Name the input line of an object in transit for error messages, e.g.
+ * 'line 3', or 'line 3 of tsg-0506.txt' if it was labeled with its file by
+ * inFile().
+ * @param {Object} o Object in transit, with lineIndex
+ * @returns {string} Line name
+ */
+function lineName(o) {
+  return o.file === undefined ? `line ${o.lineIndex + 1}` : `line ${o.lineIndex + 1} of ${o.file}`;
+}
+exports.lineName = lineName;
+
+// Make a function that gets the measurement of a record, from its
+// measurementColumn property if given and set, otherwise measurement
+function recordMeasurement(measurement, measurementColumn) {
+  return o => {
+    const value = measurementColumn ? o.doc[measurementColumn] : null;
+    if (value === null || value === undefined || value === '') {
+      return measurement;
+    }
+    if (!validation.validateMeasurement(value)) {
+      throw new TimeSeriesCopError(
+        `${validation.errorPrefix} Invalid measurement name ${value} on ${lineName(o)}. Must match regex ${validation.measurementRegex}`,
+        lineError(o, 'invalid measurement name', measurementColumn, value)
+      );
+    }
+    return value;
+  };
+}
+
+/**
+ * Create a Highland stream transform function to label the records and
+ * errors of one of several input files with the file path, before they're
+ * merged with sort.mergeByTime(). Records get a 'file' property, so later
+ * errors name the file with lineName(). TimeSeriesCopErrors already in the
+ * stream get the file in their message and data.
+ * @param {string} file Input file path
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function inFile(file) {
+  return (stream) => {
+    return stream
+      .doto(o => {
+        o.file = file;
+      })
+      .errors((err, push) => {
+        if (err instanceof TimeSeriesCopError) {
+          const line = err.data && err.data.line;
+          const where = new RegExp(`\\bline ${line}(?!\\d)`);
+          if (line && where.test(err.message)) {
+            err.message = err.message.replace(where, `line ${line} of ${file}`);
+          } else if (err.message.startsWith(validation.errorPrefix)) {
+            err.message = `${validation.errorPrefix} ${file}:${err.message.slice(validation.errorPrefix.length)}`;
+          } else {
+            err.message = `${file}: ${err.message}`;
+          }
+          if (err.data) {
+            err.data.file = file;
+          }
+        }
+        push(err);
+      });
+  };
+}
+exports.inFile = inFile;
+
+// Convert a doc to the time and line protocol point object used by
+// JsonInfluxDbStream and pointToLine(), with a timestamp of precision
+function docToLine(o, measurement, schema, precision='ns') {
+  const fields = {},
+    tags = {};
+  let time;
+
+  Object.keys(o.doc).forEach(k => {
+    // Only add properties which have defined values
+    if (o.doc[k] !== null && o.doc[k] !== NaN && o.doc[k] !== undefined) {
+      switch (schema[k]) {
+        case 'text':
+          if (o.doc[k]) {
+            fields[k] = Influx.escape.quoted(o.doc[k]);
+          }
+          break;
+        case 'category':
+          tags[k] = o.doc[k];
+          break;
+        case 'integer':
+          fields[k] = o.doc[k] + 'i';
+          break;
+        case 'float':
+          fields[k] = o.doc[k];
+          break;
+        case 'boolean':
+          fields[k] = o.doc[k];
+          break;
+        case 'time':
+          time = o.doc[k];  // moment, Date, or epoch ms
+          break;
+      }
+    }
+  });
+
+  // If no fields present, mark missing data with 'influxMissingData' field
+  if (Object.keys(fields).length === 0) {
+    fields.influxMissingData = true;
+  } else {
+    fields.influxMissingData = false;
+  }
+
+  // Timestamp must be present
+  if (time === undefined) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} time value missing from ${lineName(o)}`, lineError(o, 'time value missing', 'time', null));
+  }
+
+  return {
+    time,
+    point: {
+      measurement: measurement,
+      ts: timestamp.format(time, precision),
+      tags: tags,
+      fields: fields
+    }
+  };
+}
+
+// Get downsampling window durations from windows, or from the older
+// windowSize in minutes. Empty if downsampling is turned off.
+function downsampleWindows(windows, windowSize) {
+  if (windows) {
+    return windows;
+  }
+  windowSize = parseInt(windowSize);
+  return windowSize ? [windowSize] : [];
+}
+
+// Make a function that spools a batch to spoolDir if a write Promise fails with
+// a retryable error. The returned Promise resolves to the error if the batch
+// was spooled, and is otherwise the write Promise.
+function spooler(spoolDir, onSpool) {
+  return (p, batch) => {
+    if (!spoolDir) {
+      return p;
+    }
+    return p.catch(err => {
+      if (!spool.isRetryable(err)) {
+        throw err;
+      }
+      const file = spool.spoolBatch(spoolDir, batch());
+      if (onSpool) {
+        onSpool(file, err);
+      }
+      return err;
+    });
+  };
+}
+
+// Format a point object as a line protocol line, as JsonInfluxDbStream does
+function pointToLine(point) {
+  return lineProtocolUtil.generateLineProtocolString({
+    measurement: point.measurement,
+    tags: lineProtocolUtil.generateTagString(point.tags),
+    fields: lineProtocolUtil.generateFieldString(point.fields),
+    ts: point.ts
+  });
+}
+
+// Convert a doc to the time and an InfluxDB point object for writePoints(). The
+// point's timestamp is epoch milliseconds, or text of precision if given.
+function docToPoint(o, measurement, schema, precision=null) {
+  const fields = {}, tags = {};
+  let time;
+
+  Object.keys(o.doc).forEach(k => {
+    // Only add properties which have defined values
+    if (o.doc[k] !== null && o.doc[k] !== NaN && o.doc[k] !== undefined) {
+      switch (schema[k]) {
+        case 'category':
+          tags[k] = o.doc[k];
+          break;
+        case 'time':
+          time = o.doc[k];  // moment, Date, or epoch ms
+          break;
+        case undefined:
+          break;
+        default:
+          fields[k] = o.doc[k];
+          break;
+      }
+    }
+  });
+
+  // If no fields present, mark missing data with 'influxMissingData' field
+  if (_.keys(fields).length === 0) {
+    fields.influxMissingData = true;
+  } else {
+    fields.influxMissingData = false;
+  }
+
+  // Timestamp must be present
+  if (time === undefined) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} time value missing from ${lineName(o)}`, lineError(o, 'time value missing', 'time', null));
+  }
+
+  return {
+    time: +time,
+    point: { measurement, fields, tags, timestamp: precision ? timestamp.format(time, precision) : +time }
+  };
+}
+
 function schema2InfluxSchema(schema, measurement) {
   influxSchema = { measurement, tags: [], fields: {} };
   _.keys(schema).forEach(k => {
@@ -579,6 +1732,106 @@ function dropBlanks({dropInternalBlank=true, dropFinalBlank=true} = {}) {
   }
 }
 
+/**
+ * Split text chunks into lines. CR, LF and CRLF line endings are recognized,
+ * including when split between chunks. Produces objects with
+ * { text: <line text>, bytes: <length of line and line ending in bytes> }.
+ * As with Highland's split(), text which ends with a line ending produces a
+ * final empty line.
+ */
+function splitLines() {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let seen = false;
+  const line = (text, ending) => ({ text, bytes: Buffer.byteLength(text) + ending.length });
+  return (err, x, push, next) => {
+    if (err) {
+      push(err);
+      next();
+    } else if (x === H.nil) {
+      buffer += decoder.end();
+      if (buffer[buffer.length - 1] === '\r') {
+        push(null, line(buffer.slice(0, -1), '\r'));
+        buffer = '';
+      }
+      if (seen) {
+        push(null, line(buffer, ''));
+      }
+      push(null, x);
+    } else {
+      buffer += Buffer.isBuffer(x) ? decoder.write(x) : x;
+      seen = seen || buffer.length > 0;
+      const re = /\r\n|\r|\n/g;
+      let last = 0;
+      let m;
+      while ((m = re.exec(buffer)) !== null) {
+        if (m[0] === '\r' && m.index === buffer.length - 1) {
+          break;  // may be the first half of a CRLF split between chunks
+        }
+        push(null, line(buffer.slice(last, m.index), m[0]));
+        last = re.lastIndex;
+      }
+      buffer = buffer.slice(last);
+      next();
+    }
+  };
+}
+
+// Make a Highland stream from lineStream() input, decompressing it if its
+// first bytes are compression magic bytes or it's a file stream with a
+// compressed extension. Input ends at the first decompression error, as
+// nothing after it can be read.
+function decompressed(instream) {
+  const source = H(instream);
+  const name = instream && instream.path;
+  const head = [];  // chunks read to find the magic bytes
+  let headLength = 0;
+  return H((push, next) => {
+    source.pull((err, x) => {
+      if (err) {
+        push(err);
+        next();
+        return;
+      }
+      if (x !== H.nil) {
+        head.push(x);
+        headLength += x.length;
+        if (Buffer.isBuffer(x) && headLength < 4) {
+          next();
+          return;
+        }
+      }
+      if (!head.length) {
+        push(null, H.nil);
+        return;
+      }
+      const rest = x === H.nil ? H(head) : H(head).concat(source);
+      const first = head.every(Buffer.isBuffer) ? Buffer.concat(head) : null;
+      const codec = compression.detectCompression(first, name);
+      if (!codec) {
+        next(rest);
+        return;
+      }
+      try {
+        next(rest.through(compression.decompressor(codec)).consume((e, y, pushOut, nextOut) => {
+          if (e) {
+            pushOut(e);
+            pushOut(null, H.nil);
+          } else {
+            pushOut(null, y);
+            if (y !== H.nil) {
+              nextOut();
+            }
+          }
+        }));
+      } catch (e) {
+        push(e);
+        push(null, H.nil);
+      }
+    });
+  });
+}
+
 // Split on whitespace.
 // Won't handle quoted fields that contains whitespace.
 // Leading and trailing whitespace is ignored.
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const parserDefinition = require('./parserDefinition');
+const lineProtocol = require('./lineProtocol');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Registered formats by name
+const formats = {};
+
+/**
+ * Register an input format. Registered formats can be used by name with
+ * `tscop convert <parser>`.
+ * @param {string} name Format name. Must match the measurement regex.
+ * @param {string} [description=''] One line description of the format
+ * @param {string} [sample=''] Example input line
+ * @param {Object} outputSchema Schema of records produced by pipeline,
+ * including the cruise tag.
+ * @param {Object} [columnDescriptions={}] Descriptions of outputSchema
+ * properties, used for standard format output
+ * @param {Object} [units={}] Units of outputSchema properties, used for
+ * standard format output
+ * @param {Object} [aggregations={}] Lists of aggregation functions by
+ * outputSchema property for downsampled series, e.g. { temp: ['min', 'max'] }.
+ * See downsample.downsamplePlan().
+ * @param {Object} [angles={}] Units of outputSchema properties that are
+ * angles, e.g. { heading: 'degrees' }, so they are downsampled with a
+ * circular mean. See downsample.circularMean().
+ * @param {function} [inferSchema=null] Function that takes an input file path
+ * and { measurement } and returns a Promise for the output schema of records
+ * read from it, for formats whose columns depend on the input. If given, it's
+ * used instead of outputSchema when converting a file.
+ * @param {function} pipeline Factory that takes { instream, start, cruise,
+ * measurement, position, lineIndex } and returns a Highland stream of objects
+ * with records under 'doc'. position and lineIndex should be passed to
+ * fieldStream() so imports can be resumed from a checkpoint. measurement is
+ * the measurement being written, for inputs that name their own.
+ * @param {boolean} [replace=false] Replace an existing format with the same
+ * name instead of throwing an error.
+ * @returns {Object} The registered format
+ */
+function registerFormat({
+  name=null,
+  description='',
+  sample='',
+  outputSchema=null,
+  columnDescriptions={},
+  units={},
+  aggregations={},
+  angles={},
+  inferSchema=null,
+  pipeline=null,
+  replace=false
+} = {}) {
+  if (!validation.validateMeasurement(name)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid format name ${name}. Must match regex ${validation.measurementRegex}`);
+  }
+  if (!_.isFunction(pipeline)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Format ${name} must have a pipeline factory function`);
+  }
+  const schemaValidation = validation.validateSchema(outputSchema || {});
+  if (schemaValidation.error) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Format ${name} has invalid type '${schemaValidation.error}'`);
+  }
+  if (formats[name] && !replace) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Format ${name} is already registered`);
+  }
+  formats[name] = {
+    name,
+    description,
+    sample,
+    outputSchema: schemaValidation.schema,
+    columnDescriptions,
+    units,
+    aggregations,
+    angles,
+    inferSchema,
+    pipeline
+  };
+  return formats[name];
+}
+exports.registerFormat = registerFormat;
+
+/**
+ * Create a format from a parser definition. The format is not registered.
+ * @param {Object} definition Validated parser definition
+ * @returns {Object} Format object
+ */
+function formatFromDefinition(definition) {
+  const columns = definition.columns.concat(definition.derived);
+  const outputSchema = parserDefinition.definitionOutputSchema(definition);
+  return {
+    name: definition.name,
+    description: definition.description || '',
+    sample: definition.sample || '',
+    outputSchema,
+    columnDescriptions: _.fromPairs(columns.filter(c => c.description).map(c => [c.name, c.description])),
+    units: _.fromPairs(columns.filter(c => c.units).map(c => [c.name, c.units])),
+    aggregations: _.fromPairs(columns.filter(c => c.downsample).map(c => [c.name, _.castArray(c.downsample)])),
+    // Only output columns are downsampled
+    angles: _.fromPairs(columns.filter(c => c.angle && outputSchema[c.name]).map(c => [c.name, c.angle])),
+    pipeline: opts => parserDefinition.definitionPipeline(definition, opts),
+    definition
+  };
+}
+exports.formatFromDefinition = formatFromDefinition;
+
+/**
+ * Register a format from a parser definition.
+ * @param {Object} definition Parser definition. Must have a name.
+ * @param {boolean} [replace=false] Replace an existing format with the same
+ * name.
+ * @returns {Object} The registered format
+ */
+function registerDefinition(definition, replace=false) {
+  definition = parserDefinition.validateParserDefinition(definition);
+  const format = registerFormat(Object.assign({replace}, formatFromDefinition(definition)));
+  format.definition = definition;
+  return format;
+}
+exports.registerDefinition = registerDefinition;
+
+/**
+ * Look up a registered format. A path to a parser definition file may be
+ * given instead of a name.
+ * @param {string|Object} name Format name, definition file path, or a format
+ * object which is returned as is.
+ * @returns {Object} Format object
+ */
+function getFormat(name) {
+  if (_.isPlainObject(name)) {
+    return name;
+  }
+  if (formats[name]) {
+    return formats[name];
+  }
+  if (_.isString(name) && isDefinitionFile(name) && fs.existsSync(name)) {
+    return formatFromDefinition(parserDefinition.loadParserDefinition(name));
+  }
+  throw new TimeSeriesCopError(`${validation.errorPrefix} Unknown format ${name}. Run 'tscop list-formats' to see available formats`);
+}
+exports.getFormat = getFormat;
+
+/**
+ * List registered formats sorted by name.
+ * @returns {Object[]} Format objects
+ */
+function listFormats() {
+  return _.sortBy(_.values(formats), 'name');
+}
+exports.listFormats = listFormats;
+
+/**
+ * Load a plugin that registers formats. A plugin is a parser definition file,
+ * or a module exporting a function which is called with this package's
+ * public interface, e.g.
+ *   module.exports = tscop => tscop.registerFormat({ ... });
+ * Module names and relative paths are resolved from the current directory.
+ * @param {string} name Module name or file path
+ */
+function loadPlugin(name) {
+  if (isDefinitionFile(name)) {
+    registerDefinition(parserDefinition.loadParserDefinition(name), true);
+    return;
+  }
+  let plugin;
+  try {
+    plugin = require(require.resolve(name, { paths: [ process.cwd() ] }));
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not load plugin ${name}: ${e.message}`);
+  }
+  if (!_.isFunction(plugin)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Plugin ${name} must export a function`);
+  }
+  plugin(require('./index'));
+}
+exports.loadPlugin = loadPlugin;
+
+function isDefinitionFile(name) {
+  return _.includes(['.json', '.yaml', '.yml'], path.extname(name).toLowerCase());
+}
+
+// Register parser definitions shipped with this package
+parserDefinition.listParserDefinitions().forEach(name => {
+  registerDefinition(parserDefinition.loadParserDefinition(name));
+});
+
+// Register the line protocol reader, so line protocol files can be converted
+// to other formats or written to another database
+registerFormat({
+  name: 'lineprotocol',
+  description: 'InfluxDB line protocol, e.g. as written by tscop. Columns are inferred from the input.',
+  sample: 'tsg,cruise=KOK1606 sstemp=25.3496,salinity=33.2747,influxMissingData=false 1496120087828000000',
+  outputSchema: { time: 'time', cruise: 'category' },
+  // Only lines of the measurement being written are read, keeping their own
+  // cruise tag if they have one
+  inferSchema: (file, {measurement=null} = {}) => lineProtocol.inferLineProtocolSchema(fs.createReadStream(file), {measurement})
+    .then(schema => Object.assign(schema, { cruise: 'category' })),
+  pipeline: ({instream, start, cruise, measurement=null, position, lineIndex}) => {
+    return lineProtocol.lineProtocolStream({instream, start, measurement, position, lineIndex})
+      .doto(o => {
+        if (o.doc.cruise === undefined || o.doc.cruise === null) {
+          o.doc.cruise = cruise;
+        }
+      });
+  }
+});
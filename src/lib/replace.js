@@ -0,0 +1,134 @@
+const moment = require('moment');
+const _ = require('lodash');
+const influxV2 = require('./influxV2');
+
+/**
+ * Find the time range and cruises of the records in a stream, e.g. in a first
+ * pass over an input file before replacing its points in InfluxDB. Errors are
+ * ignored, since the import itself reports them.
+ * @param {Object} stream Highland stream of objects with records under 'doc'
+ * @returns {Promise} Resolves to { start, end, cruises }, with epoch
+ * milliseconds of the first and last records, null if there are none, and
+ * the sorted cruise tag values.
+ */
+function scanRange(stream) {
+  return new Promise(resolve => {
+    const range = { start: null, end: null, cruises: [] };
+    const cruises = {};
+    stream
+      .errors(() => {})
+      .each(o => {
+        const time = o.doc.time === null || o.doc.time === undefined ? NaN : +o.doc.time;
+        if (!_.isNaN(time)) {
+          range.start = range.start === null ? time : Math.min(range.start, time);
+          range.end = range.end === null ? time : Math.max(range.end, time);
+        }
+        if (o.doc.cruise !== null && o.doc.cruise !== undefined && o.doc.cruise !== '') {
+          cruises[o.doc.cruise] = true;
+        }
+      })
+      .done(() => {
+        range.cruises = _.keys(cruises).sort();
+        resolve(range);
+      });
+  });
+}
+exports.scanRange = scanRange;
+
+/**
+ * List the deletes that clear a time range of a measurement for some cruises,
+ * in InfluxDB 1.x and its downsampling database, or in an InfluxDB 2.x bucket
+ * and its downsampling bucket. Downsampled points are deleted from the start
+ * of the window containing start, so partial windows are downsampled again
+ * from all their points.
+ * @param {string} measurement Measurement name
+ * @param {string[]} cruises Cruise tag values
+ * @param {number} start Epoch milliseconds of the first point to delete
+ * @param {number} end Epoch milliseconds of the last point to delete
+ * @param {string} [database=null] InfluxDB 1.x database
+ * @param {string} [downsampleTarget='viz.autogen'] InfluxDB 1.x database and
+ * retention policy of downsampled points. Points are deleted from all
+ * retention policies of the database.
+ * @param {string} [org=null] InfluxDB 2.x organization
+ * @param {string} [bucket=null] InfluxDB 2.x bucket, used if database isn't
+ * given
+ * @param {string} [vizBucket=null] InfluxDB 2.x bucket of downsampled points
+ * @param {Array} [windows=[]] Downsampling windows from
+ * downsample.downsamplePlan()
+ * @returns {Object[]} Deletes for deletePoints(). InfluxDB 1.x deletes have a
+ * database and query, and 2.x deletes have an org, bucket, start, stop and
+ * predicate.
+ */
+function replaceDeletes({
+  measurement=null,
+  cruises=[],
+  start=null,
+  end=null,
+  database=null,
+  downsampleTarget='viz.autogen',
+  org=null,
+  bucket=null,
+  vizBucket=null,
+  windows=[]
+} = {}) {
+  const deletes = [];
+  const iso = ms => moment.utc(ms).toISOString();
+  const v1Delete = (db, m, first) => cruises.forEach(cruise => deletes.push({
+    database: db,
+    query: `DELETE FROM "${m}" WHERE "cruise"='${cruise.replace(/'/g, '\\\'')}' AND time >= '${iso(first)}' AND time <= '${iso(end)}'`
+  }));
+  const v2Delete = (b, m, first) => cruises.forEach(cruise => deletes.push({
+    org,
+    bucket: b,
+    start: iso(first),
+    stop: iso(end),
+    predicate: `_measurement="${m}" AND cruise="${cruise.replace(/"/g, '\\"')}"`
+  }));
+  const windowStart = window => Math.floor(start / window.ms) * window.ms;
+
+  if (database) {
+    v1Delete(database, measurement, start);
+    windows.forEach(w => v1Delete(downsampleTarget.split('.')[0], w.measurement, windowStart(w)));
+  } else if (bucket) {
+    v2Delete(bucket, measurement, start);
+    if (vizBucket) {
+      windows.forEach(w => v2Delete(vizBucket, w.measurement, windowStart(w)));
+    }
+  }
+  return deletes;
+}
+exports.replaceDeletes = replaceDeletes;
+
+/**
+ * Describe a delete from replaceDeletes() for printing.
+ * @param {Object} d Delete
+ * @returns {string} Description
+ */
+function describeDelete(d) {
+  if (d.database) {
+    return `database ${d.database}: ${d.query}`;
+  }
+  return `bucket ${d.bucket}: ${d.predicate} from ${d.start} to ${d.stop}`;
+}
+exports.describeDelete = describeDelete;
+
+/**
+ * Run deletes from replaceDeletes() one at a time.
+ * @param {Object[]} deletes Deletes
+ * @param {Object} [v1=null] InfluxDB 1.x connection for deletes with a
+ * database: { serverUrl, username, password, ca, rejectUnauthorized }. See
+ * influxV2.queryV1().
+ * @param {Object} [v2=null] InfluxDB 2.x connection for deletes with a
+ * bucket: { serverUrl, token, ca, rejectUnauthorized }. See
+ * influxV2.deletePoints().
+ * @returns {Promise} Resolves when all points have been deleted
+ */
+function deletePoints(deletes, {v1=null, v2=null} = {}) {
+  return deletes.reduce((p, d) => p.then(() => {
+    if (d.database) {
+      return influxV2.queryV1(d.query, Object.assign({}, v1, { database: d.database }));
+    }
+    return influxV2.deletePoints(Object.assign({}, v2, d));
+  }), Promise.resolve());
+}
+exports.deletePoints = deletePoints;
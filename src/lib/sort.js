@@ -0,0 +1,368 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StringDecoder = require('string_decoder').StringDecoder;
+const H = require('highland');
+const moment = require('moment');
+const downsample = require('./downsample');
+const pipeline = require('./pipeline');
+const timestamp = require('./timestamp');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+const chunkSize = 64 * 1024;
+
+/**
+ * Create a Highland stream transform function to put nearly sorted records in
+ * ascending chronological order with a bounded reorder buffer. A record is
+ * held until a record more than lateness newer has arrived, or the stream
+ * ends, so any record arriving up to lateness behind the newest record so far
+ * is put in order. Records arriving too late to be put in order are errors,
+ * which handleErrors() can skip or quarantine. Records with the same time
+ * keep their input order.
+ *
+ * A record keeps its byte position only if all records before it in the input
+ * have already been produced, so checkpoints never skip held records. Records
+ * produced early may be written again after resuming.
+ * @param {string|number} [lateness='1m'] How far behind the newest record a
+ * record may arrive. See downsample.parseDuration().
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function reorder({lateness='1m'} = {}) {
+  const ms = downsample.parseDuration(lateness).ms;
+  const held = heap(compareEntries);
+  const produced = {};  // sequence numbers produced ahead of the watermark
+  let watermark = 0;  // all records before this sequence number are produced
+  let seq = 0;
+  let newest = null;  // time of newest record so far
+  let last = null;  // time of last record produced
+
+  // Make the output object for a held record, advancing the watermark
+  const release = entry => {
+    produced[entry.seq] = true;
+    while (produced[watermark]) {
+      delete produced[watermark];
+      watermark++;
+    }
+    if (entry.o.position === undefined || entry.seq < watermark) {
+      return entry.o;
+    }
+    const o = Object.assign({}, entry.o);
+    delete o.position;
+    return o;
+  };
+
+  return (stream) => {
+    return stream.consume((err, x, push, next) => {
+      if (err) {
+        push(err);
+        next();
+      } else if (x === H.nil) {
+        while (held.size()) {
+          push(null, release(held.pop()));
+        }
+        push(null, x);
+      } else {
+        const time = recordTime(x);
+        if (time === null) {
+          push(missingTimeError(x));
+        } else if (last !== null && time < last) {
+          push(new TimeSeriesCopError(
+            `${validation.errorPrefix} record more than ${lateness} out of chronological order near ${pipeline.lineName(x)}`,
+            pipeline.lineError(x, `record more than ${lateness} out of chronological order`, 'time', moment.utc(time).toISOString())
+          ));
+        } else {
+          held.push({ time, seq: seq++, o: x });
+          newest = newest === null ? time : Math.max(newest, time);
+          while (held.size() && held.peek().time <= newest - ms) {
+            const entry = held.pop();
+            last = entry.time;
+            push(null, release(entry));
+          }
+        }
+        next();
+      }
+    });
+  };
+}
+exports.reorder = reorder;
+
+/**
+ * Create a Highland stream transform function to sort records of any size
+ * of input in ascending chronological order with an external merge sort. Up
+ * to bufferSize records are sorted in memory. Larger inputs are written in
+ * sorted runs to temporary files, which are merged once the input ends and
+ * then removed. Records with the same time keep their input order. Errors are
+ * passed on as they arrive, before any records.
+ *
+ * Sorted records have no byte positions, so checkpoints aren't recorded.
+ * @param {number} [bufferSize=100000] Records to hold in memory
+ * @param {string} [tmpDir=os.tmpdir()] Directory for temporary files
+ * @returns {Object} Highland stream transform function for use with through()
+ */
+function externalSort({bufferSize=100000, tmpDir=os.tmpdir()} = {}) {
+  bufferSize = parseInt(bufferSize);
+  if (!(bufferSize > 0)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Sort buffer size must be a positive integer`);
+  }
+  let buffer = [];
+  let runs = [];  // temporary files of sorted records
+  let runDir = null;
+  let seq = 0;
+
+  // Write the buffer to a temporary file, sorted
+  const spill = () => {
+    if (!runDir) {
+      runDir = fs.mkdtempSync(path.join(tmpDir, 'tscop-sort-'));
+    }
+    const file = path.join(runDir, `${runs.length}.ndjson`);
+    const lines = buffer.sort(compareEntries).map(e => JSON.stringify([e.time, e.seq, e.o, e.o.doc.time.nanoseconds]));
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    runs.push(file);
+    buffer = [];
+  };
+
+  const cleanUp = () => {
+    if (runDir) {
+      runs.forEach(f => fs.existsSync(f) && fs.unlinkSync(f));
+      fs.rmdirSync(runDir);
+      runDir = null;
+    }
+  };
+
+  // Produce records in order from the buffer or the merged runs
+  let nextEntry = null;
+  const sorted = H((push, nextCall) => {
+    try {
+      if (!nextEntry) {
+        nextEntry = merger();
+      }
+      const entry = nextEntry();
+      if (entry) {
+        const o = Object.assign({}, entry.o);
+        delete o.position;
+        push(null, o);
+        nextCall();
+      } else {
+        cleanUp();
+        push(null, H.nil);
+      }
+    } catch (e) {
+      cleanUp();
+      push(e);
+      push(null, H.nil);
+    }
+  });
+
+  // Make a function that returns the next entry in order, or null at the end
+  const merger = () => {
+    if (!runs.length) {
+      buffer.sort(compareEntries);
+      let i = 0;
+      return () => i < buffer.length ? buffer[i++] : null;
+    }
+    if (buffer.length) {
+      spill();
+    }
+    const heads = heap((a, b) => compareEntries(a.entry, b.entry));
+    const readEntry = reader => {
+      const line = reader();
+      if (line === null) {
+        return null;
+      }
+      const [time, s, o, nanoseconds] = JSON.parse(line);
+      o.doc.time = timestamp.withSubMilliseconds(new Date(time), { nanoseconds });
+      return { time, seq: s, o };
+    };
+    runs.forEach(file => {
+      const reader = lineReader(file);
+      const entry = readEntry(reader);
+      if (entry) {
+        heads.push({ entry, reader });
+      }
+    });
+    return () => {
+      if (!heads.size()) {
+        return null;
+      }
+      const head = heads.pop();
+      const entry = readEntry(head.reader);
+      if (entry) {
+        heads.push({ entry, reader: head.reader });
+      }
+      return head.entry;
+    };
+  };
+
+  return (stream) => {
+    return stream.consume((err, x, push, nextCall) => {
+      if (err) {
+        push(err);
+        nextCall();
+      } else if (x === H.nil) {
+        push(null, x);
+      } else {
+        const time = recordTime(x);
+        if (time === null) {
+          push(missingTimeError(x));
+        } else {
+          buffer.push({ time, seq: seq++, o: x });
+          if (buffer.length >= bufferSize) {
+            try {
+              spill();
+            } catch (e) {
+              cleanUp();
+              push(e);
+            }
+          }
+        }
+        nextCall();
+      }
+    })
+    .concat(sorted);
+  };
+}
+exports.externalSort = externalSort;
+
+/**
+ * Merge streams of records that are each in chronological order, e.g. from
+ * several daily log files, into one chronological stream with a k-way merge.
+ * One record is read ahead from each stream. Records with the same time come
+ * in the order of their streams. Errors and records without a time are
+ * passed on as they arrive.
+ * @param {Object[]} streams Highland streams of objects with records under
+ * 'doc'
+ * @returns {Object} Highland stream
+ */
+function mergeByTime(streams) {
+  const heads = heap((a, b) => a.time - b.time || a.source - b.source);
+  const waiting = streams.map((s, i) => i).reverse();  // streams to read from
+
+  return H((push, next) => {
+    if (waiting.length) {
+      const i = waiting.pop();
+      streams[i].pull((err, x) => {
+        if (err) {
+          waiting.push(i);
+          push(err);
+        } else if (x !== H.nil) {
+          const time = recordTime(x);
+          if (time === null) {
+            waiting.push(i);
+            push(null, x);
+          } else {
+            heads.push({ time, source: i, o: x });
+          }
+        }
+        next();
+      });
+    } else if (heads.size()) {
+      const head = heads.pop();
+      waiting.push(head.source);
+      push(null, head.o);
+      next();
+    } else {
+      push(null, H.nil);
+    }
+  });
+}
+exports.mergeByTime = mergeByTime;
+
+// Epoch milliseconds of a record, or null if it has no valid time
+function recordTime(o) {
+  const time = o.doc ? o.doc.time : null;
+  if (time === null || time === undefined || isNaN(+time)) {
+    return null;
+  }
+  return +time;
+}
+
+function missingTimeError(o) {
+  return new TimeSeriesCopError(
+    `${validation.errorPrefix} time value missing from ${pipeline.lineName(o)}`,
+    pipeline.lineError(o, 'time value missing', 'time', null)
+  );
+}
+
+// Order entries by time, then input order
+function compareEntries(a, b) {
+  return a.time - b.time || a.seq - b.seq;
+}
+
+// Binary min-heap with a comparison function
+function heap(compare) {
+  const items = [];
+  const swap = (i, j) => {
+    const t = items[i];
+    items[i] = items[j];
+    items[j] = t;
+  };
+  return {
+    size: () => items.length,
+    peek: () => items[0],
+    push(x) {
+      items.push(x);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(items[i], items[parent]) >= 0) {
+          break;
+        }
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const end = items.pop();
+      if (items.length) {
+        items[0] = end;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let least = i;
+          if (l < items.length && compare(items[l], items[least]) < 0) {
+            least = l;
+          }
+          if (r < items.length && compare(items[r], items[least]) < 0) {
+            least = r;
+          }
+          if (least === i) {
+            break;
+          }
+          swap(i, least);
+          i = least;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+// Make a function that returns the lines of a file one at a time, or null at
+// the end. Reads synchronously in chunks.
+function lineReader(file) {
+  const fd = fs.openSync(file, 'r');
+  const buf = Buffer.alloc(chunkSize);
+  const decoder = new StringDecoder('utf8');
+  let lines = [];
+  let partial = '';
+  let done = false;
+  return () => {
+    while (!lines.length && !done) {
+      const n = fs.readSync(fd, buf, 0, chunkSize, null);
+      if (n === 0) {
+        done = true;
+        fs.closeSync(fd);
+        partial += decoder.end();
+        lines = partial ? [partial] : [];
+      } else {
+        lines = (partial + decoder.write(buf.slice(0, n))).split('\n');
+        partial = lines.pop();
+        lines = lines.filter(l => l);
+      }
+    }
+    return lines.length ? lines.shift() : null;
+  };
+}
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const influxV2 = require('./influxV2');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Start of the first line of a spool file. The rest of the line is JSON
+// describing where the lines go. Line protocol parsers skip it as a comment.
+const spoolHeader = '# tscop-spool ';
+let spoolSequence = 0;  // orders files spooled in the same millisecond
+
+/**
+ * Check if an InfluxDB request failed because the server couldn't be reached
+ * or was unavailable, so it's worth trying again later. Requests the server
+ * refused, e.g. because of bad data or credentials, are not.
+ * @param {Error} err Error from node-influx or influxV2
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryable(err) {
+  if (err instanceof TimeSeriesCopError) {
+    return false;
+  }
+  const statusCode = err.statusCode || (err.res && err.res.statusCode);
+  return !(statusCode >= 300 && statusCode < 500);
+}
+exports.isRetryable = isRetryable;
+
+/**
+ * Call a function that returns a Promise, retrying with exponential backoff
+ * while it fails with errors that isRetryable() accepts.
+ * @param {function} fn Function to call
+ * @param {number} [retries=3] Retries after the first attempt
+ * @param {number} [retryDelay=1] Seconds to wait before the first retry. The
+ * wait doubles after each retry.
+ * @param {number} [maxRetryDelay=300] Longest wait in seconds
+ * @param {function} [onRetry=null] Called with (err, retry number, seconds to
+ * wait) before each retry
+ * @returns {Promise} Result of the first successful call, or the last error
+ */
+function withRetries(fn, {retries=3, retryDelay=1, maxRetryDelay=300, onRetry=null} = {}) {
+  const attempt = n => Promise.resolve().then(fn).catch(err => {
+    if (n >= retries || !isRetryable(err)) {
+      throw err;
+    }
+    const delay = Math.min(retryDelay * Math.pow(2, n), maxRetryDelay);
+    if (onRetry) {
+      onRetry(err, n + 1, delay);
+    }
+    return new Promise(resolve => setTimeout(resolve, delay * 1000)).then(() => attempt(n + 1));
+  });
+  return attempt(0);
+}
+exports.withRetries = withRetries;
+
+/**
+ * Write a batch that couldn't be written to InfluxDB to a new file in a spool
+ * directory, for replaySpool(). The file is line protocol with a comment
+ * header saying where the lines go. Credentials are not saved.
+ * @param {string} dir Spool directory. Created if it doesn't exist.
+ * @param {string} [database=null] InfluxDB 1.x database
+ * @param {string} [org=null] InfluxDB 2.x organization, with bucket
+ * @param {string} [bucket=null] InfluxDB 2.x bucket
+ * @param {string} [precision='ns'] Timestamp precision of lines
+ * @param {string[]} [lines=[]] Line protocol lines
+ * @param {string[]} [queries=[]] InfluxDB 1.x queries to run after writing
+ * the lines, e.g. downsampling queries
+ * @returns {string} Spool file path
+ */
+function spoolBatch(dir, {
+  database=null,
+  org=null,
+  bucket=null,
+  precision='ns',
+  lines=[],
+  queries=[]
+} = {}) {
+  if (!database === !bucket) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Spooled batches need either a database or a bucket`);
+  }
+  fs.mkdirSync(dir, {recursive: true});
+  const target = database ? { database, precision, queries } : { org, bucket, precision };
+  // Names sort in the order batches were spooled
+  const name = `${Date.now()}-${process.pid}-${_.padStart(spoolSequence++, 6, '0')}.lp`;
+  const file = path.join(dir, name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, [spoolHeader + JSON.stringify(target)].concat(lines).join('\n') + '\n');
+  fs.renameSync(tmp, file);
+  return file;
+}
+exports.spoolBatch = spoolBatch;
+
+/**
+ * Read a file written by spoolBatch().
+ * @param {string} file Spool file path
+ * @returns {Object} { database, org, bucket, precision, queries, lines }
+ */
+function readSpoolFile(file) {
+  const lines = fs.readFileSync(file, {encoding: 'utf8'}).split('\n').filter(l => l);
+  let target = null;
+  if (lines.length && lines[0].startsWith(spoolHeader)) {
+    try {
+      target = JSON.parse(lines[0].slice(spoolHeader.length));
+    } catch (e) {}
+  }
+  if (!_.isPlainObject(target) || (!target.database && !target.bucket)) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} ${file} is not a spool file`);
+  }
+  return {
+    database: target.database || null,
+    org: target.org || null,
+    bucket: target.bucket || null,
+    precision: target.precision || 'ns',
+    queries: target.queries || [],
+    lines: lines.slice(1)
+  };
+}
+exports.readSpoolFile = readSpoolFile;
+
+/**
+ * List the files in a spool directory in the order they were spooled.
+ * @param {string} dir Spool directory
+ * @returns {string[]} Spool file paths
+ */
+function listSpool(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(f => path.extname(f) === '.lp')
+    .sort()
+    .map(f => path.join(dir, f));
+}
+exports.listSpool = listSpool;
+
+/**
+ * Write spooled batches to InfluxDB in the order they were spooled, deleting
+ * each file once its lines are written and its queries have run. Stops at the
+ * first failure, leaving that file and later ones in the spool.
+ * @param {string} dir Spool directory
+ * @param {Object} [v1=null] InfluxDB 1.x connection for files with a
+ * database: { serverUrl, username, password, ca, rejectUnauthorized }. See
+ * influxV2.writeLinesV1().
+ * @param {Object} [v2=null] InfluxDB 2.x connection for files with a bucket:
+ * { serverUrl, token, gzip, ca, rejectUnauthorized }. See
+ * influxV2.writeLines().
+ * @param {function} [onFile=null] Called with each file path and its contents
+ * from readSpoolFile() after it has been replayed
+ * @returns {Promise} Resolves to { files, lines } counts of replayed files and
+ * lines
+ */
+function replaySpool(dir, {v1=null, v2=null, onFile=null} = {}) {
+  const replayed = { files: 0, lines: 0 };
+  return listSpool(dir).reduce((p, file) => p.then(() => {
+    const batch = readSpoolFile(file);
+    let q;
+    if (batch.database) {
+      if (!v1) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} ${file} is for InfluxDB 1.x database ${batch.database}. Give its host with -H.`);
+      }
+      const options = Object.assign({}, v1, { database: batch.database });
+      q = (batch.lines.length ? influxV2.writeLinesV1(batch.lines, Object.assign({ precision: batch.precision }, options)) : Promise.resolve())
+        .then(() => batch.queries.reduce((qp, query) => qp.then(() => influxV2.queryV1(query, options)), Promise.resolve()));
+    } else {
+      if (!v2) {
+        throw new TimeSeriesCopError(`${validation.errorPrefix} ${file} is for InfluxDB 2.x bucket ${batch.bucket}. Give its server with --url.`);
+      }
+      q = influxV2.writeLines(batch.lines, Object.assign({}, v2, _.pick(batch, ['org', 'bucket', 'precision'])));
+    }
+    return q.then(() => {
+      fs.unlinkSync(file);
+      replayed.files++;
+      replayed.lines += batch.lines.length;
+      if (onFile) {
+        onFile(file, batch);
+      }
+    });
+  }), Promise.resolve()).then(() => replayed);
+}
+exports.replaySpool = replaySpool;
@@ -1,39 +1,116 @@
 const pipeline = require('./pipeline'),
   validation = require('./validation'),
   TimeSeriesCopError = require('./error').TimeSeriesCopError,
-  fs = require('fs'),
+  H = require('highland'),
   path = require('path'),
   _ = require('lodash');
 
 const eregex = new RegExp('^' + validation.errorPrefix);
 
-function parseStandardFile(inputStream, outputStream, delimiter='\t') {
-  const inputStream2 = fs.createReadStream(inputStream.path, {encoding: 'utf8'});
-  return getStandardHeader(inputStream, delimiter)
-    .then(header => validateStandardHeader(header))
-    .then(header => parseStandardBody(inputStream2, outputStream, header, delimiter));
+/**
+ * Parse a standard format file and write its records as line protocol. The
+ * input is read once, so it may be stdin or any other stream.
+ * @param {Object} inputStream Input to Highland stream constructor, e.g. a
+ * Node readable stream or array of text
+ * @param {Object} outputStream Node writable stream for line protocol
+ * @param {string} [delimiter='\t'] Field separator
+ * @param {string} [precision='ns'] Line protocol timestamp precision. See
+ * pipeline.writeDocToLineProtocol().
+ * @param {boolean} [writeHeader=true] Start with the precision comment lines
+ * for precisions other than ns. Turn off when outputStream writes its own,
+ * e.g. from importFile.createImportWriter().
+ * @param {string[]} [tags=[]] key=value texts of static tags added to those
+ * in the file. See pipeline.parseTags().
+ * @param {number} [maxTagValues=1000] Tags with more than this many distinct
+ * values are listed in the result's warnings. See
+ * pipeline.checkTagCardinality().
+ * @param {string} [errorPolicy='abort'] skip or quarantine to drop data lines
+ * with errors instead of stopping. The result then counts rejected lines. See
+ * pipeline.handleErrors() for this and the options below.
+ * @param {number} [maxErrors=Infinity] Errors allowed before stopping
+ * @param {Object} [rejectStream=null] Writable stream for quarantined lines
+ * @param {string} [rejectFormat='tsv'] Format of quarantined lines
+ * @returns {Promise} Resolves to { points, header }, with rejected and
+ * warnings when there are any
+ */
+function parseStandardFile(inputStream, outputStream, {
+  delimiter='\t',
+  precision='ns',
+  writeHeader=true,
+  tags=[],
+  maxTagValues=1000,
+  errorPolicy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv'
+} = {}) {
+  const options = { tags, maxTagValues, errorPolicy, maxErrors, rejectStream, rejectFormat };
+  return splitStandardFile(inputStream, delimiter)
+    .then(parts => writeBody(parts.body, outputStream, validateStandardHeader(parts.header), precision, writeHeader, options));
 }
 exports.parseStandardFile = parseStandardFile;
 
-function parseStandardFileToDB(inputStream, host, db, delimiter='\t') {
-  const inputStream2 = fs.createReadStream(inputStream.path, {encoding: 'utf8'});
-  return getStandardHeader(inputStream, delimiter)
-    .then(header => validateStandardHeader(header))
-    .then(header => parseStandardBodyToDB(inputStream2, header, host, db, delimiter));
+/**
+ * Parse a standard format file and write its records to InfluxDB.
+ * @param {Object} inputStream Input to Highland stream constructor
+ * @param {string} [host=null] InfluxDB 1.x hostname
+ * @param {string} [db=null] InfluxDB 1.x database name
+ * @param {Object} [connection=null] Other options for
+ * pipeline.writeDocToInfluxDB(), e.g. port, protocol and username. If it has
+ * a bucket, points are written to InfluxDB 2.x with
+ * pipeline.writeDocToInfluxDBv2() instead, using its options rather than
+ * host and db.
+ * See parseStandardFile() for delimiter, tags, maxTagValues, errorPolicy,
+ * maxErrors, rejectStream and rejectFormat.
+ * @returns {Promise} Resolves as for parseStandardFile()
+ */
+function parseStandardFileToDB(inputStream, {
+  host=null,
+  db=null,
+  delimiter='\t',
+  connection=null,
+  tags=[],
+  maxTagValues=1000,
+  errorPolicy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv'
+} = {}) {
+  const options = { tags, maxTagValues, errorPolicy, maxErrors, rejectStream, rejectFormat };
+  return splitStandardFile(inputStream, delimiter)
+    .then(parts => writeBodyToDB(parts.body, validateStandardHeader(parts.header), host, db, connection, options));
 }
 exports.parseStandardFileToDB = parseStandardFileToDB;
 
-function getStandardHeader(inputStream, delimiter='\t') {
-  let headerKeys = {
-    0: 'measurement',
-    1: 'cruise',
-    2: 'description',
-    3: 'columnDescriptions',
-    4: 'types',
-    5: 'units',
-    6: 'headers'
-  };
-  let rawheader = {
+// Header section names by line index
+const headerKeys = {
+  0: 'measurement',
+  1: 'cruise',
+  2: 'description',
+  3: 'columnDescriptions',
+  4: 'types',
+  5: 'units',
+  6: 'headers'
+};
+const headerLength = _.keys(headerKeys).length;
+
+// Columns that, when present, give each record's cruise tag instead of the
+// header, and its measurement instead of the header, so one file can hold
+// several cruises or measurements
+const cruiseColumn = 'cruise';
+const measurementColumn = 'measurement';
+
+// First field of the optional lines after the header that each give a static
+// tag, e.g. #tag<tab>ship<tab>KOK
+const tagMarker = '#tag';
+
+function isTagLine(o) {
+  return o.fields.length > 0 && o.fields[0].trim() === tagMarker;
+}
+
+// Header sections before their lines have been read
+function emptyHeader() {
+  return {
     measurement: { desc: 'measurement' },
     cruise: { desc: 'cruise' },
     description: { desc: 'File description' },
@@ -41,105 +118,240 @@ function getStandardHeader(inputStream, delimiter='\t') {
     types: { desc: 'Column types' },
     units: { desc: 'Column units' },
     headers: { desc: 'Column headers' },
+    tags: { desc: 'Tags', records: [] }
   };
-  let error;
+}
 
-  return new Promise((resolve, reject) => {
-    // Get timestamp and column headers from header section
-    pipeline
-      .fieldStream({
-        instream: inputStream,
-        delimiter: delimiter,
-        end: 7,
-        dropInternalBlank: false,
-        dropFinalBlank: false
-      })
-      .doto(o => rawheader[headerKeys[o.lineIndex]].record = o)
-      .stopOnError(err => reject(err))
-      .done(() => resolve(rawheader));
+// Read the 7 header lines and any #tag lines after them
+function getStandardHeader(inputStream, delimiter='\t') {
+  return splitStandardFile(inputStream, delimiter)
+    .then(parts => {
+      parts.body.destroy();
+      return parts.header;
     });
 }
 exports.getStandardHeader = getStandardHeader;
 
-function parseStandardBody(inputStream, outputStream, header, delimiter='\t') {
+// Read the header section of a standard format file from the stream of its
+// lines, resolving to { header, body }, where header is as from
+// getStandardHeader() and body is a fieldStream() of the remaining lines
+function splitStandardFile(inputStream, delimiter) {
+  const rawheader = emptyHeader();
+  const lines = pipeline.fieldStream({
+    instream: inputStream,
+    delimiter: delimiter,
+    dropInternalBlank: false,
+    dropFinalBlank: true
+  });
   return new Promise((resolve, reject) => {
-    // Now that we have info from header section, parse data lines
-    const schema = _.zipObject(header.headers.data, header.types.data);
-    const outputSchema = _.zipObject(header.headers.data, header.types.data);
-    outputSchema.cruise = 'category';
-
-    let count = 0;
-    pipeline
-      .fieldStream({
-        instream: inputStream,
-        delimiter: delimiter,
-        start: 7,
-        dropInternalBlank: false,
-        dropFinalBlank: true
-      })
-      .through(pipeline.fieldsToDoc(header.headers.data, true))
-      .through(pipeline.validateDoc(schema, true))
-      .doto(o => o.doc.cruise = header.cruise.data)
-      .doto(x => count++)
-      .through(pipeline.writeDocToLineProtocol({
-        measurement: header.measurement.data,
-        schema: outputSchema,
-        outstream: outputStream
-      }))
-      .stopOnError(err => reject(err))
-      .done(() => {
-        const result = { points: count };
-        result.header = {};
-        _.keys(header).forEach(k => {
-          result.header[k] = header[k].data;
-        });
-        resolve(result)
+    const readHeader = () => {
+      lines.pull((err, o) => {
+        if (err) {
+          reject(err);
+        } else if (o === H.nil) {
+          resolve({ header: rawheader, body: H([]) });
+        } else if (o.lineIndex < headerLength) {
+          rawheader[headerKeys[o.lineIndex]].record = o;
+          readHeader();
+        } else if (isTagLine(o)) {
+          rawheader.tags.records.push(o);
+          readHeader();
+        } else {
+          resolve({ header: rawheader, body: H([o]).concat(lines) });
+        }
       });
+    };
+    readHeader();
   });
 }
+
+// Data lines of a standard format file
+function bodyLines(inputStream, delimiter) {
+  return pipeline.fieldStream({
+    instream: inputStream,
+    delimiter: delimiter,
+    start: headerLength,
+    dropInternalBlank: false,
+    dropFinalBlank: true
+  })
+  .reject(isTagLine);
+}
+
+// Like parseStandardFile() for a header already read with getStandardHeader()
+// and validateStandardHeader(), reading inputStream again from the start
+function parseStandardBody(inputStream, outputStream, header, {
+  delimiter='\t',
+  precision='ns',
+  writeHeader=true,
+  tags=[],
+  maxTagValues=1000,
+  errorPolicy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv'
+} = {}) {
+  const options = { tags, maxTagValues, errorPolicy, maxErrors, rejectStream, rejectFormat };
+  return writeBody(bodyLines(inputStream, delimiter), outputStream, header, precision, writeHeader, options);
+}
 exports.parseStandardBody = parseStandardBody;
 
-function parseStandardBodyToDB(inputStream, header, host, db, delimiter='\t') {
+// Get the tags to add to each record, the header's cruise unless there's a
+// cruise column and the header's static tags, overridden by key=value texts
+// in extraTags
+function recordTags(header, extraTags) {
+  const tags = pipeline.parseTags(extraTags, header.headers.data.concat(cruiseColumn));
+  const cruise = _.includes(header.headers.data, cruiseColumn) ? {} : { cruise: header.cruise.data };
+  return Object.assign(cruise, header.tags ? header.tags.data : {}, tags);
+}
+
+// Parse data lines from fieldStream() into records with their tags, ready for
+// a writer with the settings in the returned { stream, writerSettings }.
+// options are those of parseStandardFile() for tags, cardinality warnings and
+// the error policy. Lines dropped by the error policy are counted in
+// counts.rejected.
+function bodyRecords(lines, header, options, counts, warnings) {
+  const {tags: extraTags, maxTagValues, errorPolicy, maxErrors, rejectStream, rejectFormat} = options;
+  const schema = _.zipObject(header.headers.data, header.types.data);
+  const tags = recordTags(header, extraTags);
+  const outputSchema = Object.assign({}, schema, _.mapValues(tags, () => 'category'));
+  const hasMeasurements = _.includes(header.headers.data, measurementColumn);
+  const stream = lines
+    .through(pipeline.fieldsToDoc(header.headers.data, true))
+    .through(pipeline.validateDoc(schema, true))
+    .doto(o => Object.assign(o.doc, tags))
+    .through(pipeline.checkTagCardinality({
+      schema: _.omit(outputSchema, hasMeasurements ? measurementColumn : []),
+      maxValues: maxTagValues,
+      onWarning: message => warnings.push(message)
+    }));
+  let errorHandler = null;
+  if (errorPolicy !== 'abort') {
+    counts.rejected = 0;
+    errorHandler = pipeline.handleErrors({
+      policy: errorPolicy,
+      maxErrors,
+      rejectStream,
+      rejectFormat,
+      onReject: () => counts.rejected++
+    });
+  }
+  return {
+    stream,
+    writerSettings: {
+      measurement: header.measurement.data,
+      schema: outputSchema,
+      measurementColumn: hasMeasurements ? measurementColumn : null,
+      errorHandler
+    }
+  };
+}
+
+// Summarize a parsed file
+function bodyResult(header, counts, warnings) {
+  const result = { points: counts.points };
+  if (counts.rejected !== undefined) {
+    result.rejected = counts.rejected;
+  }
+  result.header = {};
+  _.keys(header).forEach(k => {
+    result.header[k] = header[k].data;
+  });
+  if (warnings.length) {
+    result.warnings = warnings;
+  }
+  return result;
+}
+
+// Write data lines from fieldStream() as line protocol
+function writeBody(lines, outputStream, header, precision, writeHeader, options) {
   return new Promise((resolve, reject) => {
     // Now that we have info from header section, parse data lines
-    const schema = _.zipObject(header.headers.data, header.types.data);
-    const outputSchema = _.zipObject(header.headers.data, header.types.data);
-    outputSchema.cruise = 'category';
-    let count = 0;
-    pipeline
-      .fieldStream({
-        instream: inputStream,
-        delimiter: delimiter,
-        start: 7,
-        dropInternalBlank: false,
-        dropFinalBlank: true
-      })
-      .through(pipeline.fieldsToDoc(header.headers.data, true))
-      .through(pipeline.validateDoc(schema, true))
-      .doto(o => o.doc.cruise = header.cruise.data)
-      .doto(x => count++)
-      .through(pipeline.writeDocToInfluxDB({
-        measurement: header.measurement.data,
-        schema: outputSchema,
-        host: host,
-        database: db
-      }))
+    const warnings = [];
+    const counts = { points: 0 };
+    const records = bodyRecords(lines, header, options, counts, warnings);
+
+    records.stream
+      .through(pipeline.writeDocToLineProtocol(Object.assign({
+        outstream: outputStream,
+        precision,
+        writeHeader
+      }, records.writerSettings)))
+      .doto(x => counts.points++)
       .stopOnError(err => reject(err))
-      .done(() => {
-        const result = { points: count };
-        result.header = {};
-        _.keys(header).forEach(k => {
-          result.header[k] = header[k].data;
-        });
-        resolve(result)
-      });
+      .done(() => resolve(bodyResult(header, counts, warnings)));
   });
 }
+
+// Like parseStandardFileToDB() for a header already read, as for
+// parseStandardBody()
+function parseStandardBodyToDB(inputStream, header, {
+  host=null,
+  db=null,
+  delimiter='\t',
+  connection=null,
+  tags=[],
+  maxTagValues=1000,
+  errorPolicy='abort',
+  maxErrors=Infinity,
+  rejectStream=null,
+  rejectFormat='tsv'
+} = {}) {
+  const options = { tags, maxTagValues, errorPolicy, maxErrors, rejectStream, rejectFormat };
+  return writeBodyToDB(bodyLines(inputStream, delimiter), header, host, db, connection, options);
+}
 exports.parseStandardBodyToDB = parseStandardBodyToDB;
 
+// Write data lines from fieldStream() to InfluxDB
+function writeBodyToDB(lines, header, host, db, connection, options) {
+  return new Promise((resolve, reject) => {
+    // Now that we have info from header section, parse data lines
+    const warnings = [];
+    const counts = { points: 0 };
+    const records = bodyRecords(lines, header, options, counts, warnings);
+    records.stream
+      .through(connection && connection.bucket ?
+        pipeline.writeDocToInfluxDBv2(Object.assign({}, records.writerSettings, connection)) :
+        pipeline.writeDocToInfluxDB(Object.assign({
+          host: host,
+          database: db
+        }, records.writerSettings, connection)))
+      .doto(x => counts.points++)
+      .stopOnError(err => reject(err))
+      .done(() => resolve(bodyResult(header, counts, warnings)));
+  });
+}
+
 function validateStandardHeader(origheader) {
+  const result = lintStandardHeader(origheader);
+  if (result.issues.length) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} ${result.issues[0].message}`);
+  }
+  return result.header;
+}
+exports.validateStandardHeader = validateStandardHeader;
+
+/**
+ * Check a standard format header for every problem instead of stopping at the
+ * first one.
+ * @param {Object} origheader Header from getStandardHeader()
+ * @returns {Object} { header, issues }, where header is a normalized copy of
+ * origheader as returned by validateStandardHeader() and issues is an array
+ * of { line, column, field, value, message } objects. line and column are
+ * 1-based, or null if the issue is not about a single line or column.
+ */
+function lintStandardHeader(origheader) {
   const header = _.cloneDeep(origheader);
-  // Make sure we have all header lines
+  const issues = [];
+  const issue = (record, message, column=null) => {
+    const field = column && header.headers.data ? header.headers.data[column - 1] : '';
+    issues.push({
+      line: record ? record.lineIndex + 1 : null,
+      column,
+      field: field ? field : null,
+      value: null,
+      message
+    });
+  };
 
   // Put data in data property to normalize things that should be single
   // text entries versus arrays of text.
@@ -171,44 +383,185 @@ function validateStandardHeader(origheader) {
   // Do we have all header sections? Checking data.length looks for either
   // empty strings or empty field arrays.
   const empties = _.keys(header)
-    .filter(k => (!header[k].data || !header[k].data.length))
+    .filter(k => k !== 'tags' && (!header[k].data || !header[k].data.length))
     .map(k => header[k].desc);
   if (empties.length) {
-    throw new TimeSeriesCopError(`${validation.errorPrefix} Incomplete header section(s): ${empties.join(', ')}`);
+    issue(null, `Incomplete header section(s): ${empties.join(', ')}`);
   }
 
-  if (!validation.validateMeasurement(header.measurement.data)) {
-    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid file type name ${header.measurement.data}. Must match regex ${validation.measurementRegex}`);
+  if (header.measurement.data && !validation.validateMeasurement(header.measurement.data)) {
+    issue(header.measurement.record, `Invalid file type name ${header.measurement.data}. Must match regex ${validation.measurementRegex}`);
   }
 
   // Check that all multi-column header lines are populated and consistent
   // These should be cases where data is an array
-  const columnar = _.keys(header).filter(k => _.isArray(header[k].data));
+  const columnar = _.keys(header).filter(k => _.isArray(header[k].data) && header[k].data.length);
 
   columnar.forEach(k => {
     const h = header[k];
     h.data.forEach((column, i) => {
       if (column === '') {
-        throw new TimeSeriesCopError(`${validation.errorPrefix} ${h.desc} has an empty column on line ${h.record.lineIndex + 1}`);
+        issue(h.record, `${h.desc} has an empty column on line ${h.record.lineIndex + 1}`, i + 1);
       }
     });
   });
   const fieldLengths = columnar.map(k => header[k].data.length);
   if (_.uniq(fieldLengths).length > 1) {
     const columnarLines = columnar.map(k => header[k].record.lineIndex + 1);
-    throw new TimeSeriesCopError(`${validation.errorPrefix} Lines ${columnarLines.join(',')} must have the same column numbers`);
+    issue(null, `Lines ${columnarLines.join(',')} must have the same column numbers`);
   }
 
-  if (! header.headers.data.every(h => !validation.isMissing(h))) {
-    throw new TimeSeriesCopError(`${validation.errorPrefix} 'NA' or 'NaN' are not valid column headers on line ${header.headers.record.lineIndex+1}`);
+  if (header.headers.data && header.headers.data.length) {
+    header.headers.data.forEach((h, i) => {
+      if (validation.isMissing(h)) {
+        issue(header.headers.record, `'NA' or 'NaN' are not valid column headers on line ${header.headers.record.lineIndex+1}`, i + 1);
+      }
+    });
+    if (header.headers.data[0] !== 'time') {
+      issue(header.headers.record, `The first headers value on line ${header.headers.record.lineIndex+1} should be 'time'`, 1);
+    }
   }
-  if (header.headers.data[0] !== 'time') {
-    throw new TimeSeriesCopError(`${validation.errorPrefix} The first headers value on line ${header.headers.record.lineIndex+1} should be 'time'`);
+  if (header.types.data && header.types.data.length) {
+    if (header.types.data[0].toLowerCase() !== 'time') {
+      issue(header.types.record, `The first type value on line ${header.types.record.lineIndex+1} should be 'time'`, 1);
+    }
+    header.types.data.forEach((t, i) => {
+      if (t !== '' && !_.includes(validation.validTypes, t.toLowerCase())) {
+        issue(header.types.record, `Invalid type '${t}' on line ${header.types.record.lineIndex+1}`, i + 1);
+      }
+    });
   }
-  if (header.types.data[0].toLowerCase() !== 'time') {
-    throw new TimeSeriesCopError(`${validation.errorPrefix} The first type value on line ${header.types.record.lineIndex+1} should be 'time'`);
+
+  // cruise and measurement columns are tags and the measurement name
+  if (header.headers.data && header.types.data) {
+    header.headers.data.forEach((h, i) => {
+      const t = header.types.data[i];
+      if ((h === cruiseColumn || h === measurementColumn) && t && t.toLowerCase() !== 'category') {
+        issue(header.types.record, `The ${h} column must have type 'category' on line ${header.types.record.lineIndex+1}`, i + 1);
+      }
+    });
+  }
+
+  // Optional #tag lines give static tags, which can't share a column's name
+  if (header.tags) {
+    header.tags.data = {};
+    (header.tags.records || []).forEach(record => {
+      const fields = record.fields.map(f => f.trim());
+      const error = fields.length !== 3 ?
+        'Tag line must have a key and a value' :
+        validation.tagError(fields[1], fields[2], (header.headers.data || []).concat(cruiseColumn), header.tags.data);
+      if (error) {
+        issue(record, `${error} on line ${record.lineIndex + 1}`);
+      } else {
+        header.tags.data[fields[1]] = fields[2];
+      }
+    });
   }
 
-  return header;
+  return { header, issues };
 }
-exports.validateStandardHeader = validateStandardHeader;
+exports.lintStandardHeader = lintStandardHeader;
+
+/**
+ * Check a whole standard format file, header and body, and report every
+ * problem found: incomplete or inconsistent header sections, invalid
+ * measurement names (in the header or a measurement column), mismatched
+ * column counts, values that don't match their column type (including empty
+ * cells and invalid ISO8601 times), and timestamps out of ascending order.
+ * @param {Object} inputStream Input to Highland stream constructor, e.g. a
+ * Node readable stream or array of text
+ * @param {string} [delimiter='\t'] Field separator
+ * @param {number} [maxIssues=1000] Maximum number of issues to keep in the
+ * report. All issues are still counted.
+ * @returns {Promise} Resolves to a report object:
+ * { valid, records, issueCount, issues }, where records is the number of data
+ * lines checked and issues is an array of { line, column, field, value,
+ * message } objects in file order. See lintStandardHeader().
+ */
+function lintStandardFile(inputStream, {delimiter='\t', maxIssues=1000} = {}) {
+  const rawheader = emptyHeader();
+  const report = { valid: true, records: 0, issueCount: 0, issues: [] };
+  let headers = null;
+  let types;
+  let prevtime = null;
+
+  const add = issue => {
+    report.issueCount++;
+    if (report.issues.length < maxIssues) {
+      report.issues.push(issue);
+    }
+  };
+  const checkHeader = () => {
+    const result = lintStandardHeader(rawheader);
+    // Whole-file issues first, then by line
+    _.sortBy(result.issues, i => i.line === null ? 0 : i.line).forEach(add);
+    headers = result.header.headers.data || [];
+    types = (result.header.types.data || []).map(t => t.toLowerCase());
+  };
+  const checkRecord = o => {
+    const line = o.lineIndex + 1;
+    report.records++;
+    if (headers.length && o.fields.length !== headers.length) {
+      add({
+        line,
+        column: null,
+        field: null,
+        value: null,
+        message: `Column count (${o.fields.length}) does not match header count (${headers.length})`
+      });
+    }
+    o.fields.forEach((value, i) => {
+      const validator = validation.validators.strict[types[i]];
+      if (!validator) return;  // no type, or invalid type already reported
+      const v = validator(value.trim());
+      const issue = message => add({
+        line,
+        column: i + 1,
+        field: headers[i] ? headers[i] : null,
+        value,
+        message
+      });
+      if (v.error) {
+        issue(v.error);
+      } else if (headers[i] === measurementColumn && !validation.validateMeasurement(v.value)) {
+        issue(`Invalid measurement name ${v.value}. Must match regex ${validation.measurementRegex}`);
+      } else if (i === 0 && types[i] === 'time') {
+        if (prevtime !== null && prevtime > +v.value) {
+          issue('Record not in ascending chronological order');
+        }
+        prevtime = +v.value;
+      }
+    });
+  };
+
+  return new Promise((resolve, reject) => {
+    pipeline
+      .fieldStream({
+        instream: inputStream,
+        delimiter: delimiter,
+        dropInternalBlank: false,
+        dropFinalBlank: true
+      })
+      .doto(o => {
+        if (o.lineIndex < headerLength) {
+          rawheader[headerKeys[o.lineIndex]].record = o;
+        } else if (headers === null && isTagLine(o)) {
+          rawheader.tags.records.push(o);
+        } else {
+          if (headers === null) {
+            checkHeader();
+          }
+          checkRecord(o);
+        }
+      })
+      .stopOnError(err => reject(err))
+      .done(() => {
+        if (headers === null) {
+          checkHeader();
+        }
+        report.valid = report.issueCount === 0;
+        resolve(report);
+      });
+  });
+}
+exports.lintStandardFile = lintStandardFile;
@@ -0,0 +1,176 @@
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+// Timestamp precisions, coarsest first, and nanoseconds in each unit
+const precisions = ['s', 'ms', 'us', 'ns'];
+const unitNanoseconds = {
+  s: BigInt(1000000000),
+  ms: BigInt(1000000),
+  us: BigInt(1000),
+  ns: BigInt(1)
+};
+
+/**
+ * Check a line protocol timestamp precision.
+ * @param {string} precision s, ms, us or ns
+ * @returns {string} precision
+ * @throws {TimeSeriesCopError} If precision is not one of these
+ */
+function checkPrecision(precision) {
+  if (precisions.indexOf(precision) === -1) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid timestamp precision ${precision}. Must be one of ${precisions.join(', ')}`);
+  }
+  return precision;
+}
+exports.checkPrecision = checkPrecision;
+exports.precisions = precisions;
+
+/**
+ * Keep the sub-millisecond part of a timestamp, which moment and Date drop,
+ * as a nanoseconds property of the parsed time (0 to 999999 nanoseconds past
+ * its millisecond). It's taken from the nanoseconds of source if it has
+ * them, or else from the last fractional seconds in source text, e.g.
+ * '2017-05-06T19:52:57.6012345Z' or '2017:150:04:54:47.8285'. Times made by
+ * aggregating or sorting records don't keep it.
+ * @param {Object} time Parsed moment or Date
+ * @param {string|Object} source Timestamp text, or a time that may have
+ * nanoseconds
+ * @returns {Object} time
+ */
+function withSubMilliseconds(time, source) {
+  if (!time || typeof time !== 'object') {
+    return time;
+  }
+  if (source && source.nanoseconds !== undefined) {
+    time.nanoseconds = source.nanoseconds;
+  } else if (typeof source === 'string') {
+    const fractions = source.match(/[.,]\d{4,}/g);
+    if (fractions) {
+      const digits = fractions[fractions.length - 1].slice(4);
+      time.nanoseconds = parseInt((digits + '00000').slice(0, 6), 10);
+    }
+  }
+  return time;
+}
+exports.withSubMilliseconds = withSubMilliseconds;
+
+/**
+ * Format a time as a line protocol timestamp, rounded down to a precision.
+ * @param {Object|number} time moment, Date or epoch milliseconds. See
+ * withSubMilliseconds() for sub-millisecond times.
+ * @param {string} [precision='ns'] s, ms, us or ns
+ * @returns {string} Integer timestamp in units of precision since the epoch
+ */
+function format(time, precision='ns') {
+  const ms = +time;
+  const whole = Math.floor(ms);
+  let nanoseconds = Math.round((ms - whole) * 1000000);
+  if (time && time.nanoseconds !== undefined) {
+    nanoseconds = time.nanoseconds;
+  }
+  const ns = BigInt(whole) * unitNanoseconds.ms + BigInt(nanoseconds);
+  const unit = unitNanoseconds[precision];
+  let result = ns / unit;
+  if (ns < 0 && ns % unit) {
+    result -= BigInt(1);  // round down before the epoch too
+  }
+  return result.toString();
+}
+exports.format = format;
+
+/**
+ * Format a time as ISO 8601 text in UTC, e.g. for the standard format. Times
+ * with sub-millisecond nanoseconds get as many fractional digits as they
+ * need, e.g. '2017-05-30T04:54:47.8285Z', and others have milliseconds.
+ * @param {Object|number} time moment, Date or epoch milliseconds. See
+ * withSubMilliseconds().
+ * @returns {string} ISO 8601 timestamp
+ */
+function toISOString(time) {
+  const text = new Date(Math.floor(+time)).toISOString();
+  if (!time || !time.nanoseconds) {
+    return text;
+  }
+  const fraction = String(time.nanoseconds).padStart(6, '0').replace(/0+$/, '');
+  return text.replace(/Z$/, `${fraction}Z`);
+}
+exports.toISOString = toISOString;
+
+/**
+ * Comment lines to start a line protocol file whose timestamps have a
+ * precision other than ns. influx -import reads the lines after # DML as
+ * points, given the same -precision. lineProtocolStream() reads the precision
+ * with headerPrecision().
+ * @param {string} precision s, ms or us
+ * @returns {string} Header text
+ */
+function precisionHeader(precision) {
+  return `# DML\n${precisionComment(precision)}`;
+}
+exports.precisionHeader = precisionHeader;
+
+/**
+ * Comment line giving the timestamp precision of line protocol, read by
+ * headerPrecision().
+ * @param {string} precision s, ms, us or ns
+ * @returns {string} Comment line
+ */
+function precisionComment(precision) {
+  return `# Timestamp precision: ${precision}. Import with influx -import -precision=${influxPrecision(precision)}\n`;
+}
+exports.precisionComment = precisionComment;
+
+/**
+ * Get the name influx -import and the InfluxDB 1.x write API use for a
+ * precision.
+ * @param {string} precision s, ms, us or ns
+ * @returns {string} s, ms, u or n
+ */
+function influxPrecision(precision) {
+  return { s: 's', ms: 'ms', us: 'u', ns: 'n' }[precision];
+}
+exports.influxPrecision = influxPrecision;
+
+/**
+ * Get the timestamp precision from a line of a precisionHeader().
+ * @param {string} line Line protocol comment line
+ * @returns {string} Precision, or null if line doesn't give one
+ */
+function headerPrecision(line) {
+  const m = /^# Timestamp precision: (s|ms|us|ns)\b/.exec(line);
+  return m ? m[1] : null;
+}
+exports.headerPrecision = headerPrecision;
+
+/**
+ * Convert a line protocol timestamp to epoch milliseconds, rounded down.
+ * @param {string} text Integer timestamp text
+ * @param {string} [precision='ns'] s, ms, us or ns
+ * @returns {number} Epoch milliseconds
+ */
+function toMilliseconds(text, precision='ns') {
+  const ns = BigInt(text) * unitNanoseconds[precision];
+  let ms = ns / unitNanoseconds.ms;
+  if (ns < 0 && ns % unitNanoseconds.ms) {
+    ms -= BigInt(1);
+  }
+  return Number(ms);
+}
+exports.toMilliseconds = toMilliseconds;
+
+/**
+ * Convert a line protocol timestamp to a Date, keeping any sub-millisecond
+ * part as its nanoseconds. See withSubMilliseconds().
+ * @param {string} text Integer timestamp text
+ * @param {string} [precision='ns'] s, ms, us or ns
+ * @returns {Object} Date
+ */
+function toDate(text, precision='ns') {
+  const ns = BigInt(text) * unitNanoseconds[precision];
+  let nanoseconds = ns % unitNanoseconds.ms;
+  if (nanoseconds < 0) {
+    nanoseconds += unitNanoseconds.ms;
+  }
+  return withSubMilliseconds(new Date(toMilliseconds(text, precision)), { nanoseconds: Number(nanoseconds) });
+}
+exports.toDate = toDate;
@@ -76,11 +76,11 @@ const lax = {
     return { error: null, value };
   },
   boolean(value) {
-    value = validator.toBoolean(val.toLowerCase()) ? 'TRUE' : 'FALSE';
+    value = validator.toBoolean(value.toLowerCase()) ? 'TRUE' : 'FALSE';
     return { error: null, value };
   },
   time(value) {
-    const m = moment.utc(value, moment.ISO_8601, true);
+    let m = moment.utc(value, moment.ISO_8601, true);
     if (!m.isValid()) m = null;
     return { error: null, value: m };
   }
@@ -110,10 +110,30 @@ function validateMeasurement(measurement) {
   return measurementRegex.exec(measurement);
 }
 
+// Check a static tag. Return a description of the problem, or null if the tag
+// is good. Keys must match the measurement regex and not be one of columns or
+// a key already in tags.
+function tagError(key, value, columns=[], tags={}) {
+  if (!validateMeasurement(key)) {
+    return `Invalid tag key ${key}. Must match regex ${measurementRegex}`;
+  }
+  if (_.includes(columns, key)) {
+    return `Tag ${key} has the same name as a column`;
+  }
+  if (_.has(tags, key)) {
+    return `Tag ${key} is given more than once`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return `Tag ${key} has no value`;
+  }
+  return null;
+}
+
 exports.validators = { strict, lax };
 exports.validateSchema = validateSchema;
 exports.validTypes = validTypes;
 exports.errorPrefix = errorPrefix;
 exports.validateMeasurement = validateMeasurement;
 exports.measurementRegex = measurementRegex
+exports.tagError = tagError;
 exports.isMissing = isMissing;
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const minimatch = require('minimatch');
+const validation = require('./validation');
+const TimeSeriesCopError = require('./error').TimeSeriesCopError;
+
+/**
+ * Load watch rules from a JSON or YAML file. The file contains a list of
+ * rules, each mapping a filename glob pattern to a registered format:
+ *
+ *   - pattern: "tsgraw_*.txt"
+ *     format: tsgraw_33721
+ *     measurement: tsg
+ *     cruise: KOK1606  # optional, defaults to -c
+ *     skip: 0          # optional, defaults to the format's own skip
+ *
+ * @param {string} file Rules file path
+ * @returns {Object[]} Validated rules
+ */
+function loadWatchRules(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, {encoding: 'utf8'});
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not read watch rules ${file}`);
+  }
+  let rules;
+  try {
+    if (_.includes(['.yaml', '.yml'], path.extname(file).toLowerCase())) {
+      rules = yaml.safeLoad(text);
+    } else {
+      rules = JSON.parse(text);
+    }
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Could not parse watch rules ${file}: ${e.message}`);
+  }
+  return validateWatchRules(rules);
+}
+exports.loadWatchRules = loadWatchRules;
+
+/**
+ * Check watch rules for errors.
+ * @param {Object[]} rules Watch rules
+ * @returns {Object[]} Validated clone of rules
+ */
+function validateWatchRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Watch rules must be a non-empty list`);
+  }
+  return rules.map((r, i) => {
+    if (!_.isPlainObject(r) || !_.isString(r.pattern) || !r.pattern) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Watch rule ${i + 1} must have a pattern`);
+    }
+    if (!_.isString(r.format) || !r.format) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Watch rule ${i + 1} must have a format`);
+    }
+    if (!_.isString(r.measurement) || !validation.validateMeasurement(r.measurement)) {
+      throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid measurement name ${r.measurement} in watch rule ${i + 1}. Must match regex ${validation.measurementRegex}`);
+    }
+    return _.clone(r);
+  });
+}
+exports.validateWatchRules = validateWatchRules;
+
+/**
+ * Find the first rule whose pattern matches a file name.
+ * @param {Object[]} rules Watch rules
+ * @param {string} name File name, relative to the watched directory
+ * @returns {Object} Matching rule, or undefined
+ */
+function matchRule(rules, name) {
+  return _.find(rules, r => minimatch(name, r.pattern));
+}
+exports.matchRule = matchRule;
+
+/**
+ * Calculate the SHA-1 hash of a file's contents.
+ * @param {string} file File path
+ * @returns {Promise} Resolves to hex digest
+ */
+function fileHash(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+exports.fileHash = fileHash;
+
+/**
+ * Read an ingest ledger file.
+ * @param {string} file Ledger file path
+ * @returns {Object} Ledger with file entries keyed by name under 'files'. Empty
+ * if the ledger doesn't exist yet.
+ */
+function readLedger(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, {encoding: 'utf8'});
+  } catch (e) {
+    if (e.code === 'ENOENT') return { files: {} };
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new TimeSeriesCopError(`${validation.errorPrefix} Invalid ledger file ${file}`);
+  }
+}
+exports.readLedger = readLedger;
+
+/**
+ * Write an ingest ledger file. The file is replaced atomically.
+ * @param {string} file Ledger file path
+ * @param {Object} ledger Ledger
+ */
+function writeLedger(file, ledger) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ledger, null, '  ') + '\n');
+  fs.renameSync(tmp, file);
+}
+exports.writeLedger = writeLedger;
+
+/**
+ * Watch a directory and import new or modified files that match a rule.
+ *
+ * The directory is scanned every pollInterval milliseconds. Files are
+ * imported one at a time and each result is recorded in the ledger with the
+ * file's size, mtime, content hash, point count and status. Files whose size
+ * and mtime, or content hash, match their ledger entry are skipped, so each
+ * version of a file is imported once. Hidden files and files modified in the
+ * last settle milliseconds, which may still be being written, are ignored.
+ *
+ * If importFile rejects with a TimeSeriesCopError the file is quarantined: it
+ * is moved into the quarantine directory if one is given and is listed in the
+ * ledger with status 'quarantined' and the error message. Other errors, e.g.
+ * an unreachable database, are passed to onFile and the file is tried again on
+ * the next scan.
+ *
+ * @param {string} dir Directory to watch
+ * @param {Object[]} rules Watch rules. See loadWatchRules().
+ * @param {function} importFile Called with (file path, rule). Should return a
+ * Promise that resolves to the number of points imported.
+ * @param {string} [ledger=<dir>/.tscop-ledger.json] Ledger file path
+ * @param {string} [quarantine=null] Directory to move failed files into
+ * @param {number} [pollInterval=10000] Milliseconds between scans
+ * @param {number} [settle=10000] Minimum age in milliseconds of a file's mtime
+ * before it's imported
+ * @param {boolean} [once=false] Stop after one scan
+ * @param {function} [onFile=null] Called with (err, ledger entry) after each
+ * file is processed
+ * @returns {Object} Object with a stop() method and a 'finished' Promise that
+ * resolves to the ledger once watching stops
+ */
+function watchDirectory(dir, {
+  rules=null,
+  importFile=null,
+  ledger=null,
+  quarantine=null,
+  pollInterval=10000,
+  settle=10000,
+  once=false,
+  onFile=null
+} = {}) {
+  const ledgerFile = ledger || path.join(dir, '.tscop-ledger.json');
+  const state = readLedger(ledgerFile);
+  let timer = null;
+  let scanning = false;
+  let stopped = false;
+  let resolveFinished, rejectFinished;
+  const finished = new Promise((resolve, reject) => {
+    resolveFinished = resolve;
+    rejectFinished = reject;
+  });
+  const report = onFile || (() => {});
+
+  // Record the result of processing a file
+  function record(name, entry) {
+    state.files[name] = entry;
+    writeLedger(ledgerFile, state);
+    report(null, entry);
+  }
+
+  function ingest({name, rule, stats}) {
+    const file = path.join(dir, name);
+    const entry = {
+      path: path.resolve(file),
+      size: stats.size,
+      mtime: stats.mtime.toISOString()
+    };
+    return fileHash(file).then(hash => {
+      entry.hash = hash;
+      const prev = state.files[name];
+      if (prev && prev.hash === hash) {
+        // Touched but not changed
+        state.files[name] = _.assign({}, prev, entry);
+        writeLedger(ledgerFile, state);
+        return;
+      }
+      entry.format = rule.format;
+      entry.measurement = rule.measurement;
+      return Promise.resolve()
+        .then(() => importFile(file, rule))
+        .then(points => {
+          record(name, _.assign(entry, {
+            points,
+            status: 'imported',
+            time: moment.utc().toISOString()
+          }));
+        }, e => {
+          if (!(e instanceof TimeSeriesCopError)) {
+            report(e, entry);
+            return;
+          }
+          _.assign(entry, {
+            points: 0,
+            status: 'quarantined',
+            error: e.message,
+            time: moment.utc().toISOString()
+          });
+          if (quarantine) {
+            entry.quarantine = path.resolve(moveFile(file, quarantine));
+          }
+          record(name, entry);
+        });
+    });
+  }
+
+  function scan() {
+    const now = Date.now();
+    const candidates = [];
+    fs.readdirSync(dir).sort().forEach(name => {
+      if (name[0] === '.') return;
+      const rule = matchRule(rules, name);
+      if (!rule) return;
+      let stats;
+      try {
+        stats = fs.statSync(path.join(dir, name));
+      } catch (e) {
+        if (e.code === 'ENOENT') return;  // removed since readdir
+        throw e;
+      }
+      if (!stats.isFile() || now - stats.mtime.getTime() < settle) return;
+      const prev = state.files[name];
+      if (prev && prev.size === stats.size && prev.mtime === stats.mtime.toISOString()) return;
+      candidates.push({name, rule, stats});
+    });
+    // Import one file at a time, stopping early if asked
+    return candidates.reduce(
+      (p, c) => p.then(() => stopped ? null : ingest(c)),
+      Promise.resolve()
+    );
+  }
+
+  function loop() {
+    scanning = true;
+    Promise.resolve()
+      .then(scan)
+      .then(() => {
+        scanning = false;
+        if (once || stopped) {
+          stopped = true;
+          resolveFinished(state);
+        } else {
+          timer = setTimeout(loop, pollInterval);
+        }
+      }, e => {
+        scanning = false;
+        stopped = true;
+        rejectFinished(e);
+      });
+  }
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    if (!scanning) {
+      resolveFinished(state);
+    }
+  }
+
+  loop();
+  return { stop, finished };
+}
+exports.watchDirectory = watchDirectory;
+
+// Move a file into a directory, creating it if needed. Returns the new path.
+function moveFile(file, dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+  const dest = path.join(dir, path.basename(file));
+  try {
+    fs.renameSync(file, dest);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    // Different filesystem
+    fs.writeFileSync(dest, fs.readFileSync(file));
+    fs.unlinkSync(file);
+  }
+  return dest;
+}
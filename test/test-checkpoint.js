@@ -0,0 +1,49 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const checkpoint = require('../src/lib/checkpoint');
+const commands = require('../src/lib/commands');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Checkpoint', () => {
+  const input = path.join(os.tmpdir(), `tscop-checkpoint-${process.pid}.txt`);
+  const file = checkpoint.checkpointPath(input);
+
+  beforeEach(() => {
+    fs.writeFileSync(input, 'line1\nline2\n');
+  });
+  afterEach(() => {
+    fs.unlinkSync(input);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('should start at the beginning without a checkpoint', done => {
+    expect(checkpoint.resumePoint(file, input)).to.deep.equal({ position: 0, lineIndex: 0 });
+    done();
+  });
+  it('should resume after the last saved line', done => {
+    const save = checkpoint.checkpointer(file, input);
+    save({ position: 6, lineIndex: 0, doc: { time: Date.UTC(2017, 4, 6) } });
+    expect(checkpoint.readCheckpoint(file)).to.have.property('time', '2017-05-06T00:00:00.000Z');
+    fs.appendFileSync(input, 'line3\n');
+    expect(checkpoint.resumePoint(file, input)).to.deep.equal({ position: 6, lineIndex: 1 });
+    done();
+  });
+  it('should ignore records without a byte position', done => {
+    checkpoint.checkpointer(file, input)({ lineIndex: 0, doc: {} });
+    expect(fs.existsSync(file)).to.be.false;
+    done();
+  });
+  it('should reject a checkpoint for a different file', done => {
+    checkpoint.checkpointer(file, input)({ position: 6, lineIndex: 0, doc: {} });
+    fs.writeFileSync(input, 'other\nline2\n');
+    expect(() => checkpoint.resumePoint(file, input)).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should refuse to resume standard format input', () => {
+    expect(() => commands.standard({ input, resume: true })).to.throw(TimeSeriesCopError, /--resume/);
+    expect(() => commands.standard({ input, checkpoint: file })).to.throw(TimeSeriesCopError, /--checkpoint/);
+  });
+});
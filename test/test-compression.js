@@ -0,0 +1,93 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const H = require('highland');
+const commands = require('../src/lib/commands');
+const compression = require('../src/lib/compression');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const text = 'a\tb\nline 2\r\nline 3\n';
+
+describe('Compression', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-compression-test-'));
+  });
+  afterEach(() => {
+    fs.readdirSync(tmpDir).forEach(f => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  it('should detect compression by magic bytes or extension', () => {
+    expect(compression.detectCompression(zlib.gzipSync(text))).to.equal('gzip');
+    expect(compression.detectCompression(Buffer.from('BZh91AY'), 'data.txt')).to.equal('bzip2');
+    expect(compression.detectCompression(Buffer.from(text), 'data.txt.zst')).to.equal('zstd');
+    expect(compression.detectCompression(Buffer.from(text), 'data.txt')).to.be.null;
+    const file = path.join(tmpDir, 'data');
+    fs.writeFileSync(file, zlib.gzipSync(text));
+    expect(compression.compressionOf(file)).to.equal('gzip');
+    expect(compression.compressionOf(path.join(tmpDir, 'missing.gz'))).to.equal('gzip');
+    expect(() => compression.decompressor('bzip2')).to.throw(TimeSeriesCopError, /bzip2 compressed input is not supported/);
+  });
+  it('should read lines of gzipped input with decompressed byte positions', done => {
+    const gz = zlib.gzipSync(text);
+    // Split the gzip header between chunks
+    pipeline.lineStream({ instream: [gz.slice(0, 1), gz.slice(1)], position: 0 })
+      .toArray(x => {
+        expect(x.map(o => o.text)).to.deep.equal(['a\tb', 'line 2', 'line 3']);
+        expect(x.map(o => o.position)).to.deep.equal([4, 12, 19]);
+        const file = path.join(tmpDir, 'data.txt');
+        fs.writeFileSync(file, text);
+        pipeline.lineStream({ instream: fs.createReadStream(file) })
+          .toArray(y => {
+            expect(y.map(o => o.text)).to.deep.equal(['a\tb', 'line 2', 'line 3']);
+            done();
+          });
+      });
+  });
+  it('should pass on errors for corrupt gzipped input', done => {
+    const errors = [];
+    pipeline.lineStream({ instream: [zlib.gzipSync(text).slice(0, 12), Buffer.from('not gzip')] })
+      .errors(err => errors.push(err))
+      .toArray(() => {
+        expect(errors).to.have.length(1);
+        done();
+      });
+  });
+  it('should gzip output files ending in .gz, appending gzip members', done => {
+    const file = path.join(tmpDir, 'out.lp.gz');
+    const out = compression.createOutputStream(file);
+    out.write('line 1\n');
+    out.end('line 2\n', () => {
+      const more = compression.createOutputStream(file, { flags: 'a' });
+      H(['line 3\n']).pipe(more);
+      more.on('finish', () => {
+        expect(zlib.gunzipSync(fs.readFileSync(file)).toString()).to.equal('line 1\nline 2\nline 3\n');
+        const plain = path.join(tmpDir, 'out.lp');
+        compression.createOutputStream(plain).end('line 1\n', () => {
+          expect(fs.readFileSync(plain, 'utf8')).to.equal('line 1\n');
+          done();
+        });
+      });
+    });
+  });
+  it('should skip the header lines of gzipped input to a format', done => {
+    const file = path.join(tmpDir, 'par.csv.gz');
+    const output = path.join(tmpDir, 'par.lp');
+    fs.writeFileSync(file, zlib.gzipSync('time,par\n2016-04-20 00:04:37,1939.9\n2016-04-20 00:05:37,1940.9\n'));
+    commands.convert('par_KOK1606', { input: file, output, cruise: 'KOK1606', measurement: 'par' }, (err, count) => {
+      expect(err).to.be.null;
+      expect(count).to.equal(2);
+      expect(fs.readFileSync(output, 'utf8')).to.equal(
+        'par,cruise=KOK1606 par=1939.9,influxMissingData=false 1461110677000000000\n' +
+        'par,cruise=KOK1606 par=1940.9,influxMissingData=false 1461110737000000000\n'
+      );
+      done();
+    });
+  });
+});
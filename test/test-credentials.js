@@ -0,0 +1,87 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const H = require('highland');
+const credentials = require('../src/lib/credentials');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Credentials', () => {
+  let dir;
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-credentials-'));
+  });
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+    fs.rmdirSync(dir);
+  });
+
+  it('should read JSON and YAML credentials files', done => {
+    expect(credentials.readCredentialsFile(write('c.json', '{"username": "writer", "password": "secret"}')))
+      .to.deep.equal({ username: 'writer', password: 'secret' });
+    expect(credentials.readCredentialsFile(write('c.yaml', 'token: abc\n')))
+      .to.deep.equal({ token: 'abc' });
+    done();
+  });
+  it('should reject bad credentials files without showing their contents', done => {
+    expect(() => credentials.readCredentialsFile(path.join(dir, 'missing.json'))).to.throw(TimeSeriesCopError);
+    expect(() => credentials.readCredentialsFile(write('c.json', '{"password": secret}')))
+      .to.throw(TimeSeriesCopError).with.property('message').that.not.match(/secret/);
+    expect(() => credentials.readCredentialsFile(write('c.yaml', 'user: writer\n'))).to.throw(TimeSeriesCopError, /Unknown key user/);
+    expect(() => credentials.readCredentialsFile(write('c.yaml', 'password: 1234\n'))).to.throw(TimeSeriesCopError, /must be a string/);
+    done();
+  });
+  it('should prefer the credentials file to environment variables', done => {
+    const env = { INFLUX_USERNAME: 'envuser', INFLUX_PASSWORD: 'envpass', INFLUX_TOKEN: 'envtoken' };
+    expect(credentials.influxCredentials({ env })).to.deep.equal({ username: 'envuser', password: 'envpass', token: 'envtoken' });
+    expect(credentials.influxCredentials({ file: write('c.yaml', 'password: filepass\n'), env }))
+      .to.deep.equal({ username: 'envuser', password: 'filepass', token: 'envtoken' });
+    expect(credentials.influxCredentials({ env: {} })).to.deep.equal({ username: null, password: null, token: null });
+    done();
+  });
+});
+
+describe('InfluxDB Connection', () => {
+  it('should connect to the given port with a username and password', done => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+      req.resume();
+      req.on('end', () => {
+        res.statusCode = 204;
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      H([{ doc: { time: 1000, x: '1.5' } }])
+        .through(pipeline.writeDocToInfluxDB({
+          measurement: 'm',
+          schema: { time: 'time', x: 'float' },
+          host: '127.0.0.1',
+          port: server.address().port,
+          database: 'db',
+          username: 'writer',
+          password: 'secret',
+          windowSize: 0
+        }))
+        .toArray(written => {
+          server.close();
+          expect(written).to.have.length(1);
+          expect(requests.map(r => r.method)).to.deep.equal(['GET', 'POST']);
+          expect(requests[1].url).to.match(/^\/write\?db=db/);
+          const auth = 'Basic ' + Buffer.from('writer:secret').toString('base64');
+          requests.forEach(r => expect(r.authorization).to.equal(auth));
+          done();
+        });
+    });
+  });
+});
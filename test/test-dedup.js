@@ -0,0 +1,67 @@
+const chai = require('chai');
+const expect = chai.expect;
+const H = require('highland');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', cruise: 'category', temp: 'float', salinity: 'float' };
+const record = (time, cruise, temp, salinity, lineIndex) => ({
+  doc: { time: new Date(time), cruise, temp, salinity },
+  lineIndex,
+  position: (lineIndex + 1) * 10
+});
+const records = [
+  record('2017-05-06T19:52:57.601Z', 'KOK1606', 6.0, null, 0),
+  record('2017-05-06T19:52:57.601Z', 'KM1709', 2.0, 34.1, 1),
+  record('2017-05-06T19:52:57.601Z', 'KOK1606', null, 35.2, 2),
+  record('2017-05-06T19:52:58.601Z', 'KOK1606', 8.0, 35.0, 3),
+  record('2017-05-06T19:52:58.601Z', 'KOK1606', 9.0, null, 4)
+];
+
+describe('Duplicates', () => {
+  it('should keep the first or last duplicate', done => {
+    const found = [];
+    H(records)
+      .through(pipeline.dedup({ schema, policy: 'first', onDuplicate: (o, kept) => found.push([o.lineIndex, kept.lineIndex]) }))
+      .toArray(x => {
+        expect(x.map(o => o.lineIndex)).to.deep.equal([0, 1, 3]);
+        // Kept records have the position of their last duplicate
+        expect(x.map(o => o.position)).to.deep.equal([30, 20, 50]);
+        expect(found).to.deep.equal([[2, 0], [4, 3]]);
+        H(records)
+          .through(pipeline.dedup({ schema, policy: 'last' }))
+          .toArray(y => {
+            expect(y.map(o => o.lineIndex)).to.deep.equal([2, 1, 4]);
+            expect(y[0].doc).to.deep.equal(records[2].doc);
+            done();
+          });
+      });
+  });
+  it('should merge non-null fields of duplicates', done => {
+    H(records)
+      .through(pipeline.dedup({ schema, policy: 'merge' }))
+      .toArray(x => {
+        expect(x.map(o => o.doc)).to.deep.equal([
+          { time: new Date('2017-05-06T19:52:57.601Z'), cruise: 'KOK1606', temp: 6.0, salinity: 35.2 },
+          { time: new Date('2017-05-06T19:52:57.601Z'), cruise: 'KM1709', temp: 2.0, salinity: 34.1 },
+          { time: new Date('2017-05-06T19:52:58.601Z'), cruise: 'KOK1606', temp: 9.0, salinity: 35.0 }
+        ]);
+        done();
+      });
+  });
+  it('should reject duplicates', done => {
+    const errors = [];
+    H(records)
+      .through(pipeline.dedup({ schema, policy: 'reject' }))
+      .errors(err => errors.push(err))
+      .toArray(x => {
+        expect(x.map(o => o.lineIndex)).to.deep.equal([0, 1, 3]);
+        expect(errors).to.have.length(2);
+        expect(errors[0]).to.be.an.instanceof(TimeSeriesCopError);
+        expect(errors[0].message).to.match(/line 3 has the same time and tags as line 1/);
+        expect(errors[1].data).to.have.property('reason', 'duplicate of line 4');
+        expect(() => pipeline.dedup({ schema, policy: 'newest' })).to.throw(TimeSeriesCopError, /policy/);
+        done();
+      });
+  });
+});
@@ -0,0 +1,118 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const tscop = require('../src/lib/index');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+// Run input lines through a definition and collect line protocol output
+function convert(definition, input, done) {
+  const outArray = [];
+  const output = new stream.Writable({
+    write: function(chunk, encoding, next) {
+      outArray.push(chunk.toString());
+      next();
+    }
+  });
+  tscop.definitionPipeline(definition, { instream: input, cruise: 'KOK' })
+    .through(tscop.writeDocToLineProtocol({
+      measurement: 'meas',
+      schema: tscop.definitionOutputSchema(definition),
+      outstream: output
+    }))
+    .stopOnError(done)
+    .done(() => done(null, outArray));
+}
+
+describe('Parser Definitions', () => {
+  it('should load and validate every shipped definition', done => {
+    const names = tscop.listParserDefinitions();
+    expect(names).to.have.length(13);
+    names.forEach(name => {
+      const definition = tscop.loadParserDefinition(name);
+      expect(definition).to.have.property('name', name);
+    });
+    done();
+  });
+  it('should extract split subfields and filter lines', done => {
+    const input = [
+      'cnav\t2017:150:04:54:47.82\t$GPGGA,045447.00,2130.1234,N,15800.5678,W,2,09,0.9,10.5,M,2.1,M,,*4F\n',
+      'cnav\t2017:150:04:54:48.82\t$GPVTG,123.4,T,,M,10.2,N,18.9,K,D*2A\n'
+    ];
+    convert(tscop.loadParserDefinition('cnav_33103-GPGGA'), input, (err, out) => {
+      expect(err).to.not.exist;
+      expect(out).to.deep.equal([
+        'meas,cruise=KOK latitude=21.5021,longitude=-158.0095,gps_quality=2i,satellites=09i,altitude=10.5,geoidal_separation=2.1,influxMissingData=false 1496120087820000000\n'
+      ]);
+      done();
+    });
+  });
+  it('should compute derived columns from templates', done => {
+    const input = [
+      'Date\tTime\tInputMin\tInputMax\tHz\tOutV\tOutHz\tLoad\tCap\tRun\tTemp\tHum\n',
+      '2017-05-31\t12:00:00\t118.0\t121.5\t60.0\t120.0\t60.0\t15\t100\t95\t25.5\t40\n'
+    ];
+    convert(tscop.loadParserDefinition('cyberpower-ups-dataLog'), input, (err, out) => {
+      expect(err).to.not.exist;
+      expect(out).to.deep.equal([
+        'meas,cruise=KOK dateString="2017-05-31",timeString="12:00:00",inputMinV=118.0,inputMaxV=121.5,inputHz=60.0,outputV=120.0,outputHz=60.0,load=15i,capacity=100i,remainingRuntime=95i,temp=25.5,humidity=40i,influxMissingData=false 1496232000000000000\n'
+      ]);
+      done();
+    });
+  });
+  it('should pivot records with the same timestamp', done => {
+    const input = [
+      'cruise,file,timestamp,lat,lon,opp_evt_ratio,flow_rate,file_duration,pop,n_count,abundance,fsc_small,chl_small,pe\n',
+      'KOK,f1,2017-05-31T00:00:00Z,21.1,-158.1,0.1,0.2,180,prochloro,100,50.5,1.1,2.2,3.3\n',
+      'KOK,f1,2017-05-31T00:00:00Z,21.1,-158.1,0.1,0.2,180,synecho,10,5.5,1.1,2.2,3.3\n',
+      'KOK,f2,2017-05-31T00:03:00Z,21.1,-158.1,0.1,0.2,180,beads,11,6.5,NA,2.2,3.3\n'
+    ];
+    convert(tscop.loadParserDefinition('seaflow-population'), input, (err, out) => {
+      expect(err).to.not.exist;
+      expect(out).to.deep.equal([
+        'meas,cruise=KOK prochloro=50.5,synecho=5.5,influxMissingData=false 1496188800000000000\n',
+        'meas,cruise=KOK beads=6.5,influxMissingData=false 1496188980000000000\n'
+      ]);
+      done();
+    });
+  });
+  it('should load YAML definitions', done => {
+    const file = path.join(os.tmpdir(), `tscop-test-${process.pid}.yaml`);
+    fs.writeFileSync(file, [
+      'name: my-instrument',
+      'delimiter: ","',
+      'columns:',
+      '  - { name: time, type: time, field: 0 }',
+      '  - { name: value, type: float, field: 1 }',
+      ''
+    ].join('\n'));
+    try {
+      const definition = tscop.loadParserDefinition(file);
+      expect(definition).to.have.property('delimiter', ',');
+      expect(definition.output).to.deep.equal({ time: 'time', value: 'float' });
+    } finally {
+      fs.unlinkSync(file);
+    }
+    done();
+  });
+  it('should reject unknown transforms', done => {
+    expect(() => tscop.validateParserDefinition({
+      columns: [ { name: 'time', type: 'time', field: 0, transform: 'nope' } ]
+    })).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should reject definitions without a time column', done => {
+    expect(() => tscop.validateParserDefinition({
+      columns: [ { name: 'value', type: 'float', field: 0 } ]
+    })).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should reject invalid column types', done => {
+    expect(() => tscop.validateParserDefinition({
+      columns: [ { name: 'time', type: 'timestamp', field: 0 } ]
+    })).to.throw(TimeSeriesCopError);
+    done();
+  });
+});
@@ -0,0 +1,134 @@
+const chai = require('chai');
+const expect = chai.expect;
+const _ = require('lodash');
+const downsample = require('../src/lib/downsample');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', cruise: 'category', temp: 'float', count: 'integer', note: 'text', ok: 'boolean' };
+const docs = [
+  { time: Date.parse('2017-05-06T19:52:57.601Z'), cruise: 'KOK1606', temp: '6.0', count: '1', note: 'a b', ok: 'TRUE' },
+  { time: Date.parse('2017-05-06T19:53:27.601Z'), cruise: 'KOK1606', temp: '8.0', count: '3', note: null, ok: 'FALSE' },
+  { time: Date.parse('2017-05-06T19:53:57.601Z'), cruise: 'KOK1606', temp: '13.0', count: '5', note: 'c', ok: null }
+];
+
+describe('Downsampling', () => {
+  it('should parse window durations', done => {
+    expect(downsample.parseDuration('1h')).to.deep.equal({ every: '1h', ms: 3600000 });
+    expect(downsample.parseDuration(3)).to.deep.equal({ every: '3m', ms: 180000 });
+    expect(downsample.parseDuration('30s').ms).to.equal(30000);
+    ['0m', '1w', 'm', ''].forEach(d => expect(() => downsample.parseDuration(d), d).to.throw(TimeSeriesCopError));
+    done();
+  });
+  it('should parse aggregations', done => {
+    expect(downsample.parseAggregations('temp=min:max, salinity=Median')).to.deep.equal({
+      temp: ['min', 'max'],
+      salinity: ['median']
+    });
+    expect(downsample.parseAggregations(undefined)).to.deep.equal({});
+    expect(() => downsample.parseAggregations('temp')).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should average numbers and keep the last text and boolean values by default', done => {
+    const plan = downsample.downsamplePlan('tsg', schema);
+    expect(plan.tags).to.deep.equal(['cruise']);
+    expect(plan.selectors.map(s => `${s.fn}(${s.field}) as ${s.as}`)).to.deep.equal([
+      'mean(temp) as temp', 'mean(count) as count', 'last(note) as note', 'last(ok) as ok'
+    ]);
+    expect(plan.windows).to.deep.equal([{ every: '3m', ms: 180000, measurement: 'tsg' }]);
+    done();
+  });
+  it('should name series for several aggregations and windows', done => {
+    const plan = downsample.downsamplePlan('tsg', schema, {
+      windows: ['1m', '1h'],
+      aggregations: { temp: ['min', 'max'], note: 'count' }
+    });
+    expect(plan.selectors.map(s => s.as)).to.deep.equal(['temp_min', 'temp_max', 'count', 'note', 'ok']);
+    expect(plan.windows.map(w => w.measurement)).to.deep.equal(['tsg_1m', 'tsg_1h']);
+    done();
+  });
+  it('should reject invalid aggregations', done => {
+    expect(() => downsample.downsamplePlan('tsg', schema, { aggregations: { missing: ['mean'] } })).to.throw(TimeSeriesCopError, /not a field/);
+    expect(() => downsample.downsamplePlan('tsg', schema, { aggregations: { cruise: ['last'] } })).to.throw(TimeSeriesCopError);
+    expect(() => downsample.downsamplePlan('tsg', schema, { aggregations: { temp: ['sum'] } })).to.throw(TimeSeriesCopError, /Unknown aggregation sum/);
+    expect(() => downsample.downsamplePlan('tsg', schema, { aggregations: { note: ['max'] } })).to.throw(TimeSeriesCopError, /can't be used with text/);
+    done();
+  });
+  it('should make InfluxQL queries from the start of the window', done => {
+    const plan = downsample.downsamplePlan('tsg', schema, { aggregations: { temp: ['min', 'max'] } });
+    const query = downsample.influxQLQuery('tsg', plan, plan.windows[0], docs[0].time, docs[2].time, 'viz.weekly');
+    expect(query.replace(/\s+/g, ' ').trim()).to.equal(
+      'SELECT MIN("temp") AS "temp_min",MAX("temp") AS "temp_max",MEAN("count") AS "count",LAST("note") AS "note",LAST("ok") AS "ok" ' +
+      'INTO "viz"."weekly"."tsg" FROM "tsg" ' +
+      'WHERE time >= \'2017-05-06T19:51:00.000Z\' AND time <= \'2017-05-06T19:53:57.601Z\' ' +
+      'GROUP BY time(3m),"cruise";'
+    );
+    expect(downsample.influxQLQuery('tsg', downsample.downsamplePlan('tsg', { time: 'time' }), plan.windows[0], 0, 1)).to.be.null;
+    done();
+  });
+  it('should downsample batches client-side, carrying windows across batches', done => {
+    const downsampler = downsample.downsampler(downsample.downsamplePlan('tsg', schema, {
+      aggregations: { temp: ['min', 'max', 'median', 'mean'], count: 'count' }
+    }));
+    expect(downsampler(docs.slice(0, 2).map(doc => ({ doc })))).to.deep.equal([
+      'tsg,cruise=KOK1606 temp_min=6,temp_max=8,temp_median=7,temp_mean=7,count=2i,note="a b",ok=FALSE 1494100260000000000'
+    ]);
+    expect(downsampler(docs.slice(2).map(doc => ({ doc })))).to.deep.equal([
+      'tsg,cruise=KOK1606 temp_min=6,temp_max=13,temp_median=8,temp_mean=9,count=3i,note="c",ok=FALSE 1494100260000000000'
+    ]);
+    done();
+  });
+  it('should keep integer types for min, max and last', done => {
+    const downsampler = downsample.downsampler(downsample.downsamplePlan('tsg', { time: 'time', count: 'integer' }, {
+      windows: ['1m', '1h'],
+      aggregations: { count: ['max', 'last', 'mean'] }
+    }));
+    expect(downsampler(docs.map(doc => ({ doc })))).to.deep.equal([
+      'tsg_1m count_max=1i,count_last=1i,count_mean=1 1494100320000000000',
+      'tsg_1m count_max=5i,count_last=5i,count_mean=4 1494100380000000000',
+      'tsg_1h count_max=5i,count_last=5i,count_mean=3 1494097200000000000'
+    ]);
+    done();
+  });
+  it('should calculate circular means of angles', done => {
+    expect(downsample.circularMean([350, 10], 'degrees')).to.be.closeTo(0, 1e-9);
+    expect(downsample.circularMean(['355', 'x', '15'], 'degrees')).to.be.closeTo(5, 1e-9);
+    expect(downsample.circularMean([90, 180], 'degrees')).to.be.closeTo(135, 1e-9);
+    expect(downsample.circularMean([3 * Math.PI / 2, 0], 'radians')).to.be.closeTo(7 * Math.PI / 4, 1e-9);
+    expect(downsample.circularMean([179, -177], 'longitude')).to.be.closeTo(-179, 1e-9);
+    expect(downsample.circularMean([], 'degrees')).to.be.NaN;
+    expect(downsample.parseAngles('heading=Degrees, lon=longitude')).to.deep.equal({ heading: 'degrees', lon: 'longitude' });
+    expect(() => downsample.parseAngles('heading')).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should downsample angles with circular means', done => {
+    const angleSchema = { time: 'time', cruise: 'category', heading: 'float', lon: 'float' };
+    const plan = downsample.downsamplePlan('gps', angleSchema, {
+      aggregations: { heading: ['mean', 'max'] },
+      angles: { heading: 'degrees', lon: 'longitude' }
+    });
+    expect(plan.selectors.map(s => s.angle)).to.deep.equal(['degrees', null, 'longitude']);
+    const query = downsample.influxQLQuery('gps', plan, plan.windows[0], docs[0].time, docs[2].time);
+    const statements = query.replace(/\s+/g, ' ').trim().split('; ');
+    expect(statements).to.have.length(2);
+    expect(statements[0]).to.match(/^SELECT MAX\("heading"\) AS "heading_max" INTO/);
+    expect(statements[1]).to.match(/^SELECT \(ATAN2\(MEAN\("sin0"\), MEAN\("cos0"\)\) \* 57\.\d+ \+ 360\) % 360 AS "heading_mean",ATAN2\(MEAN\("sin1"\), MEAN\("cos1"\)\) \* 57\.\d+ AS "lon" /);
+    expect(statements[1]).to.include('FROM (SELECT SIN("heading" * 0.0174');
+    expect(statements[1]).to.match(/GROUP BY "cruise"\) WHERE time >= .* GROUP BY time\(3m\),"cruise";$/);
+
+    const lines = downsample.downsampler(plan)([
+      { doc: { time: docs[0].time, cruise: 'KOK1606', heading: '350', lon: '179.5' } },
+      { doc: { time: docs[1].time, cruise: 'KOK1606', heading: '20', lon: '-179.5' } }
+    ]);
+    expect(lines).to.have.length(1);
+    const fields = _.fromPairs(lines[0].split(' ')[1].split(',').map(f => f.split('=')));
+    expect(+fields.heading_mean).to.be.closeTo(5, 1e-9);
+    expect(fields.heading_max).to.equal('350');
+    expect(Math.abs(+fields.lon)).to.be.closeTo(180, 1e-9);
+    done();
+  });
+  it('should reject invalid angles', done => {
+    expect(() => downsample.downsamplePlan('tsg', schema, { angles: { note: 'degrees' } })).to.throw(TimeSeriesCopError, /not a numeric field/);
+    expect(() => downsample.downsamplePlan('tsg', schema, { angles: { temp: 'gradians' } })).to.throw(TimeSeriesCopError, /Unknown angle units gradians/);
+    done();
+  });
+});
@@ -0,0 +1,163 @@
+const chai = require('chai');
+const expect = chai.expect;
+const H = require('highland');
+const stream = require('stream');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', speed: 'float' };
+const outputSchema = { time: 'time', speed: 'float', cruise: 'category' };
+const input = [
+  '2017-05-06T19:52:57.601Z\t6.0\n',
+  '2017-05-06T19:52:58.601Z\tfast\n',
+  '2017-05-06T19:52:59.601Z\n',
+  '2017-05-06T19:52:50.601Z\t7.0\n',
+  '2017-05-06T19:53:00.601Z\t8.0\n'
+];
+
+function collector(lines) {
+  return new stream.Writable({
+    write(chunk, encoding, next) {
+      lines.push(chunk.toString());
+      next();
+    }
+  });
+}
+
+// Parse input with strict validation and save it with saveData()
+function save(opts) {
+  return new Promise(resolve => {
+    pipeline.fieldStream({ instream: input })
+      .through(pipeline.fieldsToDoc(['time', 'speed'], true))
+      .through(pipeline.validateDoc(schema, true))
+      .doto(o => o.doc.cruise = 'KOK1606')
+      .through(pipeline.saveData(Object.assign({
+        measurement: 'test',
+        schema: outputSchema,
+        callback: (err, count, rejected) => resolve({ err, count, rejected })
+      }, opts)));
+  });
+}
+
+describe('Error Policy', () => {
+  it('should add line details to validation errors', done => {
+    pipeline.fieldStream({ instream: input.slice(1, 3) })
+      .through(pipeline.fieldsToDoc(['time', 'speed'], true))
+      .through(pipeline.validateDoc(schema, true))
+      .errors((err, push) => push(null, err))
+      .toArray(errs => {
+        expect(errs).to.have.length(2);
+        expect(errs[0].data).to.include({ line: 1, column: 'speed', value: 'fast', reason: 'Not a float' });
+        expect(errs[1].data).to.include({ line: 2, column: null, reason: 'Column count (1) does not match header count (2)' });
+        expect(errs[1].data.text).to.equal('2017-05-06T19:52:59.601Z');
+        done();
+      });
+  });
+  it('should stop at the first error by default', () => {
+    const lines = [];
+    return save({ outstream: collector(lines) }).then(result => {
+      expect(result.err).to.be.an.instanceof(TimeSeriesCopError);
+      expect(result.err.message).to.match(/^Not a float on line 2/);
+      expect(lines).to.have.length(1);
+    });
+  });
+  it('should skip lines with errors', () => {
+    const lines = [];
+    return save({ outstream: collector(lines), errorPolicy: 'skip' }).then(result => {
+      expect(result.err).to.be.null;
+      expect(result.count).to.equal(2);
+      expect(result.rejected).to.equal(3);
+      expect(lines).to.deep.equal([
+        'test,cruise=KOK1606 speed=6.0,influxMissingData=false 1494100377601000000\n',
+        'test,cruise=KOK1606 speed=8.0,influxMissingData=false 1494100380601000000\n'
+      ]);
+    });
+  });
+  it('should write quarantined lines to a reject stream', () => {
+    const rejects = [];
+    return save({
+      outstream: collector([]),
+      errorPolicy: 'quarantine',
+      rejectStream: collector(rejects)
+    }).then(result => {
+      expect(result.rejected).to.equal(3);
+      expect(rejects.join('')).to.equal(
+        'line\tcolumn\tvalue\treason\ttext\n' +
+        '2\tspeed\tfast\tNot a float\t"2017-05-06T19:52:58.601Z\tfast"\n' +
+        '3\t\t\tColumn count (1) does not match header count (2)\t2017-05-06T19:52:59.601Z\n' +
+        '4\ttime\t2017-05-06T19:52:50.601Z\trecords not in ascending chronological order\t"2017-05-06T19:52:50.601Z\t7.0"\n'
+      );
+    });
+  });
+  it('should write quarantined lines as NDJSON', () => {
+    const rejects = [];
+    return save({
+      outstream: collector([]),
+      errorPolicy: 'quarantine',
+      rejectStream: collector(rejects),
+      rejectFormat: 'ndjson'
+    }).then(result => {
+      expect(rejects).to.have.length(3);
+      expect(JSON.parse(rejects[0])).to.deep.equal({
+        line: 2,
+        column: 'speed',
+        value: 'fast',
+        reason: 'Not a float',
+        text: '2017-05-06T19:52:58.601Z\tfast'
+      });
+    });
+  });
+  it('should quarantine lines with garbled times under lax validation', () => {
+    const rejects = [];
+    const lines = [];
+    return new Promise(resolve => {
+      pipeline.fieldStream({ instream: ['2017-05-06T19:52:57.601Z\t6.0\n', 'notatime\t7.0\n', '2017-05-06T19:52:59.601Z\t8.0\n'] })
+        .through(pipeline.fieldsToDoc(['time', 'speed'], false))
+        .through(pipeline.validateDoc(schema, false))
+        .doto(o => o.doc.cruise = 'KOK1606')
+        .through(pipeline.saveData({
+          measurement: 'test',
+          schema: outputSchema,
+          outstream: collector(lines),
+          errorPolicy: 'quarantine',
+          rejectStream: collector(rejects),
+          callback: (err, count, rejected) => resolve({ err, count, rejected })
+        }));
+    }).then(result => {
+      expect(result).to.deep.equal({ err: null, count: 2, rejected: 1 });
+      expect(lines).to.have.length(2);
+      expect(rejects.join('')).to.equal(
+        'line\tcolumn\tvalue\treason\ttext\n' +
+        '2\ttime\t\ttime value missing\t"notatime\t7.0"\n'
+      );
+    });
+  });
+  it('should abort when too many lines are rejected', () => {
+    const lines = [];
+    return save({ outstream: collector(lines), errorPolicy: 'skip', maxErrors: 1 }).then(result => {
+      expect(result.err).to.be.an.instanceof(TimeSeriesCopError);
+      expect(result.err.message).to.match(/Too many rejected lines \(more than 1\)/);
+    });
+  });
+  it('should reject a max errors that is not a positive integer', () => {
+    expect(() => pipeline.saveData({ errorPolicy: 'skip', maxErrors: 'many' })).to.throw(TimeSeriesCopError, /Max errors/);
+    expect(() => pipeline.saveData({ errorPolicy: 'skip', maxErrors: 0 })).to.throw(TimeSeriesCopError, /Max errors/);
+  });
+  it('should pass on errors that are not about a single line', done => {
+    H([1, 2])
+      .map(x => {
+        if (x === 2) throw new TimeSeriesCopError('broken');
+        return x;
+      })
+      .through(pipeline.handleErrors({ policy: 'skip' }))
+      .errors((err, push) => push(null, err.message))
+      .toArray(x => {
+        expect(x).to.deep.equal([1, 'broken']);
+        done();
+      });
+  });
+  it('should reject unknown policies', done => {
+    expect(() => pipeline.handleErrors({ policy: 'ignore' })).to.throw(TimeSeriesCopError);
+    done();
+  });
+});
@@ -0,0 +1,48 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const commands = require('../src/lib/commands');
+const follow = require('../src/lib/follow');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Follow', () => {
+  let file;
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `tscop-follow-${process.pid}.txt`);
+    fs.writeFileSync(file, 'line1\n');
+  });
+  afterEach(() => {
+    fs.unlinkSync(file);
+  });
+
+  it('should read appended lines and hold partial lines', done => {
+    const chunks = [];
+    const readable = follow.followFile(file, { pollInterval: 10 });
+    readable.on('data', d => chunks.push(d));
+    readable.on('end', () => {
+      expect(chunks.join('')).to.equal('line1\nline2\n');
+      expect(readable.position).to.equal(12);
+      done();
+    });
+    setTimeout(() => fs.appendFileSync(file, 'line2\nline'), 50);
+    setTimeout(() => readable.stop(), 150);
+  });
+  it('should start over when a file is truncated', done => {
+    const chunks = [];
+    const readable = follow.followFile(file, { pollInterval: 10 });
+    readable.on('data', d => chunks.push(d));
+    readable.on('end', () => {
+      expect(chunks.join('')).to.equal('line1\nnew\n');
+      done();
+    });
+    setTimeout(() => fs.writeFileSync(file, ''), 50);
+    setTimeout(() => fs.writeFileSync(file, 'new\n'), 100);
+    setTimeout(() => readable.stop(), 200);
+  });
+  it('should refuse to follow standard format input', () => {
+    expect(() => commands.standard({ input: file, follow: true })).to.throw(TimeSeriesCopError, /--follow/);
+  });
+});
@@ -0,0 +1,91 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const H = require('highland');
+const commands = require('../src/lib/commands');
+const importFile = require('../src/lib/importFile');
+const lineProtocol = require('../src/lib/lineProtocol');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+// Lines at these seconds past 2017-05-30T23:59:58Z
+const lines = seconds => seconds.map(s => `tsg,cruise=KOK1606 x=${s} ${(Date.parse('2017-05-30T23:59:58Z') + s * 1000) * 1000}\n`);
+
+describe('influx -import Files', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-import-test-'));
+  });
+  afterEach(() => {
+    fs.readdirSync(tmpDir).forEach(f => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  it('should make the import preamble', () => {
+    expect(importFile.importPreamble({ database: 'ship', retentionPolicy: 'raw', createDatabase: true, duration: '52w', precision: 'us' })).to.equal(
+      '# DDL\n' +
+      'CREATE DATABASE "ship"\n' +
+      'CREATE RETENTION POLICY "raw" ON "ship" DURATION 52w REPLICATION 1\n' +
+      '# DML\n' +
+      '# CONTEXT-DATABASE: ship\n' +
+      '# CONTEXT-RETENTION-POLICY: raw\n' +
+      '# Timestamp precision: us. Import with influx -import -precision=u\n'
+    );
+    expect(importFile.parseSplit('100MB')).to.deep.equal({ bytes: 100 * 1024 * 1024 });
+    expect(importFile.parseSplit('Day')).to.deep.equal({ day: true });
+    expect(() => importFile.parseSplit('10 days')).to.throw(TimeSeriesCopError, /Invalid import file split/);
+    expect(() => importFile.createImportWriter(path.join(tmpDir, 'x.lp'), { database: 'a b' })).to.throw(TimeSeriesCopError, /Invalid import database name/);
+  });
+  it('should split by size and write a manifest', done => {
+    const file = path.join(tmpDir, 'tsg.lp');
+    const preamble = importFile.importPreamble({ database: 'ship', precision: 'us' });
+    const out = importFile.createImportWriter(file, { database: 'ship', precision: 'us', split: preamble.length + 2 * lines([0])[0].length });
+    H(lines([0, 1, 2, 3, 4])).pipe(out);
+    out.on('finish', () => {
+      expect(fs.readdirSync(tmpDir).sort()).to.deep.equal(['tsg.0001.lp', 'tsg.0002.lp', 'tsg.0003.lp', 'tsg.manifest.json']);
+      expect(fs.readFileSync(path.join(tmpDir, 'tsg.0002.lp'), 'utf8')).to.equal(preamble + lines([2, 3]).join(''));
+      const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'tsg.manifest.json'), 'utf8'));
+      expect(manifest).to.include({ database: 'ship', retentionPolicy: 'autogen', precision: 'us', points: 5 });
+      expect(manifest.chunks.map(c => c.points)).to.deep.equal([2, 2, 1]);
+      expect(manifest.chunks[1]).to.include({ file: 'tsg.0002.lp', start: '2017-05-31T00:00:00.000Z', end: '2017-05-31T00:00:01.000Z' });
+      done();
+    });
+  });
+  it('should split gzipped files by day and read them back', done => {
+    const file = path.join(tmpDir, 'tsg.lp.gz');
+    const out = importFile.createImportWriter(file, { database: 'ship', createDatabase: true, precision: 'us', split: 'day' });
+    H(lines([0, 1, 2, 3])).pipe(out);
+    out.on('finish', () => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'tsg.manifest.json'), 'utf8'));
+      expect(manifest.chunks.map(c => [c.file, c.points])).to.deep.equal([['tsg.2017-05-30.lp.gz', 2], ['tsg.2017-05-31.lp.gz', 2]]);
+      const text = zlib.gunzipSync(fs.readFileSync(path.join(tmpDir, 'tsg.2017-05-31.lp.gz'))).toString();
+      lineProtocol.lineProtocolStream({ instream: [text] })
+        .toArray(x => {
+          expect(x.map(o => o.doc)).to.deep.equal([
+            { time: new Date('2017-05-31T00:00:00Z'), cruise: 'KOK1606', x: '2' },
+            { time: new Date('2017-05-31T00:00:01Z'), cruise: 'KOK1606', x: '3' }
+          ]);
+          done();
+        });
+    });
+  });
+  it('should write one preamble for standard format input', () => {
+    const input = path.join(tmpDir, 'tsg.tsv');
+    const output = path.join(tmpDir, 'tsg.lp');
+    fs.writeFileSync(input, [
+      'tsg', 'KOK1606', 'Underway TSG', 'time\tTemperature',
+      'time\tfloat', 'NA\tC', 'time\ttemp',
+      '2017-05-31T00:00:00Z\t25.1', '2017-05-31T00:00:01Z\t25.2', ''
+    ].join('\n'));
+    return commands.standard({ input, output, format: 'import', importDb: 'ship', precision: 'us' })
+      .then(() => {
+        const text = fs.readFileSync(output, 'utf8');
+        expect(text.match(/^# DML$/gm)).to.have.length(1);
+        expect(text.match(/^# Timestamp precision/gm)).to.have.length(1);
+        expect(text.split('\n').filter(line => line && !line.startsWith('#'))).to.have.length(2);
+      });
+  });
+});
@@ -0,0 +1,115 @@
+const chai = require('chai');
+const expect = chai.expect;
+const http = require('http');
+const url = require('url');
+const zlib = require('zlib');
+const H = require('highland');
+const influxV2 = require('../src/lib/influxV2');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', cruise: 'category', speed: 'float', count: 'integer', note: 'text' };
+const docs = [
+  { time: Date.parse('2017-05-06T19:52:57.601Z'), cruise: 'KOK1606', speed: '6.0', count: '1', note: 'a b' },
+  { time: Date.parse('2017-05-06T19:53:27.601Z'), cruise: 'KOK1606', speed: '8.0', count: '3', note: null },
+  { time: Date.parse('2017-05-06T19:53:57.601Z'), cruise: 'KOK1606', speed: '10.0', count: '5', note: null }
+];
+
+describe('InfluxDB v2 Write', () => {
+  let server;
+  let requests;
+  let status;
+  let serverUrl;
+
+  // Stub of the /api/v2/write endpoint that records each request
+  before(done => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        let body = Buffer.concat(chunks);
+        if (req.headers['content-encoding'] === 'gzip') {
+          body = zlib.gunzipSync(body);
+        }
+        const u = url.parse(req.url, true);
+        requests.push({ path: u.pathname, query: u.query, headers: req.headers, lines: body.toString().split('\n') });
+        res.statusCode = status;
+        if (status === 204) {
+          res.end();
+        } else {
+          res.end(JSON.stringify({ code: 'invalid', message: 'field type conflict' }));
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      serverUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  after(done => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    requests = [];
+    status = 204;
+  });
+
+  it('should post gzipped line protocol with org, bucket and token', () => {
+    return influxV2.writeLines(['m x=1 1000000'], { serverUrl, org: 'ocean', bucket: 'raw', token: 'secret' })
+      .then(() => {
+        expect(requests).to.have.length(1);
+        expect(requests[0].path).to.equal('/api/v2/write');
+        expect(requests[0].query).to.deep.equal({ org: 'ocean', bucket: 'raw', precision: 'ns' });
+        expect(requests[0].headers.authorization).to.equal('Token secret');
+        expect(requests[0].headers['content-encoding']).to.equal('gzip');
+        expect(requests[0].lines).to.deep.equal(['m x=1 1000000', '']);
+      });
+  });
+  it('should post plain text without gzip', () => {
+    return influxV2.writeLines(['m x=1 1000000'], { serverUrl, org: 'ocean', bucket: 'raw', gzip: false })
+      .then(() => {
+        expect(requests[0].headers['content-encoding']).to.be.undefined;
+        expect(requests[0].headers.authorization).to.be.undefined;
+        expect(requests[0].lines[0]).to.equal('m x=1 1000000');
+      });
+  });
+  it('should reject with a TimeSeriesCopError if the data is rejected', () => {
+    status = 400;
+    return influxV2.writeLines(['m x=1 1000000'], { serverUrl, org: 'ocean', bucket: 'raw' })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/field type conflict/);
+      });
+  });
+  it('should reject with an Error for other failures', () => {
+    status = 503;
+    return influxV2.writeLines(['m x=1 1000000'], { serverUrl, org: 'ocean', bucket: 'raw' })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).not.to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/status 503/);
+      });
+  });
+  it('should write batches and downsampled points from a stream', done => {
+    H(docs.map(doc => ({ doc: Object.assign({}, doc) })))
+      .through(pipeline.writeDocToInfluxDBv2({
+        measurement: 'tsg',
+        schema,
+        serverUrl,
+        org: 'ocean',
+        bucket: 'raw',
+        vizBucket: 'viz',
+        batchSize: 2
+      }))
+      .toArray(written => {
+        expect(written).to.have.length(3);
+        expect(requests.map(r => r.query.bucket)).to.deep.equal(['raw', 'viz', 'raw', 'viz']);
+        expect(requests[0].lines).to.deep.equal([
+          'tsg,cruise=KOK1606 speed=6.0,count=1i,note="a b",influxMissingData=false 1494100377601000000',
+          'tsg,cruise=KOK1606 speed=8.0,count=3i,influxMissingData=false 1494100407601000000',
+          ''
+        ]);
+        expect(requests[3].lines[0]).to.equal('tsg,cruise=KOK1606 speed=8,count=3,note="a b" 1494100260000000000');
+        done();
+      });
+  });
+});
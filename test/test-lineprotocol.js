@@ -0,0 +1,150 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const lineProtocol = require('../src/lib/lineProtocol');
+const pipeline = require('../src/lib/pipeline');
+const registry = require('../src/lib/registry');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Line Protocol Reader', () => {
+  it('should parse tags, typed fields and timestamp', done => {
+    expect(lineProtocol.parseLineProtocol(
+      'my\\ meas,cruise=KOK1606,site=a\\ b\\,c\\=d note="say \\"hi\\" \\\\o/",n=-5i,u=7u,x=1.5e3,ok=t,no=FALSE 1494100377601000000'
+    )).to.deep.equal({
+      measurement: 'my meas',
+      tags: { cruise: 'KOK1606', site: 'a b,c=d' },
+      fields: { note: 'say "hi" \\o/', n: '-5', u: '7', x: '1.5e3', ok: 'TRUE', no: 'FALSE' },
+      types: { note: 'text', n: 'integer', u: 'integer', x: 'float', ok: 'boolean', no: 'boolean' },
+      timestamp: '1494100377601000000'
+    });
+    done();
+  });
+  it('should parse lines without tags or timestamp', done => {
+    const point = lineProtocol.parseLineProtocol('m x=1,s="a,b c"');
+    expect(point.tags).to.deep.equal({});
+    expect(point.fields).to.deep.equal({ x: '1', s: 'a,b c' });
+    expect(point.timestamp).to.be.null;
+    done();
+  });
+  it('should reject malformed lines', done => {
+    ['m', 'm x', 'm x=abc 1', 'm,t= x=1 1', 'm x="open 1', 'm x=1 12:00'].forEach(text => {
+      expect(() => lineProtocol.parseLineProtocol(text), text).to.throw(TimeSeriesCopError);
+    });
+    done();
+  });
+  it('should convert nanosecond timestamps to milliseconds', done => {
+    expect(lineProtocol.nanosecondsToMs('1494100377601999999')).to.equal(1494100377601);
+    expect(lineProtocol.nanosecondsToMs('999999')).to.equal(0);
+    expect(lineProtocol.nanosecondsToMs('-2000000')).to.equal(-2);
+    done();
+  });
+  it('should read records and skip comments and blank lines', done => {
+    lineProtocol.lineProtocolStream({
+      instream: [
+        '# DML\n',
+        'a,cruise=K x=1.5,influxMissingData=false 1494100377601000000\n',
+        '\n',
+        'b y=2i 1494100378601000000\n'
+      ]
+    })
+    .toArray(x => {
+      expect(x).to.have.length(2);
+      expect(x[0]).to.include({ measurement: 'a', lineIndex: 1, recordIndex: 0 });
+      expect(x[0].doc).to.deep.equal({ time: new Date(1494100377601), cruise: 'K', x: '1.5' });
+      expect(x[1].doc).to.deep.equal({ time: new Date(1494100378601), y: '2' });
+      done();
+    });
+  });
+  it('should report bad lines with line details', done => {
+    lineProtocol.lineProtocolStream({ instream: ['a x=1 1000000\n', 'a x=1\n'] })
+      .errors((err, push) => push(null, err))
+      .toArray(x => {
+        expect(x[1]).to.be.an.instanceof(TimeSeriesCopError);
+        expect(x[1].data).to.include({ line: 2, reason: 'time value missing', text: 'a x=1' });
+        done();
+      });
+  });
+  it('should infer a schema', () => {
+    return lineProtocol.inferLineProtocolSchema([
+      'a,cruise=K x=1i,s="t",influxMissingData=false 1000000\n',
+      'a,cruise=K,site=b x=1.5,ok=true 2000000\n',
+      'not line protocol\n',
+      'b other=1 3000000\n'
+    ], { measurement: 'a' })
+    .then(schema => {
+      expect(schema).to.deep.equal({
+        time: 'time',
+        cruise: 'category',
+        x: 'float',
+        s: 'text',
+        site: 'category',
+        ok: 'boolean'
+      });
+    });
+  });
+  it('should reject conflicting field types', () => {
+    return lineProtocol.inferLineProtocolSchema(['a x=1 1000000\n', 'a x="one" 2000000\n'])
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/x is float but text on line 2/);
+      });
+  });
+  it('should write the same line protocol it reads', done => {
+    const input = [
+      'tsg,cruise=KOK1606,site=a\\ b sstemp=25.3496,n=5i,note="x \\"y\\"",ok=TRUE,influxMissingData=false 1496120087828000000',
+      'tsg,cruise=KOK1606,site=c sstemp=25.3596,n=6i,note="z",ok=FALSE,influxMissingData=false 1496120089828000000'
+    ];
+    const lines = [];
+    const outstream = new stream.Writable({
+      write(chunk, encoding, next) {
+        lines.push(chunk.toString());
+        next();
+      }
+    });
+    lineProtocol.inferLineProtocolSchema(input.map(l => l + '\n')).then(schema => {
+      lineProtocol.lineProtocolStream({ instream: input.map(l => l + '\n') })
+        .through(pipeline.writeDocToLineProtocol({ measurement: 'tsg', schema, outstream }))
+        .done(() => {
+          expect(lines.join('')).to.equal(input.join('\n') + '\n');
+          done();
+        });
+    });
+  });
+  it('should convert one measurement and keep its cruise tags', () => {
+    const input = [
+      'tsg,cruise=KOK1606 sstemp=1 1494100377601000000\n',
+      'par,cruise=KM1709 par=5 1494100378601000000\n',
+      'tsg sstemp=2 1494100379601000000\n'
+    ];
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-lp-test-')), 'mixed.lp');
+    fs.writeFileSync(file, input.join(''));
+    const format = registry.getFormat('lineprotocol');
+    const lines = [];
+    const outstream = new stream.Writable({
+      write(chunk, encoding, next) {
+        lines.push(chunk.toString());
+        next();
+      }
+    });
+    return format.inferSchema(file, { measurement: 'tsg' })
+      .then(schema => {
+        fs.unlinkSync(file);
+        fs.rmdirSync(path.dirname(file));
+        expect(schema).to.deep.equal({ time: 'time', cruise: 'category', sstemp: 'float' });
+        return new Promise(resolve => {
+          format.pipeline({ instream: input, cruise: 'OTHER', measurement: 'tsg' })
+            .through(pipeline.writeDocToLineProtocol({ measurement: 'tsg', schema, outstream }))
+            .done(resolve);
+        });
+      })
+      .then(() => {
+        expect(lines.join('')).to.equal(
+          'tsg,cruise=KOK1606 sstemp=1,influxMissingData=false 1494100377601000000\n' +
+          'tsg,cruise=OTHER sstemp=2,influxMissingData=false 1494100379601000000\n'
+        );
+      });
+  });
+});
@@ -4,6 +4,8 @@ const chaiAsPromised = require("chai-as-promised");
 chai.use(chaiAsPromised);
 const validation = require('../src/lib/validation');
 const parser = require('../src/lib/standardParser');
+const pipeline = require('../src/lib/pipeline');
+const H = require('highland');
 const stream = require('stream');
 const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
 
@@ -34,7 +36,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -58,7 +60,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -82,7 +84,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -106,7 +108,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -130,7 +132,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -154,7 +156,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -178,7 +180,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -202,7 +204,7 @@ describe('Standard Format', function() {
     ];
     return parser.getStandardHeader(input, ',')
       .then(header => parser.validateStandardHeader(header))
-      .then(header => parser.parseStandardBody(input, output, header, ','))
+      .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
       .then(result => {
         expect(outArray).to.have.length(1);
         expect(outArray).to.have.deep.property(
@@ -227,7 +229,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if cruise is missing', function() {
@@ -244,7 +246,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if description is missing', function() {
@@ -261,7 +263,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if column descriptions are missing', function() {
@@ -278,7 +280,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank column description', function() {
@@ -295,7 +297,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if bad type', function() {
@@ -312,7 +314,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank type', function() {
@@ -329,7 +331,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank type line', function() {
@@ -346,7 +348,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if time is not first type', function() {
@@ -363,7 +365,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank unit', function() {
@@ -380,7 +382,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank unit line', function() {
@@ -397,7 +399,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if time is not first header column', function() {
@@ -414,7 +416,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank header column', function() {
@@ -431,7 +433,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank header line', function() {
@@ -448,7 +450,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if NA in header line', function() {
@@ -465,7 +467,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if NaN in header line', function() {
@@ -482,7 +484,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if bad timestamp', function() {
@@ -499,7 +501,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if blank data column', function() {
@@ -516,7 +518,7 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
   it('should reject if empty time data column', function() {
@@ -533,7 +535,327 @@ describe('Standard Format', function() {
     return expect(
       parser.getStandardHeader(input, ',')
         .then(header => parser.validateStandardHeader(header))
-        .then(header => parser.parseStandardBody(input, output, header, ','))
+        .then(header => parser.parseStandardBody(input, output, header, { delimiter: ',' }))
     ).to.eventually.be.rejectedWith(TimeSeriesCopError);
   });
+  it('should parse a stream in one pass', function() {
+    const input = new stream.PassThrough();
+    input.end([
+      'fileType',
+      'cruise',
+      'description',
+      'desc1,desc2',
+      'time,float',
+      'NA,m/s',
+      'time,speed',
+      '2017-05-06T19:52:57.601Z,6.0',
+      '2017-05-06T19:52:58.601Z,7.0'
+    ].join('\n'));
+    return parser.parseStandardFile(input, output, { delimiter: ',' })
+      .then(result => {
+        expect(outArray.join('')).to.equal(
+          'fileType,cruise=cruise speed=6.0,influxMissingData=false 1494100377601000000\n' +
+          'fileType,cruise=cruise speed=7.0,influxMissingData=false 1494100378601000000\n'
+        );
+        expect(result.points).to.equal(2);
+        expect(result.header.headers).to.deep.equal(['time', 'speed']);
+      });
+  });
+  it('should leave out the precision header when asked', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '2017-05-06T19:52:57.601Z,6.0\n'
+    ];
+    return parser.parseStandardFile(input, output, { delimiter: ',', precision: 'ms' })
+      .then(() => {
+        expect(outArray.join('')).to.match(/^# DML\n# Timestamp precision: ms/);
+        outArray.length = 0;
+        return parser.parseStandardFile(input, output, { delimiter: ',', precision: 'ms', writeHeader: false });
+      })
+      .then(() => {
+        expect(outArray.join('')).to.equal(
+          'fileType,cruise=cruise speed=6.0,influxMissingData=false 1494100377601\n'
+        );
+      });
+  });
+  it('should reject a stream with an incomplete header in one pass', function() {
+    return expect(
+      parser.parseStandardFile(['fileType\n', 'cruise\n'], output, { delimiter: ',' })
+    ).to.eventually.be.rejectedWith(TimeSeriesCopError, /Incomplete header/);
+  });
+  it('should add static tags from #tag lines and arguments', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '#tag,ship,KOK\n',
+      '#tag,data_level,1\n',
+      '2017-05-06T19:52:57.601Z,6.0\n'
+    ];
+    return parser.parseStandardFile(input, output, { delimiter: ',', tags: ['data_level=2', 'deployment=3'] })
+      .then(result => {
+        expect(outArray.join('')).to.equal(
+          'fileType,cruise=cruise,ship=KOK,data_level=2,deployment=3 speed=6.0,influxMissingData=false 1494100377601000000\n'
+        );
+        expect(result.header.tags).to.deep.equal({ ship: 'KOK', data_level: '1' });
+      });
+  });
+  it('should reject tags named like columns', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '#tag,speed,fast\n',
+      '2017-05-06T19:52:57.601Z,6.0\n'
+    ];
+    expect(() => pipeline.parseTags(['ship=KOK', 'time=1'], ['time'])).to.throw(TimeSeriesCopError, /Tag time has the same name as a column/);
+    expect(() => pipeline.parseTags(['ship'])).to.throw(TimeSeriesCopError, /Must look like key=value/);
+    return expect(
+      parser.parseStandardFile(input, output, { delimiter: ',' })
+    ).to.eventually.be.rejectedWith(TimeSeriesCopError, /Tag speed has the same name as a column on line 8/);
+  });
+  it('should quarantine data lines with errors when asked', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '2017-05-06T19:52:57.601Z,6.0\n',
+      '2017-05-06T19:52:58.601Z,fast\n',
+      '2017-05-06T19:52:59.601Z,7.0\n'
+    ];
+    const rejects = [];
+    const rejectStream = new stream.Writable({
+      write(chunk, encoding, next) {
+        rejects.push(chunk.toString());
+        next();
+      }
+    });
+    return parser.parseStandardFile(input, output, { delimiter: ',', errorPolicy: 'quarantine', rejectStream })
+      .then(result => {
+        expect(result).to.include({ points: 2, rejected: 1 });
+        expect(outArray).to.have.length(2);
+        expect(rejects.join('')).to.equal(
+          'line\tcolumn\tvalue\treason\ttext\n' +
+          '9\tspeed\tfast\tNot a float\t2017-05-06T19:52:58.601Z,fast\n'
+        );
+      });
+  });
+  it('should take cruise and measurement from columns when present', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2,desc3,desc4\n',
+      'time,category,category,float\n',
+      'NA,NA,NA,m/s\n',
+      'time,cruise,measurement,speed\n',
+      '2017-05-06T19:52:57.601Z,KOK1606,tsg,6.0\n',
+      '2017-05-06T19:52:58.601Z,KOK1607,met,7.0\n'
+    ];
+    return parser.parseStandardFile(input, output, { delimiter: ',' })
+      .then(result => {
+        expect(outArray.join('')).to.equal(
+          'tsg,cruise=KOK1606 speed=6.0,influxMissingData=false 1494100377601000000\n' +
+          'met,cruise=KOK1607 speed=7.0,influxMissingData=false 1494100378601000000\n'
+        );
+        expect(result.points).to.equal(2);
+        expect(result.warnings).to.be.undefined;
+      });
+  });
+  it('should warn about tags with too many distinct values', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2,desc3\n',
+      'time,category,float\n',
+      'NA,NA,m/s\n',
+      'time,sample,speed\n',
+      '2017-05-06T19:52:57.601Z,a,6.0\n',
+      '2017-05-06T19:52:58.601Z,b,6.0\n',
+      '2017-05-06T19:52:59.601Z,c,6.0\n',
+      '2017-05-06T19:53:00.601Z,d,6.0\n'
+    ];
+    return parser.parseStandardFile(input, output, { delimiter: ',', maxTagValues: 2 })
+      .then(result => {
+        expect(result.points).to.equal(4);
+        expect(result.warnings).to.have.length(1);
+        expect(result.warnings[0]).to.match(/^Tag sample has more than 2 distinct values by line 10/);
+      });
+  });
+});
+
+describe('Standard Format Lint', function() {
+  it('should report no issues for a valid file', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '2017-05-06T19:52:57.601Z,6.0\n',
+      '2017-05-06T19:52:58.601Z,NA\n'
+    ];
+    return parser.lintStandardFile(input, { delimiter: ',' }).then(report => {
+      expect(report).to.deep.equal({ valid: true, records: 2, issueCount: 0, issues: [] });
+    });
+  });
+  it('should report every issue with line and column', function() {
+    const input = [
+      'file type\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2,desc3\n',
+      'time,float,bogus\n',
+      'NA,m/s,NA\n',
+      'time,speed,notes\n',
+      '2017-05-06T19:52:57.601Z,6.0,a\n',
+      '2017-05-06T19:52:56.601Z,fast,b\n',
+      'notatime,,c\n',
+      '2017-05-06T19:52:59.601Z,7.0\n'
+    ];
+    return parser.lintStandardFile(input, { delimiter: ',' }).then(report => {
+      expect(report.valid).to.be.false;
+      expect(report.records).to.equal(4);
+      expect(report.issues.map(i => [i.line, i.column, i.field, i.value])).to.deep.equal([
+        [1, null, null, null],
+        [5, 3, 'notes', null],
+        [9, 1, 'time', '2017-05-06T19:52:56.601Z'],
+        [9, 2, 'speed', 'fast'],
+        [10, 1, 'time', 'notatime'],
+        [10, 2, 'speed', ''],
+        [11, null, null, null]
+      ]);
+      expect(report.issues[2].message).to.equal('Record not in ascending chronological order');
+      expect(report.issues[3].message).to.equal('Not a float');
+      expect(report.issues[5].message).to.equal('Empty float value');
+      expect(report.issues[6].message).to.equal('Column count (2) does not match header count (3)');
+    });
+  });
+  it('should report all header issues', function() {
+    const input = [
+      'fileType\n',
+      '\n',
+      'description\n',
+      'desc1,desc2\n',
+      'float,float\n',
+      'NA,m/s\n',
+      'speed,NA\n'
+    ];
+    return parser.lintStandardFile(input, { delimiter: ',' }).then(report => {
+      expect(report.records).to.equal(0);
+      expect(report.issues.map(i => i.message)).to.deep.equal([
+        'Incomplete header section(s): cruise',
+        'The first type value on line 5 should be \'time\'',
+        '\'NA\' or \'NaN\' are not valid column headers on line 7',
+        'The first headers value on line 7 should be \'time\''
+      ]);
+    });
+  });
+  it('should count issues beyond maxIssues', function() {
+    const input = [
+      'fileType\n',
+      'cruise\n',
+      'description\n',
+      'desc1,desc2\n',
+      'time,float\n',
+      'NA,m/s\n',
+      'time,speed\n',
+      '2017-05-06T19:52:57.601Z,a\n',
+      '2017-05-06T19:52:58.601Z,b\n',
+      '2017-05-06T19:52:59.601Z,c\n'
+    ];
+    return parser.lintStandardFile(input, { delimiter: ',', maxIssues: 2 }).then(report => {
+      expect(report.issueCount).to.equal(3);
+      expect(report.issues).to.have.length(2);
+    });
+  });
+});
+
+describe('Standard Format Output', function() {
+  const docs = [
+    { doc: { time: Date.UTC(2017, 4, 6, 19, 52, 57, 601), speed: '6.0', notes: 'a, b', flag: 'true', cruise: 'KOK1606' } },
+    { doc: { time: Date.UTC(2017, 4, 6, 19, 52, 58, 601), speed: null, notes: '', flag: false, cruise: 'KOK1606' } }
+  ];
+  const schema = { time: 'time', speed: 'float', notes: 'text', flag: 'boolean', cruise: 'category' };
+
+  it('should write a header and one line per record', function(done) {
+    H(docs)
+      .through(pipeline.writeDocToStandardFormat({
+        measurement: 'underway',
+        cruise: 'KOK1606',
+        description: 'Underway data',
+        columnDescriptions: { speed: 'Ship speed' },
+        units: { speed: 'knots' },
+        schema,
+        outstream: output,
+        delimiter: ','
+      }))
+      .done(() => {
+        expect(outArray.join('')).to.equal([
+          'underway',
+          'KOK1606',
+          'Underway data',
+          'NA,Ship speed,NA,NA',
+          'time,float,text,boolean',
+          'NA,knots,NA,NA',
+          'time,speed,notes,flag',
+          '2017-05-06T19:52:57.601Z,6.0,"a, b",TRUE',
+          '2017-05-06T19:52:58.601Z,NA,NA,FALSE',
+          ''
+        ].join('\n'));
+        done();
+      });
+  });
+  it('should write a file that can be parsed back', function() {
+    H(docs)
+      .through(pipeline.writeDocToStandardFormat({
+        measurement: 'underway',
+        cruise: 'KOK1606',
+        description: 'Underway data',
+        schema,
+        outstream: output
+      }))
+      .each(() => {});
+    return parser.lintStandardFile(outArray.slice())
+      .then(report => {
+        expect(report.issues).to.deep.equal([]);
+        expect(report.records).to.equal(2);
+      });
+  });
+  it('should reject records out of order', function(done) {
+    H(docs.slice().reverse())
+      .through(pipeline.writeDocToStandardFormat({
+        measurement: 'underway',
+        cruise: 'KOK1606',
+        description: 'Underway data',
+        schema,
+        outstream: output
+      }))
+      .stopOnError(err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        done();
+      })
+      .done(() => {});
+  });
 });
@@ -0,0 +1,99 @@
+const chai = require('chai');
+const expect = chai.expect;
+const tscop = require('../src/lib/index');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Format Registry', () => {
+  it('should register shipped parser definitions', done => {
+    const names = tscop.listFormats().map(f => f.name);
+    expect(names).to.include('tsgraw_33721');
+    expect(names).to.include('seaflow-population');
+    expect(tscop.getFormat('par_32002').outputSchema).to.deep.equal({
+      time: 'time',
+      par: 'float',
+      cruise: 'category'
+    });
+    done();
+  });
+  it('should register a third-party format', done => {
+    tscop.registerFormat({
+      name: 'test-format',
+      description: 'Test format',
+      sample: '2017-05-06T19:52:57.601Z\t1.0',
+      outputSchema: { time: 'time', value: 'FLOAT', cruise: 'category' },
+      pipeline: ({instream, cruise}) => tscop.fieldStream({instream})
+        .map(o => ({ doc: { time: new Date(o.fields[0]), value: o.fields[1], cruise } }))
+    });
+    const format = tscop.getFormat('test-format');
+    expect(format).to.have.property('description', 'Test format');
+    expect(format.outputSchema).to.have.property('value', 'float');
+    format.pipeline({ instream: [ '2017-05-06T19:52:57.601Z\t1.0\n' ], cruise: 'KOK' })
+      .toArray(x => {
+        expect(x).to.have.length(1);
+        expect(x[0].doc).to.have.property('value', '1.0');
+        expect(x[0].doc).to.have.property('cruise', 'KOK');
+        done();
+      });
+  });
+  it('should reject duplicate format names', done => {
+    expect(() => tscop.registerFormat({
+      name: 'tsgraw_33721',
+      pipeline: () => null
+    })).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should reject formats without a pipeline factory', done => {
+    expect(() => tscop.registerFormat({ name: 'no-pipeline' })).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should take column descriptions and units from a parser definition', done => {
+    const format = tscop.formatFromDefinition(tscop.validateParserDefinition({
+      name: 'described',
+      columns: [
+        { name: 'time', type: 'time', field: 0, description: 'Sample time' },
+        { name: 'temp', type: 'float', field: 1, description: 'Water temperature', units: 'degC' }
+      ]
+    }));
+    expect(format.columnDescriptions).to.deep.equal({ time: 'Sample time', temp: 'Water temperature' });
+    expect(format.units).to.deep.equal({ temp: 'degC' });
+    done();
+  });
+  it('should take downsampling aggregations from a parser definition', done => {
+    const definition = {
+      name: 'downsampled',
+      columns: [
+        { name: 'time', type: 'time', field: 0 },
+        { name: 'temp', type: 'float', field: 1, downsample: ['min', 'max'] },
+        { name: 'salinity', type: 'float', field: 2, downsample: 'median' }
+      ]
+    };
+    const format = tscop.formatFromDefinition(tscop.validateParserDefinition(definition));
+    expect(format.aggregations).to.deep.equal({ temp: ['min', 'max'], salinity: ['median'] });
+    definition.columns[1].downsample = ['sum'];
+    expect(() => tscop.validateParserDefinition(definition)).to.throw(TimeSeriesCopError, /downsample/);
+    done();
+  });
+  it('should take angle fields from a parser definition', done => {
+    const definition = {
+      name: 'angles',
+      columns: [
+        { name: 'time', type: 'time', field: 0 },
+        { name: 'heading', type: 'float', field: 1, angle: 'degrees' },
+        { name: 'raw', type: 'float', field: 2, angle: 'radians' }
+      ],
+      output: { time: 'time', heading: 'float' }
+    };
+    const format = tscop.formatFromDefinition(tscop.validateParserDefinition(definition));
+    expect(format.angles).to.deep.equal({ heading: 'degrees' });
+    expect(tscop.getFormat('cnav_33103-GPVTG').angles).to.deep.equal({ degrees_from_north: 'degrees' });
+    definition.columns[1].angle = 'gradians';
+    expect(() => tscop.validateParserDefinition(definition)).to.throw(TimeSeriesCopError, /angle/);
+    definition.columns[1] = { name: 'heading', type: 'text', field: 1, angle: 'degrees' };
+    expect(() => tscop.validateParserDefinition(definition)).to.throw(TimeSeriesCopError, /angle/);
+    done();
+  });
+  it('should reject unknown formats', done => {
+    expect(() => tscop.getFormat('not-a-format')).to.throw(TimeSeriesCopError);
+    done();
+  });
+});
@@ -0,0 +1,122 @@
+const chai = require('chai');
+const expect = chai.expect;
+const http = require('http');
+const url = require('url');
+const H = require('highland');
+const _ = require('lodash');
+const downsample = require('../src/lib/downsample');
+const replace = require('../src/lib/replace');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const records = [
+  { doc: { time: new Date('2017-05-06T19:52:57.601Z'), cruise: 'KOK1606', speed: '6.0' } },
+  { doc: { time: new Date('2017-05-06T19:58:27.601Z'), cruise: 'KM1709', speed: '8.0' } },
+  { doc: { time: new Date('2017-05-06T19:53:27.601Z'), cruise: 'KOK1606', speed: '7.0' } }
+];
+const range = {
+  start: Date.parse('2017-05-06T19:52:57.601Z'),
+  end: Date.parse('2017-05-06T19:58:27.601Z'),
+  cruises: ['KM1709', 'KOK1606']
+};
+
+describe('Replace', () => {
+  let server;
+  let requests;
+  let status;
+  let serverUrl;
+
+  // Stub of the InfluxDB 1.x /query and 2.x /api/v2/delete endpoints
+  before(done => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const u = url.parse(req.url, true);
+        requests.push({ path: u.pathname, query: u.query, body: Buffer.concat(chunks).toString() });
+        if (u.pathname === '/query') {
+          res.statusCode = 200;
+          res.end('{"results":[{"statement_id":0}]}');
+        } else {
+          res.statusCode = status;
+          res.end(status === 400 ? '{"code":"invalid","message":"invalid predicate"}' : '');
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      serverUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  after(done => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    requests = [];
+    status = 204;
+  });
+
+  it('should find the time range and cruises of records', () => {
+    const withError = H(records.concat([null])).map(o => {
+      if (!o) {
+        throw new Error('bad line');
+      }
+      return o;
+    });
+    return replace.scanRange(withError)
+      .then(result => {
+        expect(result).to.deep.equal(range);
+        return replace.scanRange(H([]));
+      })
+      .then(result => {
+        expect(result).to.deep.equal({ start: null, end: null, cruises: [] });
+      });
+  });
+  it('should delete points from an InfluxDB 1.x database and its downsampled measurements', () => {
+    const plan = downsample.downsamplePlan('tsg', { time: 'time', speed: 'float' }, { windows: ['1m', '1h'] });
+    const deletes = replace.replaceDeletes(Object.assign({
+      measurement: 'tsg',
+      database: 'cruisedb',
+      windows: plan.windows
+    }, range));
+    expect(deletes.map(d => d.database)).to.deep.equal(['cruisedb', 'cruisedb', 'viz', 'viz', 'viz', 'viz']);
+    expect(deletes[0].query).to.equal(`DELETE FROM "tsg" WHERE "cruise"='KM1709' AND time >= '2017-05-06T19:52:57.601Z' AND time <= '2017-05-06T19:58:27.601Z'`);
+    expect(deletes[5].query).to.equal(`DELETE FROM "tsg_1h" WHERE "cruise"='KOK1606' AND time >= '2017-05-06T19:00:00.000Z' AND time <= '2017-05-06T19:58:27.601Z'`);
+    expect(replace.describeDelete(deletes[0])).to.match(/^database cruisedb: DELETE FROM "tsg"/);
+    return replace.deletePoints(deletes.slice(0, 1), { v1: { serverUrl, username: 'writer', password: 'secret' } })
+      .then(() => {
+        expect(requests).to.have.length(1);
+        expect(requests[0].path).to.equal('/query');
+        expect(requests[0].query).to.deep.equal({ db: 'cruisedb' });
+        expect(requests[0].body).to.match(/^q=DELETE%20FROM%20%22tsg%22/);
+      });
+  });
+  it('should delete points from InfluxDB 2.x buckets', () => {
+    const plan = downsample.downsamplePlan('tsg', { time: 'time', speed: 'float' }, { windows: ['3m'] });
+    const deletes = replace.replaceDeletes(Object.assign({
+      measurement: 'tsg',
+      org: 'ocean',
+      bucket: 'raw',
+      vizBucket: 'viz',
+      cruises: ['KOK"1606'],
+      windows: plan.windows
+    }, _.pick(range, ['start', 'end'])));
+    expect(deletes).to.deep.equal([
+      { org: 'ocean', bucket: 'raw', start: '2017-05-06T19:52:57.601Z', stop: '2017-05-06T19:58:27.601Z', predicate: '_measurement="tsg" AND cruise="KOK\\"1606"' },
+      { org: 'ocean', bucket: 'viz', start: '2017-05-06T19:51:00.000Z', stop: '2017-05-06T19:58:27.601Z', predicate: '_measurement="tsg" AND cruise="KOK\\"1606"' }
+    ]);
+    return replace.deletePoints(deletes, { v2: { serverUrl, token: 'secret' } })
+      .then(() => {
+        expect(requests.map(r => r.path)).to.deep.equal(['/api/v2/delete', '/api/v2/delete']);
+        expect(requests[1].query).to.deep.equal({ org: 'ocean', bucket: 'viz' });
+        expect(JSON.parse(requests[1].body)).to.deep.equal(_.omit(deletes[1], ['org', 'bucket']));
+        status = 400;
+        return replace.deletePoints(deletes, { v2: { serverUrl } });
+      })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/invalid predicate/);
+        expect(requests).to.have.length(3);
+      });
+  });
+});
+
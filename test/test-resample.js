@@ -0,0 +1,101 @@
+const chai = require('chai');
+const expect = chai.expect;
+const H = require('highland');
+const downsample = require('../src/lib/downsample');
+const pipeline = require('../src/lib/pipeline');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', cruise: 'category', temp: 'float', count: 'integer', note: 'text' };
+const record = (time, cruise, temp, count, note, lineIndex) => ({
+  doc: { time: new Date(time), cruise, temp, count, note },
+  lineIndex,
+  position: lineIndex * 10
+});
+const records = [
+  record('2017-05-06T19:52:57.601Z', 'KOK1606', 6.0, 1, 'a', 0),
+  record('2017-05-06T19:52:58.601Z', 'KM1709', 2.0, 4, null, 1),
+  record('2017-05-06T19:52:59.601Z', 'KOK1606', 8.0, 3, 'b', 2),
+  record('2017-05-06T19:53:01.601Z', 'KOK1606', 10.0, null, null, 3)
+];
+
+describe('Resampling', () => {
+  it('should aggregate records by window and tag set', done => {
+    H(records)
+      .through(pipeline.resample({ measurement: 'tsg', schema, window: '1m' }))
+      .toArray(x => {
+        expect(x.map(o => o.doc)).to.deep.equal([
+          { time: new Date('2017-05-06T19:52:00Z'), cruise: 'KOK1606', temp: 7, count: 2, note: 'b' },
+          { time: new Date('2017-05-06T19:52:00Z'), cruise: 'KM1709', temp: 2, count: 4 },
+          { time: new Date('2017-05-06T19:53:00Z'), cruise: 'KOK1606', temp: 10 }
+        ]);
+        // Positions of the last record of each window, for checkpoints
+        expect(x.map(o => o.lineIndex)).to.deep.equal([2, 2, 3]);
+        expect(x.map(o => o.position)).to.deep.equal([20, 20, 30]);
+        done();
+      });
+  });
+  it('should use aggregations and align timestamps', done => {
+    H(records)
+      .through(pipeline.resample({
+        measurement: 'tsg',
+        schema,
+        window: '30s',
+        aggregations: { temp: ['min', 'max'], note: 'count' },
+        align: 'end'
+      }))
+      .toArray(x => {
+        expect(x.map(o => o.doc)).to.deep.equal([
+          { time: new Date('2017-05-06T19:53:00Z'), cruise: 'KOK1606', temp_min: 6, temp_max: 8, count: 2, note: 2 },
+          { time: new Date('2017-05-06T19:53:00Z'), cruise: 'KM1709', temp_min: 2, temp_max: 2, count: 4 },
+          { time: new Date('2017-05-06T19:53:30Z'), cruise: 'KOK1606', temp_min: 10, temp_max: 10 }
+        ]);
+        done();
+      });
+  });
+  it('should describe resampled records with a schema', done => {
+    const plan = downsample.downsamplePlan('tsg', schema, { aggregations: { temp: ['min', 'max'], count: ['max', 'mean'], note: 'count' } });
+    expect(downsample.aggregatedSchema(plan)).to.deep.equal({
+      time: 'time',
+      cruise: 'category',
+      temp_min: 'float',
+      temp_max: 'float',
+      count_max: 'integer',
+      count_mean: 'float',
+      note: 'integer'
+    });
+    done();
+  });
+  it('should write resampled records as line protocol', done => {
+    const plan = downsample.downsamplePlan('tsg', schema, { windows: ['1m'] });
+    const lines = [];
+    H(records)
+      .through(pipeline.resample({ measurement: 'tsg', schema }))
+      .through(pipeline.writeDocToLineProtocol({
+        measurement: 'tsg',
+        schema: downsample.aggregatedSchema(plan),
+        outstream: { write: line => lines.push(line) }
+      }))
+      .done(() => {
+        expect(lines).to.deep.equal([
+          'tsg,cruise=KOK1606 temp=7,count=2,note="b",influxMissingData=false 1494100320000000000\n',
+          'tsg,cruise=KM1709 temp=2,count=4,influxMissingData=false 1494100320000000000\n',
+          'tsg,cruise=KOK1606 temp=10,influxMissingData=false 1494100380000000000\n'
+        ]);
+        done();
+      });
+  });
+  it('should reject records out of chronological order', done => {
+    H([records[3], records[0]])
+      .through(pipeline.resample({ measurement: 'tsg', schema }))
+      .errors(err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/not in ascending chronological order near line 1/);
+        done();
+      })
+      .done(() => null);
+  });
+  it('should reject invalid alignments', done => {
+    expect(() => pipeline.resample({ measurement: 'tsg', schema, align: 'center' })).to.throw(TimeSeriesCopError, /alignment/);
+    done();
+  });
+});
@@ -0,0 +1,122 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const H = require('highland');
+const commands = require('../src/lib/commands');
+const pipeline = require('../src/lib/pipeline');
+const sort = require('../src/lib/sort');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+// Records at these seconds past 2017-05-06T19:52:00Z, in this order
+const records = seconds => seconds.map((s, i) => ({
+  doc: { time: new Date(Date.parse('2017-05-06T19:52:00Z') + s * 1000), cruise: 'KOK1606', n: i },
+  lineIndex: i,
+  position: (i + 1) * 10
+}));
+const seconds = x => x.map(o => (+o.doc.time - Date.parse('2017-05-06T19:52:00Z')) / 1000);
+
+describe('Sorting', () => {
+  it('should reorder records within the lateness window', done => {
+    H(records([0, 20, 10, 30, 25, 90, 31]))
+      .through(sort.reorder({ lateness: '30s' }))
+      .toArray(x => {
+        expect(seconds(x)).to.deep.equal([0, 10, 20, 25, 30, 31, 90]);
+        // Positions only where all earlier input has been produced
+        expect(x.map(o => o.position)).to.deep.equal([10, undefined, 20, undefined, 40, undefined, 60]);
+        done();
+      });
+  });
+  it('should reject records later than the lateness window', done => {
+    const errors = [];
+    H(records([0, 50, 100, 10, 100]))
+      .through(sort.reorder({ lateness: '30s' }))
+      .errors(err => errors.push(err))
+      .toArray(x => {
+        expect(seconds(x)).to.deep.equal([0, 50, 100, 100]);
+        expect(x.map(o => o.doc.n)).to.deep.equal([0, 1, 2, 4]);
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.be.an.instanceof(TimeSeriesCopError);
+        expect(errors[0].message).to.match(/more than 30s out of chronological order near line 4/);
+        expect(errors[0].data).to.have.property('reason');
+        done();
+      });
+  });
+  it('should sort records in memory', done => {
+    H(records([50, 10, 40, 10, 0]))
+      .through(sort.externalSort())
+      .toArray(x => {
+        expect(seconds(x)).to.deep.equal([0, 10, 10, 40, 50]);
+        expect(x.map(o => o.doc.n)).to.deep.equal([4, 1, 3, 2, 0]);
+        expect(x.every(o => o.position === undefined)).to.be.true;
+        done();
+      });
+  });
+  it('should sort large inputs in temporary files', done => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-sort-test-'));
+    const input = records(Array.from({ length: 1000 }, (v, i) => (i * 7919) % 1000));
+    const errors = [];
+    H(input.concat([{ doc: { time: null }, lineIndex: 1000 }]))
+      .through(sort.externalSort({ bufferSize: 64, tmpDir }))
+      .errors(err => errors.push(err))
+      .toArray(x => {
+        expect(seconds(x)).to.deep.equal(Array.from({ length: 1000 }, (v, i) => i));
+        expect(x[0].doc.time).to.be.an.instanceof(Date);
+        expect(x[0].doc).to.deep.equal(input[0].doc);
+        expect(errors).to.have.length(1);
+        expect(errors[0].message).to.match(/time value missing from line 1001/);
+        // Temporary files are removed
+        expect(fs.readdirSync(tmpDir)).to.be.empty;
+        fs.rmdirSync(tmpDir);
+        done();
+      });
+  });
+  it('should merge sorted streams by time, labeled with their files', done => {
+    const errors = [];
+    const bad = new TimeSeriesCopError('bad float on line 2. column=temp', { line: 2, reason: 'bad float' });
+    const a = H(records([0, 30, 60])).through(pipeline.inFile('a.txt'));
+    const b = H(records([10, 30, 40, 90]).concat([null]))
+      .map(o => {
+        if (!o) {
+          throw bad;
+        }
+        return o;
+      })
+      .through(pipeline.inFile('b.txt'));
+    sort.mergeByTime([a, b])
+      .errors(err => errors.push(err))
+      .toArray(x => {
+        expect(seconds(x)).to.deep.equal([0, 10, 30, 30, 40, 60, 90]);
+        expect(x.map(o => o.file)).to.deep.equal(['a.txt', 'b.txt', 'a.txt', 'b.txt', 'b.txt', 'a.txt', 'b.txt']);
+        expect(pipeline.lineName(x[1])).to.equal('line 1 of b.txt');
+        expect(pipeline.lineError(x[1], 'test').file).to.equal('b.txt');
+        expect(errors).to.have.length(1);
+        expect(errors[0].message).to.equal('bad float on line 2 of b.txt. column=temp');
+        expect(errors[0].data.file).to.equal('b.txt');
+        done();
+      });
+  });
+  it('should keep columns found only in later input files', done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-merge-test-'));
+    const file = name => path.join(dir, name);
+    fs.writeFileSync(file('a.lp'), 'tsg,cruise=K x=1 1494100377601000000\n');
+    fs.writeFileSync(file('b.lp'), 'tsg,cruise=K,site=b x=2i,y=3 1494100378601000000\n');
+    commands.convert('lineprotocol', {
+      input: [file('a.lp'), file('b.lp')],
+      output: file('out.lp'),
+      cruise: 'K',
+      measurement: 'tsg'
+    }, (err, count) => {
+      expect(err).to.be.null;
+      expect(count).to.equal(2);
+      expect(fs.readFileSync(file('out.lp'), 'utf8')).to.equal(
+        'tsg,cruise=K x=1,influxMissingData=false 1494100377601000000\n' +
+        'tsg,cruise=K,site=b x=2,y=3,influxMissingData=false 1494100378601000000\n'
+      );
+      fs.readdirSync(dir).forEach(f => fs.unlinkSync(file(f)));
+      fs.rmdirSync(dir);
+      done();
+    });
+  });
+});
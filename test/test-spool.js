@@ -0,0 +1,192 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const zlib = require('zlib');
+const H = require('highland');
+const pipeline = require('../src/lib/pipeline');
+const spool = require('../src/lib/spool');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+const schema = { time: 'time', cruise: 'category', speed: 'float' };
+const docs = [
+  { time: Date.parse('2017-05-06T19:52:57.601Z'), cruise: 'KOK1606', speed: '6.0' },
+  { time: Date.parse('2017-05-06T19:53:27.601Z'), cruise: 'KOK1606', speed: '8.0' }
+];
+
+// Get the URL of a port nothing is listening on
+const closedUrl = done => {
+  const server = http.createServer();
+  server.listen(0, '127.0.0.1', () => {
+    const port = server.address().port;
+    server.close(() => done(`http://127.0.0.1:${port}`));
+  });
+};
+
+describe('Retries', () => {
+  it('should retry unavailable servers with backoff', () => {
+    let calls = 0;
+    const delays = [];
+    return spool.withRetries(() => {
+      calls++;
+      if (calls < 3) {
+        return Promise.reject(Object.assign(new Error('unavailable'), { statusCode: 503 }));
+      }
+      return 'written';
+    }, { retries: 3, retryDelay: 0.01, onRetry: (err, n, delay) => delays.push(delay) })
+      .then(result => {
+        expect(result).to.equal('written');
+        expect(calls).to.equal(3);
+        expect(delays).to.deep.equal([0.01, 0.02]);
+      });
+  });
+  it('should not retry refused requests, and give up after the last retry', () => {
+    let calls = 0;
+    const refused = () => {
+      calls++;
+      return Promise.reject(new TimeSeriesCopError('field type conflict'));
+    };
+    return spool.withRetries(refused, { retries: 3, retryDelay: 0.01 })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(calls).to.equal(1);
+        calls = 0;
+        return spool.withRetries(() => {
+          calls++;
+          throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        }, { retries: 2, retryDelay: 0.01 });
+      })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err.code).to.equal('ECONNREFUSED');
+        expect(calls).to.equal(3);
+        expect(spool.isRetryable(Object.assign(new Error('unauthorized'), { statusCode: 401 }))).to.be.false;
+      });
+  });
+});
+
+describe('Spool', () => {
+  let dir;
+  let server;
+  let requests;
+  let status;
+  let serverUrl;
+
+  // Stub of the InfluxDB 1.x /write and /query and 2.x /api/v2/write endpoints
+  before(done => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        let body = Buffer.concat(chunks);
+        if (req.headers['content-encoding'] === 'gzip') {
+          body = zlib.gunzipSync(body);
+        }
+        const u = url.parse(req.url, true);
+        requests.push({ path: u.pathname, query: u.query, body: body.toString() });
+        if (u.pathname === '/query' && status === 204) {
+          res.statusCode = 200;
+          res.end('{"results":[{"statement_id":0}]}');
+        } else {
+          res.statusCode = status;
+          res.end();
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      serverUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  after(done => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-spool-'));
+    requests = [];
+    status = 204;
+  });
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+    fs.rmdirSync(dir);
+  });
+
+  it('should write and read spool files in order', done => {
+    const first = spool.spoolBatch(dir, { database: 'db', lines: ['m x=1 1'], queries: ['SELECT 1'] });
+    const second = spool.spoolBatch(dir, { org: 'ocean', bucket: 'raw', lines: ['m x=2 2'] });
+    expect(spool.listSpool(dir)).to.deep.equal([first, second]);
+    expect(spool.readSpoolFile(first)).to.deep.equal({
+      database: 'db', org: null, bucket: null, precision: 'ns', queries: ['SELECT 1'], lines: ['m x=1 1']
+    });
+    expect(spool.readSpoolFile(second)).to.have.property('bucket', 'raw');
+    fs.writeFileSync(path.join(dir, 'other.lp'), 'm x=1 1\n');
+    expect(() => spool.readSpoolFile(path.join(dir, 'other.lp'))).to.throw(TimeSeriesCopError, /not a spool file/);
+    expect(() => spool.spoolBatch(dir, { lines: [] })).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should spool batches and downsampled points when InfluxDB 2.x is unreachable', done => {
+    closedUrl(unreachable => {
+      const spooled = [];
+      H(docs.map(doc => ({ doc: Object.assign({}, doc) })))
+        .through(pipeline.writeDocToInfluxDBv2({
+          measurement: 'tsg',
+          schema,
+          serverUrl: unreachable,
+          org: 'ocean',
+          bucket: 'raw',
+          vizBucket: 'viz',
+          retries: 1,
+          retryDelay: 0.01,
+          spoolDir: dir,
+          onSpool: (file, err) => spooled.push(file)
+        }))
+        .toArray(written => {
+          expect(written).to.have.length(2);
+          expect(spool.listSpool(dir)).to.deep.equal(spooled);
+          expect(spooled.map(f => spool.readSpoolFile(f).bucket)).to.deep.equal(['raw', 'viz']);
+          spool.replaySpool(dir, { v2: { serverUrl, token: 'secret' } })
+            .then(result => {
+              expect(result).to.deep.equal({ files: 2, lines: 3 });
+              expect(requests.map(r => r.query.bucket)).to.deep.equal(['raw', 'viz']);
+              expect(requests[0].body).to.equal(
+                'tsg,cruise=KOK1606 speed=6.0,influxMissingData=false 1494100377601000000\n' +
+                'tsg,cruise=KOK1606 speed=8.0,influxMissingData=false 1494100407601000000\n'
+              );
+              expect(spool.listSpool(dir)).to.be.empty;
+              done();
+            })
+            .catch(done);
+        });
+    });
+  });
+  it('should replay InfluxDB 1.x batches with their downsampling queries', () => {
+    spool.spoolBatch(dir, { database: 'db', lines: ['m x=1 1'], queries: ['SELECT MEAN("x") INTO "viz"."autogen"."m" FROM "m"'] });
+    spool.spoolBatch(dir, { database: 'db', queries: ['SELECT LAST("x") INTO "viz"."autogen"."m" FROM "m"'] });
+    return spool.replaySpool(dir, { v2: { serverUrl } })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err).to.be.an.instanceof(TimeSeriesCopError);
+        expect(err.message).to.match(/database db/);
+        return spool.replaySpool(dir, { v1: { serverUrl, username: 'writer', password: 'secret' } });
+      })
+      .then(result => {
+        expect(result).to.deep.equal({ files: 2, lines: 1 });
+        expect(requests.map(r => r.path)).to.deep.equal(['/write', '/query', '/query']);
+        expect(requests[0].query).to.deep.equal({ db: 'db', precision: 'ns' });
+        expect(requests[1].body).to.match(/^q=SELECT%20MEAN/);
+        expect(requests[2].query).to.deep.equal({ db: 'db' });
+      });
+  });
+  it('should stop replaying at the first failure', () => {
+    const first = spool.spoolBatch(dir, { org: 'ocean', bucket: 'raw', lines: ['m x=1 1'] });
+    const second = spool.spoolBatch(dir, { org: 'ocean', bucket: 'raw', lines: ['m x=2 2'] });
+    status = 503;
+    return spool.replaySpool(dir, { v2: { serverUrl } })
+      .then(() => { throw new Error('should have failed'); }, err => {
+        expect(err.statusCode).to.equal(503);
+        expect(requests).to.have.length(1);
+        expect(spool.listSpool(dir)).to.deep.equal([first, second]);
+      });
+  });
+});
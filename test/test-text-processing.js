@@ -110,6 +110,34 @@ describe('Lines', () => {
         done();
       });
   });
+  it('should track byte positions after each line ending', done => {
+    tscop
+      .lineStream({
+        instream: ['l\u00e9ne1\r', '\nline2\rline3\n'],
+        position: 10
+      })
+      .toArray(x => {
+        x.should.have.length(3);
+        x[0].should.deep.equal({ text: 'l\u00e9ne1', lineIndex: 0, position: 18 });
+        x[1].should.deep.equal({ text: 'line2', lineIndex: 1, position: 24 });
+        x[2].should.deep.equal({ text: 'line3', lineIndex: 2, position: 30 });
+        done();
+      });
+  });
+  it('should number lines from a starting line index', done => {
+    tscop
+      .lineStream({
+        instream: ['line3\n', 'line4\n'],
+        lineIndex: 2,
+        start: 1
+      })
+      .toArray(x => {
+        x.should.have.length(2);
+        x[0].should.deep.equal({ text: 'line3', lineIndex: 2 });
+        x[1].should.deep.equal({ text: 'line4', lineIndex: 3 });
+        done();
+      });
+  });
   it('should keep lines when only skipping internal blank lines and all lines are empty', done => {
     tscop
       .lineStream({
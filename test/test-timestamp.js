@@ -0,0 +1,105 @@
+const chai = require('chai');
+const expect = chai.expect;
+const stream = require('stream');
+const H = require('highland');
+const moment = require('moment');
+const lineProtocol = require('../src/lib/lineProtocol');
+const parserDefinition = require('../src/lib/parserDefinition');
+const pipeline = require('../src/lib/pipeline');
+const standardParser = require('../src/lib/standardParser');
+const timestamp = require('../src/lib/timestamp');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Timestamp Precision', () => {
+  it('should format timestamps rounded down to each precision', () => {
+    const time = timestamp.withSubMilliseconds(moment.utc('2017-05-06T19:52:57.6012345Z'), '2017-05-06T19:52:57.6012345Z');
+    expect(time.nanoseconds).to.equal(234500);
+    expect(timestamp.format(time, 's')).to.equal('1494100377');
+    expect(timestamp.format(time, 'ms')).to.equal('1494100377601');
+    expect(timestamp.format(time, 'us')).to.equal('1494100377601234');
+    expect(timestamp.format(time)).to.equal('1494100377601234500');
+    expect(timestamp.format(-1500, 's')).to.equal('-2');
+    expect(timestamp.toMilliseconds('1494100377601234', 'us')).to.equal(1494100377601);
+    expect(timestamp.toMilliseconds('1494100377', 's')).to.equal(1494100377000);
+    expect(() => timestamp.checkPrecision('u')).to.throw(TimeSeriesCopError, /Invalid timestamp precision u/);
+  });
+  it('should keep sub-millisecond times from parser definitions', () => {
+    const time = parserDefinition.transforms.time('2017:150:04:54:47.8285', 'YYYY:DDD:HH:mm:ss.SS');
+    expect(timestamp.format(time)).to.equal('1496120087828500000');
+    // Digits that aren't fractional seconds are ignored
+    const day = parserDefinition.transforms.time('12345 2017-05-30', 'x YYYY-MM-DD');
+    expect(day.nanoseconds).to.be.undefined;
+  });
+  it('should write line protocol with a precision header and read it back', done => {
+    const lines = [];
+    const outstream = new stream.Writable({
+      write(chunk, encoding, next) {
+        lines.push(chunk.toString());
+        next();
+      }
+    });
+    const time = timestamp.withSubMilliseconds(moment.utc('2017-05-06T19:52:57.601Z'), { nanoseconds: 999000 });
+    H([{ doc: { time, x: '1.5' }, lineIndex: 0 }])
+      .through(pipeline.writeDocToLineProtocol({ measurement: 'tsg', schema: { time: 'time', x: 'float' }, outstream, precision: 'us' }))
+      .done(() => {
+        const text = lines.join('');
+        expect(text).to.equal(
+          '# DML\n# Timestamp precision: us. Import with influx -import -precision=u\n' +
+          'tsg x=1.5,influxMissingData=false 1494100377601999\n'
+        );
+        expect(timestamp.headerPrecision(text.split('\n')[1])).to.equal('us');
+        lineProtocol.lineProtocolStream({ instream: [text] })
+          .toArray(x => {
+            expect(x.map(o => +o.doc.time)).to.deep.equal([1494100377601]);
+            done();
+          });
+      });
+  });
+
+  it('should read and write line protocol without changing ns timestamps', done => {
+    const input = 'tsg,cruise=KOK1606 x=1.5,influxMissingData=false 1496120087828500123\n' +
+      'tsg,cruise=KOK1606 x=2.5,influxMissingData=false 1496120088000000001\n';
+    const lines = [];
+    const outstream = new stream.Writable({
+      write(chunk, encoding, next) {
+        lines.push(chunk.toString());
+        next();
+      }
+    });
+    lineProtocol.lineProtocolStream({ instream: [input] })
+      .through(pipeline.writeDocToLineProtocol({ measurement: 'tsg', schema: { time: 'time', cruise: 'category', x: 'float' }, outstream }))
+      .done(() => {
+        expect(lines.join('')).to.equal(input);
+        done();
+      });
+  });
+  it('should keep sub-millisecond times through the standard format', done => {
+    const text = [];
+    const outstream = new stream.Writable({
+      write(chunk, encoding, next) {
+        text.push(chunk.toString());
+        next();
+      }
+    });
+    const time = parserDefinition.transforms.time('2017:150:04:54:47.8285', 'YYYY:DDD:HH:mm:ss.SS');
+    expect(timestamp.toISOString(time)).to.equal('2017-05-30T04:54:47.8285Z');
+    expect(timestamp.toISOString(Date.parse('2017-05-30T04:54:47.828Z'))).to.equal('2017-05-30T04:54:47.828Z');
+    H([{ doc: { time, cruise: 'KOK1606', x: '1.5' }, lineIndex: 0 }])
+      .through(pipeline.writeDocToStandardFormat({ measurement: 'tsg', cruise: 'KOK1606', description: 'TSG', schema: { time: 'time', cruise: 'category', x: 'float' }, outstream }))
+      .done(() => {
+        const lines = [];
+        const lpstream = new stream.Writable({
+          write(chunk, encoding, next) {
+            lines.push(chunk.toString());
+            next();
+          }
+        });
+        standardParser.parseStandardFile([text.join('')], lpstream)
+          .then(() => {
+            expect(lines.join('')).to.equal('tsg,cruise=KOK1606 x=1.5,influxMissingData=false 1496120087828500000\n');
+            done();
+          })
+          .catch(done);
+      });
+  });
+});
@@ -0,0 +1,126 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const watch = require('../src/lib/watch');
+const TimeSeriesCopError = require('../src/lib/error').TimeSeriesCopError;
+
+describe('Watch', () => {
+  const rules = [
+    { pattern: 'tsg_*.txt', format: 'tsgraw_33721', measurement: 'tsg' },
+    { pattern: '*.txt', format: 'ecotriplet', measurement: 'eco' }
+  ];
+  let dir;
+
+  const rmdir = d => {
+    fs.readdirSync(d).forEach(f => {
+      const p = path.join(d, f);
+      if (fs.statSync(p).isDirectory()) {
+        rmdir(p);
+      } else {
+        fs.unlinkSync(p);
+      }
+    });
+    fs.rmdirSync(d);
+  };
+  const scan = (importFile, opts) => watch.watchDirectory(dir, Object.assign({
+    rules, importFile, settle: 0, once: true
+  }, opts)).finished;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tscop-watch-'));
+    fs.writeFileSync(path.join(dir, 'tsg_01.txt'), 'a\n');
+    fs.writeFileSync(path.join(dir, 'eco_01.txt'), 'b\n');
+    fs.writeFileSync(path.join(dir, 'notes.md'), 'c\n');
+  });
+  afterEach(() => {
+    rmdir(dir);
+  });
+
+  it('should match the first rule for a file name', done => {
+    expect(watch.matchRule(rules, 'tsg_01.txt').format).to.equal('tsgraw_33721');
+    expect(watch.matchRule(rules, 'eco_01.txt').format).to.equal('ecotriplet');
+    expect(watch.matchRule(rules, 'notes.md')).to.be.undefined;
+    done();
+  });
+  it('should reject rules without a valid measurement', done => {
+    expect(() => watch.validateWatchRules([{ pattern: '*', format: 'f' }])).to.throw(TimeSeriesCopError);
+    expect(() => watch.validateWatchRules([{ pattern: '*', format: 'f', measurement: 'a b' }])).to.throw(TimeSeriesCopError);
+    done();
+  });
+  it('should import matching files once and record them in the ledger', () => {
+    const imported = [];
+    const importFile = (file, rule) => {
+      imported.push([path.basename(file), rule.measurement]);
+      return Promise.resolve(2);
+    };
+    return scan(importFile)
+      .then(ledger => {
+        expect(imported).to.deep.equal([['eco_01.txt', 'eco'], ['tsg_01.txt', 'tsg']]);
+        expect(ledger.files['tsg_01.txt']).to.include({ status: 'imported', points: 2, size: 2 });
+        expect(ledger.files['tsg_01.txt'].hash).to.equal('3f786850e387550fdab836ed7e6dc881de23001b');
+        expect(watch.readLedger(path.join(dir, '.tscop-ledger.json'))).to.deep.equal(ledger);
+        return scan(importFile);
+      })
+      .then(() => {
+        expect(imported).to.have.length(2);
+        // Touched but unchanged files are not imported again
+        const earlier = new Date(Date.now() - 5000);
+        fs.utimesSync(path.join(dir, 'eco_01.txt'), earlier, earlier);
+        fs.appendFileSync(path.join(dir, 'tsg_01.txt'), 'more\n');
+        return scan(importFile);
+      })
+      .then(ledger => {
+        expect(imported).to.have.length(3);
+        expect(imported[2][0]).to.equal('tsg_01.txt');
+        expect(ledger.files['tsg_01.txt'].size).to.equal(7);
+        expect(ledger.files['eco_01.txt'].mtime).to.equal(fs.statSync(path.join(dir, 'eco_01.txt')).mtime.toISOString());
+      });
+  });
+  it('should skip files modified within the settle time', () => {
+    let count = 0;
+    return scan(() => Promise.resolve(count++), { settle: 60000 })
+      .then(ledger => {
+        expect(count).to.equal(0);
+        expect(ledger.files).to.deep.equal({});
+      });
+  });
+  it('should quarantine files that fail validation', () => {
+    const quarantine = path.join(dir, 'quarantine');
+    const importFile = file => {
+      if (path.basename(file) === 'tsg_01.txt') {
+        return Promise.reject(new TimeSeriesCopError('ValidationError: bad line 3'));
+      }
+      return Promise.resolve(1);
+    };
+    return scan(importFile, { quarantine })
+      .then(ledger => {
+        expect(ledger.files['tsg_01.txt']).to.include({
+          status: 'quarantined',
+          error: 'ValidationError: bad line 3',
+          quarantine: path.join(quarantine, 'tsg_01.txt')
+        });
+        expect(fs.existsSync(path.join(dir, 'tsg_01.txt'))).to.be.false;
+        expect(fs.existsSync(path.join(quarantine, 'tsg_01.txt'))).to.be.true;
+      });
+  });
+  it('should retry files that fail for other reasons', () => {
+    const errors = [];
+    let fail = true;
+    const importFile = () => fail ? Promise.reject(new Error('connection refused')) : Promise.resolve(1);
+    const onFile = (err, entry) => {
+      if (err) errors.push(err.message);
+    };
+    return scan(importFile, { onFile })
+      .then(ledger => {
+        expect(errors).to.deep.equal(['connection refused', 'connection refused']);
+        expect(ledger.files).to.deep.equal({});
+        fail = false;
+        return scan(importFile, { onFile });
+      })
+      .then(ledger => {
+        expect(ledger.files['tsg_01.txt'].status).to.equal('imported');
+      });
+  });
+});